@@ -0,0 +1,44 @@
+import React from 'react';
+import { MemoryRouter } from 'react-router-dom';
+import NoticeBanner from '../../src/components/NoticeBanner';
+
+describe('NoticeBanner component', () => {
+  it('renders nothing without active notices', () => {
+    cy.mount(
+      <MemoryRouter>
+        <NoticeBanner notices={[]} />
+      </MemoryRouter>
+    );
+
+    cy.get('[data-cy="notice-banner"]').should('not.exist');
+  });
+
+  it('lists each notice with a link to the trail map', () => {
+    cy.mount(
+      <MemoryRouter>
+        <NoticeBanner
+          notices={[
+            {
+              id: 'tree-down',
+              title: 'Tree down',
+              message: 'Path closed past the labyrinth.',
+              severity: 'closure',
+              end: '2025-11-03',
+            },
+            {
+              id: 'wet-feet',
+              title: 'Wet ground',
+              message: 'Standing water after rain.',
+              severity: 'info',
+            },
+          ]}
+        />
+      </MemoryRouter>
+    );
+
+    cy.get('[data-cy="notice-banner"]').should('contain', 'Closed: Tree down');
+    cy.get('[data-cy="notice-banner"]').should('contain', 'Until');
+    cy.get('[data-cy="notice-banner"]').should('contain', 'Notice: Wet ground');
+    cy.contains('See it on the trail map').should('have.attr', 'href', '/sitemap');
+  });
+});
@@ -0,0 +1,62 @@
+import Ajv from 'ajv';
+import mapData from '../../src/data/map.json';
+import mapSchema from '../../src/data/schemas/map.schema.json';
+import ecologyData from '../../src/data/ecologydata.json';
+import { transcriptSources, validateMapFile } from '../../src/utils/dataValidation';
+
+const checkSchema = new Ajv({ allErrors: true }).compile(mapSchema);
+const vtt = 'WEBVTT\n\n00:00.000 --> 00:02.000\nHello\n';
+const allTranscripts = Object.fromEntries(transcriptSources(mapData).map((src) => [src, vtt]));
+const context = (overrides = {}) => ({
+  checkSchema,
+  transcripts: allTranscripts,
+  ecologyData,
+  notices: { notices: [] },
+  ...overrides,
+});
+
+describe('map.json validation shared by the build and the editor', () => {
+  it('passes the published map', () => {
+    expect(validateMapFile(mapData, context())).to.deep.equal([]);
+  });
+
+  it('stops at schema errors', () => {
+    const data = { ...mapData, pois: [{ ...mapData.pois[0], lat: 'north' }] };
+    expect(validateMapFile(data, context())).to.deep.equal(['/pois/0/lat must be number']);
+  });
+
+  it('reports a habitat and notices left pointing at a deleted area', () => {
+    const areas = { ...mapData.areas };
+    delete areas.wetlandArea;
+    const notices = {
+      notices: [
+        {
+          id: 'flooded',
+          severity: 'closure',
+          title: 'Flooded boardwalk',
+          message: 'Closed after heavy rain.',
+          geometry: { type: 'area', areaId: 'wetlandArea' },
+        },
+      ],
+    };
+    const errors = validateMapFile({ ...mapData, areas }, context({ notices }));
+    expect(errors).to.include('Habitat "wetlandArea" is not an area in map.json.');
+    expect(errors).to.include('Notice "flooded" uses unknown area "wetlandArea".');
+  });
+
+  it('reports missing or empty transcripts and skips ones not read yet', () => {
+    const [first, second] = transcriptSources(mapData);
+    const poiFor = (src) => mapData.pois.find((poi) => poi.transcriptSrc === src).id;
+
+    const errors = validateMapFile(
+      mapData,
+      context({ transcripts: { ...allTranscripts, [first]: null, [second]: 'WEBVTT\n' } })
+    );
+    expect(errors).to.deep.equal([
+      `POI "${poiFor(first)}" transcript ${first} is missing from public/.`,
+      `POI "${poiFor(second)}" transcript ${second} has no cues.`,
+    ]);
+
+    expect(validateMapFile(mapData, context({ transcripts: {} }))).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,168 @@
+import {
+  areaRings,
+  destinationPoint,
+  distanceToAreaMeters,
+  haversineMeters,
+  hectaresToAcres,
+  initialBearingDegrees,
+  nearestPointOnPolyline,
+  pointInArea,
+  polygonAreaHectares,
+  polygonAreaSquareMeters,
+  polygonCentroid,
+  polylineLengthMeters,
+  simplifyPolyline,
+  toMultiPolygon,
+} from '../../src/utils/geo';
+
+// Small square around the origin, ~111 m a side
+const square = [
+  [0, 0],
+  [0, 0.001],
+  [0.001, 0.001],
+  [0.001, 0],
+];
+// One degree of longitude along the equator
+const DEGREE_METERS = 111195;
+
+describe('Bearings and destinations', () => {
+  it('measures the initial bearing clockwise from north', () => {
+    expect(initialBearingDegrees(0, 0, 1, 0)).to.be.closeTo(0, 1e-9);
+    expect(initialBearingDegrees(0, 0, 0, 1)).to.be.closeTo(90, 1e-9);
+    expect(initialBearingDegrees(0, 0, -1, 0)).to.be.closeTo(180, 1e-9);
+    expect(initialBearingDegrees(0, 0, 0, -1)).to.be.closeTo(270, 1e-9);
+  });
+
+  it('finds the destination point for a bearing and distance', () => {
+    const east = destinationPoint(0, 0, 90, DEGREE_METERS);
+    expect(east.lat).to.be.closeTo(0, 1e-9);
+    expect(east.lng).to.be.closeTo(1, 1e-4);
+
+    const start = { lat: 44.6207, lng: -63.9155 };
+    const end = destinationPoint(start.lat, start.lng, 37, 250);
+    expect(haversineMeters(start.lat, start.lng, end.lat, end.lng)).to.be.closeTo(250, 0.01);
+    expect(initialBearingDegrees(start.lat, start.lng, end.lat, end.lng)).to.be.closeTo(37, 0.01);
+  });
+
+  it('wraps longitude across the antimeridian', () => {
+    expect(destinationPoint(0, 179.5, 90, DEGREE_METERS).lng).to.be.closeTo(-179.5, 1e-4);
+  });
+});
+
+describe('Polygon area and centroid', () => {
+  it('measures area in square metres and hectares', () => {
+    const side = DEGREE_METERS / 1000;
+    expect(polygonAreaSquareMeters(square)).to.be.closeTo(side * side, 1);
+    expect(polygonAreaHectares(square)).to.be.closeTo((side * side) / 10000, 1e-4);
+    expect(hectaresToAcres(1)).to.be.closeTo(2.471, 1e-3);
+  });
+
+  it('ignores winding order, closing points and degenerate rings', () => {
+    const closed = [...square, square[0]];
+    expect(polygonAreaSquareMeters([...square].reverse())).to.be.closeTo(
+      polygonAreaSquareMeters(square),
+      1e-6
+    );
+    expect(polygonAreaSquareMeters(closed)).to.be.closeTo(polygonAreaSquareMeters(square), 1e-6);
+    expect(polygonAreaSquareMeters(square.slice(0, 2))).to.equal(0);
+  });
+
+  it('finds the centre of mass rather than the vertex average', () => {
+    expect(polygonCentroid(square).lat).to.be.closeTo(0.0005, 1e-9);
+    expect(polygonCentroid(square).lng).to.be.closeTo(0.0005, 1e-9);
+
+    // Extra vertices bunched on one edge pull the average but not the centroid
+    const bunched = [[0, 0], [0, 0.0002], [0, 0.0004], [0, 0.0006], ...square.slice(1)];
+    expect(polygonCentroid(bunched).lng).to.be.closeTo(0.0005, 1e-9);
+    expect(polygonCentroid([])).to.equal(null);
+  });
+});
+
+describe('Areas with holes and several parts', () => {
+  // The square with a ~33 m island in the middle, plus a second square to the east
+  const island = [
+    [0.0003, 0.0003],
+    [0.0003, 0.0006],
+    [0.0006, 0.0006],
+    [0.0006, 0.0003],
+  ];
+  const eastParcel = square.map(([lat, lng]) => [lat, lng + 0.002]);
+  const wetland = [[square, island], [eastParcel]];
+  const metersPerStep = DEGREE_METERS / 10000; // 0.0001 degrees
+
+  it('reads rings, polygons with holes and multipolygons alike', () => {
+    expect(toMultiPolygon(square)).to.deep.equal([[square]]);
+    expect(toMultiPolygon([square, island])).to.deep.equal([[square, island]]);
+    expect(toMultiPolygon(wetland)).to.equal(wetland);
+    expect(toMultiPolygon([])).to.deep.equal([]);
+    expect(areaRings(wetland)).to.deep.equal([square, island, eastParcel]);
+  });
+
+  it('treats holes as outside and every part as inside', () => {
+    expect(pointInArea({ lat: 0.0001, lng: 0.0001 }, wetland)).to.equal(true);
+    expect(pointInArea({ lat: 0.00045, lng: 0.00045 }, wetland)).to.equal(false);
+    expect(pointInArea({ lat: 0.0005, lng: 0.0025 }, wetland)).to.equal(true);
+    expect(pointInArea({ lat: 0.0005, lng: 0.0015 }, wetland)).to.equal(false);
+    expect(pointInArea({ lat: 0.0001, lng: 0.0001 }, square)).to.equal(true);
+  });
+
+  it('measures distance to the nearest edge, hole edges included', () => {
+    expect(distanceToAreaMeters({ lat: 0.0001, lng: 0.0001 }, wetland)).to.equal(0);
+    // Centre of the island is 1.5 steps from its shore
+    expect(distanceToAreaMeters({ lat: 0.00045, lng: 0.00045 }, wetland)).to.be.closeTo(
+      1.5 * metersPerStep,
+      0.1
+    );
+    // Halfway between the parcels is 5 steps from either
+    expect(distanceToAreaMeters({ lat: 0.0005, lng: 0.0015 }, wetland)).to.be.closeTo(
+      5 * metersPerStep,
+      0.1
+    );
+    expect(distanceToAreaMeters({ lat: 0, lng: 0 }, [])).to.equal(Infinity);
+  });
+
+  it('subtracts holes and adds parts when measuring area', () => {
+    const squareArea = polygonAreaSquareMeters(square);
+    const islandArea = polygonAreaSquareMeters(island);
+    expect(islandArea).to.be.closeTo(squareArea * 0.09, 1);
+    expect(polygonAreaSquareMeters(wetland)).to.be.closeTo(2 * squareArea - islandArea, 1);
+  });
+});
+
+describe('Polylines', () => {
+  const line = [
+    [0, 0],
+    [0, 0.001],
+    [0.001, 0.001],
+  ];
+
+  it('adds up the segment lengths', () => {
+    expect(polylineLengthMeters(line)).to.be.closeTo(2 * (DEGREE_METERS / 1000), 0.1);
+    expect(polylineLengthMeters(null)).to.equal(0);
+  });
+
+  it('snaps to the nearest point with its along-track distance', () => {
+    const nearest = nearestPointOnPolyline({ lat: 0.0005, lng: 0.0012 }, line);
+    expect(nearest.segmentIndex).to.equal(1);
+    expect(nearest.lat).to.be.closeTo(0.0005, 1e-9);
+    expect(nearest.lng).to.be.closeTo(0.001, 1e-9);
+    expect(nearest.alongMeters).to.be.closeTo(1.5 * (DEGREE_METERS / 1000), 0.1);
+    expect(nearestPointOnPolyline({ lat: 0, lng: 0 }, [])).to.equal(null);
+  });
+
+  it('simplifies with Douglas–Peucker and keeps the end points', () => {
+    // A stepped path: 67 m east, 60 m north, 67 m east, with 1 m wobbles
+    const wiggly = [
+      [0, 0],
+      [1 / DEGREE_METERS, 0.0003],
+      [0, 0.0006],
+      [60 / DEGREE_METERS, 0.0006],
+      [61 / DEGREE_METERS, 0.0009],
+      [60 / DEGREE_METERS, 0.0012],
+    ];
+    expect(simplifyPolyline(wiggly, 5)).to.deep.equal([wiggly[0], wiggly[2], wiggly[3], wiggly[5]]);
+    expect(simplifyPolyline(wiggly, 100)).to.deep.equal([wiggly[0], wiggly[5]]);
+    expect(simplifyPolyline(wiggly, 0.5)).to.deep.equal(wiggly);
+    expect(simplifyPolyline(line.slice(0, 2), 5)).to.deep.equal(line.slice(0, 2));
+  });
+});
@@ -0,0 +1,43 @@
+import { updateGeofences } from '../../src/utils/geofence';
+
+// ~1.11 m per 0.00001 degrees of latitude
+const poi = { id: 'well1', lat: 44.626389, lng: -63.9235 };
+const at = (metersNorth) => ({ lat: poi.lat + metersNorth / 111320, lng: poi.lng });
+const radii = { enterMeters: 3, exitMeters: 6 };
+
+describe('Geofence hysteresis', () => {
+  it('enters inside the enter radius and reports it once', () => {
+    const first = updateGeofences(new Set(), [poi], at(2), radii);
+    expect(first.entered).to.deep.equal(['well1']);
+
+    const second = updateGeofences(first.inside, [poi], at(1), radii);
+    expect(second.entered).to.deep.equal([]);
+    expect(second.inside.has('well1')).to.equal(true);
+  });
+
+  it('does not exit or re-enter while jittering between the two radii', () => {
+    let state = updateGeofences(new Set(), [poi], at(2), radii).inside;
+    [4, 2.5, 5, 3.5].forEach((m) => {
+      const res = updateGeofences(state, [poi], at(m), radii);
+      expect(res.entered).to.deep.equal([]);
+      expect(res.exited).to.deep.equal([]);
+      state = res.inside;
+    });
+  });
+
+  it('exits beyond the exit radius and queues overlapping stops nearest first', () => {
+    const inside = updateGeofences(new Set(), [poi], at(2), radii).inside;
+    expect(updateGeofences(inside, [poi], at(7), radii).exited).to.deep.equal(['well1']);
+
+    const near = { id: 'near', lat: poi.lat + 1 / 111320, lng: poi.lng };
+    const res = updateGeofences(new Set(), [poi, near], at(1.5), radii);
+    expect(res.entered).to.deep.equal(['near', 'well1']);
+  });
+
+  it('exits a stop that is no longer among the nearby candidates', () => {
+    const inside = updateGeofences(new Set(), [poi], at(2), radii).inside;
+    const res = updateGeofences(inside, [], at(2), radii);
+    expect(res.exited).to.deep.equal(['well1']);
+    expect(res.inside.size).to.equal(0);
+  });
+});
@@ -0,0 +1,58 @@
+import mapData from '../../src/data/map.json';
+import { mapDataToGeoJSON, geoJSONToMapData } from '../../src/utils/geojson';
+
+describe('GeoJSON converter', () => {
+  it('exports areas, POIs and trail segments with [lng, lat] ordering', () => {
+    const collection = mapDataToGeoJSON(mapData);
+
+    expect(collection.type).to.equal('FeatureCollection');
+
+    const trailhead = collection.features.find((f) => f.id === 'trailhead');
+    expect(trailhead.geometry.type).to.equal('Point');
+    expect(trailhead.geometry.coordinates).to.deep.equal([-63.92346, 44.626562]);
+
+    // Polygon rings must be closed in GeoJSON
+    const wetland = collection.features.find((f) => f.id === 'wetlandArea');
+    const ring = wetland.geometry.coordinates[0];
+    expect(ring[0]).to.deep.equal(ring[ring.length - 1]);
+
+    const segments = collection.features.filter((f) => f.geometry.type === 'LineString');
+    expect(segments.length).to.be.greaterThan(0);
+  });
+
+  it('round-trips back to map.json unchanged', () => {
+    const roundTrip = geoJSONToMapData(mapDataToGeoJSON(mapData), mapData);
+
+    expect(roundTrip).to.deep.equal(mapData);
+    expect(Object.keys(roundTrip)).to.deep.equal(Object.keys(mapData));
+  });
+
+  it('carries routes, habitats and settings on the collection', () => {
+    const roundTrip = geoJSONToMapData(mapDataToGeoJSON(mapData));
+
+    expect(roundTrip.routes).to.deep.equal(mapData.routes);
+    expect(roundTrip.habitats).to.deep.equal(mapData.habitats);
+    expect(roundTrip.center).to.deep.equal(mapData.center);
+  });
+
+  it('exports multi-part areas as MultiPolygons and keeps holes', () => {
+    const outer = [[0, 0], [0, 1], [1, 1], [1, 0]];
+    const hole = [[0.4, 0.4], [0.4, 0.6], [0.6, 0.6]];
+    const parcel = [[2, 2], [2, 3], [3, 3]];
+    const data = { areas: { withHole: [outer, hole], twoParts: [[outer], [parcel]] } };
+
+    const collection = mapDataToGeoJSON(data);
+    const withHole = collection.features.find((f) => f.id === 'withHole');
+    expect(withHole.geometry.type).to.equal('Polygon');
+    expect(withHole.geometry.coordinates).to.have.length(2);
+    const twoParts = collection.features.find((f) => f.id === 'twoParts');
+    expect(twoParts.geometry.type).to.equal('MultiPolygon');
+    expect(twoParts.geometry.coordinates[1][0][0]).to.deep.equal([2, 2]);
+
+    expect(geoJSONToMapData(collection).areas).to.deep.equal(data.areas);
+  });
+
+  it('rejects input that is not a FeatureCollection', () => {
+    expect(() => geoJSONToMapData({ type: 'Feature' })).to.throw('FeatureCollection');
+  });
+});
@@ -0,0 +1,27 @@
+import { buildGpx, escapeXml } from '../../src/utils/gpx';
+
+describe('GPX export', () => {
+  it('writes waypoints and a track as GPX 1.1', () => {
+    const gpx = buildGpx({
+      name: 'Main Trail',
+      waypoints: [{ lat: 44.62, lng: -63.92, name: 'Well', desc: 'Old & historic' }],
+      tracks: [{ name: 'Main Trail', points: [[44.62, -63.92], [44.63, -63.93]] }],
+    });
+
+    const doc = new DOMParser().parseFromString(gpx, 'application/xml');
+    expect(doc.querySelector('parsererror')).to.equal(null);
+    expect(doc.documentElement.getAttribute('version')).to.equal('1.1');
+
+    const wpt = doc.querySelector('wpt');
+    expect(wpt.getAttribute('lat')).to.equal('44.62');
+    expect(wpt.getAttribute('lon')).to.equal('-63.92');
+    expect(wpt.querySelector('desc').textContent).to.equal('Old & historic');
+    expect(doc.querySelectorAll('trkpt').length).to.equal(2);
+  });
+
+  it('escapes XML special characters', () => {
+    expect(escapeXml(`St. Paul's <"Church"> & well`)).to.equal(
+      'St. Paul&apos;s &lt;&quot;Church&quot;&gt; &amp; well'
+    );
+  });
+});
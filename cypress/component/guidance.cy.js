@@ -0,0 +1,62 @@
+import { getNextStopGuidance, WALKING_SPEED_MPS } from '../../src/utils/guidance';
+
+// A straight trail running 300 m north, with stops every 100 m
+const origin = { lat: 44.626, lng: -63.923 };
+const metersPerDegreeLng = 111320 * Math.cos((origin.lat * Math.PI) / 180);
+const at = (metersNorth, metersEast = 0) => ({
+  lat: origin.lat + metersNorth / 111320,
+  lng: origin.lng + metersEast / metersPerDegreeLng,
+});
+const trailLine = [0, 300].map((m) => {
+  const p = at(m);
+  return [p.lat, p.lng];
+});
+const stops = [100, 200, 300].map((m, i) => ({ id: `stop-${i}`, ...at(m) }));
+
+describe('Next stop guidance', () => {
+  it('measures the way to the next stop along the trail', () => {
+    const guidance = getNextStopGuidance(stops, at(50), trailLine);
+    expect(guidance.onTrail).to.equal(true);
+    expect(guidance.stop.id).to.equal('stop-0');
+    expect(guidance.distanceMeters).to.be.closeTo(50, 1);
+    expect(guidance.etaMinutes).to.be.closeTo(50 / WALKING_SPEED_MPS / 60, 0.05);
+    expect(guidance.compass).to.equal('N');
+  });
+
+  it('moves on to the following stop once a stop is reached', () => {
+    const guidance = getNextStopGuidance(stops, at(97), trailLine);
+    expect(guidance.stopIndex).to.equal(1);
+    expect(guidance.distanceMeters).to.be.closeTo(103, 1);
+  });
+
+  it('guides in a straight line once more than 40 m off the trail', () => {
+    const near = getNextStopGuidance(stops, at(150, 35), trailLine);
+    expect(near.onTrail).to.equal(true);
+
+    const off = getNextStopGuidance(stops, at(190, 45), trailLine);
+    expect(off.onTrail).to.equal(false);
+    expect(off.stop.id).to.equal('stop-1');
+    expect(off.distanceMeters).to.be.closeTo(Math.hypot(10, 45), 1);
+    expect(off.compass).to.equal('W');
+  });
+
+  it('reports the walk finished after the last stop', () => {
+    const guidance = getNextStopGuidance(stops, at(298), trailLine);
+    expect(guidance.finished).to.equal(true);
+    expect(guidance.stop).to.equal(null);
+  });
+
+  it('falls back to the nearest stop when there is no trail line', () => {
+    [undefined, [], [trailLine[0]]].forEach((line) => {
+      const guidance = getNextStopGuidance(stops, at(180), line);
+      expect(guidance.onTrail).to.equal(false);
+      expect(guidance.stop.id).to.equal('stop-1');
+      expect(guidance.distanceMeters).to.be.closeTo(20, 1);
+    });
+  });
+
+  it('returns null without a position or stops', () => {
+    expect(getNextStopGuidance(stops, null, trailLine)).to.equal(null);
+    expect(getNextStopGuidance([], at(50), trailLine)).to.equal(null);
+  });
+});
@@ -0,0 +1,83 @@
+import mapData from '../../src/data/map.json';
+import ecologyData from '../../src/data/ecologydata.json';
+import { buildHabitats, validateHabitats } from '../../src/utils/habitats';
+import { updateAreaGeofences } from '../../src/utils/geofence';
+
+const areas = [
+  {
+    id: 'wetlandArea',
+    name: 'Wetland Area',
+    style: { stroke: '#0ea5e9' },
+    coords: mapData.areas.wetlandArea,
+  },
+];
+const exitMeters = 8;
+
+// Small square around the origin, ~111 m a side
+const square = {
+  id: 'square',
+  coords: [
+    [0, 0],
+    [0, 0.001],
+    [0.001, 0.001],
+    [0.001, 0],
+  ],
+};
+// ~1.11 m per 0.00001 degrees
+const south = (meters) => ({ lat: -meters / 111320, lng: 0.0005 });
+const centre = { lat: 0.0005, lng: 0.0005 };
+
+describe('Habitats', () => {
+  it('joins habitats to areas and species categories', () => {
+    const habitats = buildHabitats(
+      { wetlandArea: { description: 'Wet ground.', species: ['Beaver', 'Fern', 'Unicorn'] } },
+      areas,
+      ecologyData.species_by_category
+    );
+
+    expect(habitats.wetlandArea.name).to.equal('Wetland Area');
+    expect(habitats.wetlandArea.species).to.deep.equal([
+      { name: 'Beaver', category: 'fauna' },
+      { name: 'Fern', category: 'flora' },
+    ]);
+  });
+
+  it('accepts the shipped habitats', () => {
+    expect(validateHabitats(mapData, ecologyData)).to.deep.equal([]);
+  });
+
+  it('reports unknown areas and species', () => {
+    const data = {
+      ...mapData,
+      habitats: { meadow: { description: 'Grass.', species: ['Beaver', 'Unicorn'] } },
+    };
+    expect(validateHabitats(data, ecologyData)).to.deep.equal([
+      'Habitat "meadow" is not an area in map.json.',
+      'Habitat "meadow" species "Unicorn" is not in ecologydata.json.',
+    ]);
+  });
+});
+
+describe('Area geofences', () => {
+  it('enters when inside the polygon and stays inside within the exit margin', () => {
+    const first = updateAreaGeofences(new Set(), [square], centre, { exitMeters });
+    expect(first.entered).to.deep.equal(['square']);
+
+    // Just outside the edge: not entered from outside, but not left once inside
+    const outside = updateAreaGeofences(new Set(), [square], south(5), { exitMeters });
+    expect(outside.entered).to.deep.equal([]);
+    const jitter = updateAreaGeofences(first.inside, [square], south(5), { exitMeters });
+    expect(jitter.exited).to.deep.equal([]);
+    expect(jitter.inside.has('square')).to.equal(true);
+  });
+
+  it('exits beyond the margin or when tracking stops', () => {
+    const inside = updateAreaGeofences(new Set(), [square], centre, { exitMeters }).inside;
+
+    const walkedOff = updateAreaGeofences(inside, [square], south(12), { exitMeters });
+    expect(walkedOff.exited).to.deep.equal(['square']);
+
+    const stopped = updateAreaGeofences(inside, [square], null, { exitMeters });
+    expect(stopped.exited).to.deep.equal(['square']);
+  });
+});
@@ -0,0 +1,162 @@
+import mapData from '../../src/data/map.json';
+import {
+  compactAreaCoords,
+  getSiteStats,
+  sanitizeAreaCoords,
+  sanitizePolygonCoords,
+  sanitizeRoutes,
+  sanitizeTrails,
+  validateMapData,
+} from '../../src/utils/mapData';
+import { POI_TYPES } from '../../src/utils/mapConstants';
+import { buildSpeciesImageIndex, validateEcologyData } from '../../src/utils/speciesImages';
+import { ICON_CONFIGS } from '../../src/components/mapLayers';
+
+describe('Map data validation', () => {
+  it('accepts the published map.json', () => {
+    expect(validateMapData(mapData)).to.deep.equal([]);
+  });
+
+  it('reports duplicate ids, missing names and bad coordinates', () => {
+    const data = {
+      ...mapData,
+      pois: [
+        { id: 'well1', name: 'Well', lat: 44.6, lng: -63.9 },
+        { id: 'well1', name: '', lat: 'north', lng: -63.9 },
+      ],
+    };
+    const errors = validateMapData(data);
+    expect(errors).to.include('POI "well1" id is used more than once.');
+    expect(errors).to.include('POI "well1" needs a name.');
+    expect(errors).to.include('POI "well1" has an invalid latitude.');
+  });
+
+  it('requires a transcript for every audio clip', () => {
+    const data = {
+      ...mapData,
+      pois: [{ id: 'well1', name: 'Well', lat: 44.6, lng: -63.9, audioSrc: '/audio/well1.mp3' }],
+    };
+    expect(validateMapData(data)).to.include('POI "well1" has audio but no transcriptSrc.');
+  });
+
+  it('flags area rings the public map would silently clean up', () => {
+    const data = {
+      ...mapData,
+      areas: { ...mapData.areas, meadowArea: [[44.62, -63.92], [44.63, 'x']] },
+    };
+    expect(validateMapData(data)).to.include.members([
+      'Area "meadowArea" has 1 invalid point(s).',
+      'Area "meadowArea" needs at least 3 points.',
+    ]);
+    expect(sanitizePolygonCoords(data.areas.meadowArea)).to.have.length(1);
+  });
+
+  it('accepts areas with holes and several parts', () => {
+    const { wetlandArea, rewildingArea } = mapData.areas;
+    const twoParts = [[wetlandArea], [rewildingArea]];
+    const data = { ...mapData, areas: { ...mapData.areas, wetlandArea: twoParts } };
+    expect(validateMapData(data)).to.deep.equal([]);
+
+    const stray = [[44.7, -63.8], [44.7, -63.81], [44.71, -63.81]];
+    const bad = { ...mapData, areas: { ...mapData.areas, wetlandArea: [wetlandArea, stray] } };
+    expect(validateMapData(bad)).to.include(
+      'Area "wetlandArea" hole 1 is not inside the outer ring.'
+    );
+  });
+});
+
+describe('Area coordinates', () => {
+  const outer = [[0, 0], [0, 1], [1, 1], [1, 0]];
+  const hole = [[0.4, 0.4], [0.4, 0.6], [0.6, 0.6]];
+
+  it('sanitizes every ring and drops parts too small to draw', () => {
+    expect(sanitizeAreaCoords(outer)).to.deep.equal([[outer]]);
+    expect(sanitizeAreaCoords([[outer, hole, [[0, 0]]], [[[2, 2], [2, 3]]]])).to.deep.equal([
+      [outer, hole],
+    ]);
+  });
+
+  it('writes areas back in their simplest form', () => {
+    expect(compactAreaCoords([[outer]])).to.deep.equal(outer);
+    expect(compactAreaCoords([[outer, hole]])).to.deep.equal([outer, hole]);
+    expect(compactAreaCoords([[outer], [hole]])).to.deep.equal([[outer], [hole]]);
+  });
+});
+
+describe('Routes', () => {
+  const trails = sanitizeTrails(mapData.trails);
+
+  it('walks only the listed segments of the trail', () => {
+    const routes = sanitizeRoutes(mapData.routes, trails);
+    const stroll = routes.find((r) => r.id === 'farmhouse-stroll');
+    expect(stroll.accessible).to.equal(true);
+    expect(stroll.trail.segments.map((seg) => seg.id)).to.deep.equal(['trailhead-farmhouse']);
+    expect(stroll.trail.coords[0]).to.deep.equal(trails[0].coords[0]);
+  });
+
+  it('falls back to one route per trail when map.json has none', () => {
+    const routes = sanitizeRoutes(undefined, trails);
+    expect(routes.map((r) => r.id)).to.deep.equal(trails.map((t) => t.id));
+    expect(routes[0].lengthMeters).to.be.greaterThan(0);
+  });
+});
+
+describe('Site statistics', () => {
+  it('measures the site border and trail from map.json', () => {
+    const stats = getSiteStats(mapData);
+    expect(stats.hectares).to.be.greaterThan(1);
+    expect(stats.acres).to.be.closeTo(stats.hectares * 2.471, 0.01);
+    expect(stats.outAndBackMeters).to.equal(stats.trailMeters * 2);
+  });
+
+  it('measures the trail from its segments', () => {
+    const stats = getSiteStats(mapData);
+    expect(stats.trailMeters).to.be.greaterThan(0);
+  });
+});
+
+describe('Build-time data cross-checks', () => {
+  it('keeps marker icons and POI types in sync', () => {
+    expect(Object.keys(ICON_CONFIGS)).to.have.members(POI_TYPES);
+  });
+
+  it('reports unknown POI types and missing route stops', () => {
+    const data = {
+      ...mapData,
+      pois: mapData.pois
+        .filter((p) => p.id !== 'labyrinth')
+        .map((p) => (p.id === 'well1' ? { ...p, type: 'bench' } : p)),
+    };
+    const errors = validateMapData(data).join('\n');
+    expect(errors).to.contain('unknown type "bench"');
+    expect(errors).to.contain('Route "woodland-loop" stop "labyrinth" is missing from pois.');
+  });
+
+  it('reports routes over unknown trails or segments', () => {
+    const data = {
+      ...mapData,
+      routes: [
+        { id: 'boardwalk', name: 'Boardwalk', trailId: 'wetland', stops: ['trailhead'] },
+        { id: 'spur', name: 'Spur', segmentIds: ['no-such-segment'], stops: [] },
+      ],
+    };
+    expect(validateMapData(data)).to.include.members([
+      'Route "boardwalk" uses unknown trail "wetland".',
+      'Route "spur" uses unknown trail segment "no-such-segment".',
+      'Route "spur" needs at least one stop.',
+    ]);
+  });
+
+  it('reports species without photos and stale counts', () => {
+    const index = buildSpeciesImageIndex([['Beaver.jpg', 'Beaver.jpg']]);
+    const data = {
+      metadata: { total_species: 3, species_with_images: 2, category_counts: { fauna: 2 } },
+      species_by_category: { fauna: ['Beaver', 'Snowshoe Hare'] },
+    };
+    expect(validateEcologyData(data, index)).to.deep.equal([
+      'Species "Snowshoe Hare" (fauna) has no image in src/assets/ecologyimages (expected a file named like "snowshoehare.jpg").',
+      'total_species is 3, but the lists contain 2 species.',
+      'species_with_images is 2, but 1 species have an image.',
+    ]);
+  });
+});
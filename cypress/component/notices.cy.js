@@ -0,0 +1,85 @@
+import mapData from '../../src/data/map.json';
+import { sanitizeTrails } from '../../src/utils/mapData';
+import {
+  getActiveNotices,
+  isNoticeActive,
+  resolveNoticeGeometry,
+  validateNotices,
+} from '../../src/utils/notices';
+import { getHazardsWithinRadius } from '../../src/utils/geo';
+
+const trails = sanitizeTrails(mapData.trails);
+const treeDown = {
+  id: 'tree-down',
+  title: 'Tree down',
+  message: 'A fallen birch blocks the path past the labyrinth.',
+  severity: 'closure',
+  start: '2025-11-01',
+  end: '2025-11-03',
+  geometry: { type: 'segment', segmentId: 'yellow-birch-labyrinth' },
+};
+const wetFeet = {
+  id: 'wet-feet',
+  title: 'Wet ground',
+  message: 'Expect standing water after rain.',
+  severity: 'info',
+  geometry: { type: 'area', areaId: 'wetlandArea' },
+};
+
+describe('Notice expiry', () => {
+  it('treats plain end dates as inclusive local days', () => {
+    expect(isNoticeActive(treeDown, new Date(2025, 9, 31, 23, 0))).to.equal(false);
+    expect(isNoticeActive(treeDown, new Date(2025, 10, 1, 0, 0))).to.equal(true);
+    expect(isNoticeActive(treeDown, new Date(2025, 10, 3, 22, 0))).to.equal(true);
+    expect(isNoticeActive(treeDown, new Date(2025, 10, 4, 0, 0))).to.equal(false);
+  });
+
+  it('lists active notices most severe first', () => {
+    const now = new Date(2025, 10, 2);
+    expect(getActiveNotices([wetFeet, treeDown], now).map((n) => n.id)).to.deep.equal([
+      'tree-down',
+      'wet-feet',
+    ]);
+    expect(getActiveNotices([wetFeet, treeDown], new Date(2025, 11, 1))).to.have.length(1);
+  });
+});
+
+describe('Notice geometry and hazard proximity', () => {
+  it('resolves segments and areas from map.json', () => {
+    const line = resolveNoticeGeometry(treeDown.geometry, { trails, areas: mapData.areas });
+    expect(line.type).to.equal('line');
+    expect(line.coords).to.deep.equal(trails[0].segments[2].coords);
+
+    const area = resolveNoticeGeometry(wetFeet.geometry, { trails, areas: mapData.areas });
+    expect(area).to.deep.equal({ type: 'polygon', coords: [[mapData.areas.wetlandArea]] });
+  });
+
+  it('warns when a visitor is near a hazard, nearest first', () => {
+    const [start] = trails[0].segments[2].coords;
+    const hazards = [
+      { id: 'tree-down', geometry: { type: 'line', coords: trails[0].segments[2].coords } },
+      { id: 'post', geometry: { type: 'point', lat: start[0] + 20 / 111320, lng: start[1] } },
+    ];
+    const user = { lat: start[0], lng: start[1] };
+    expect(getHazardsWithinRadius(hazards, user, 30).map((h) => h.hazard.id)).to.deep.equal([
+      'tree-down',
+      'post',
+    ]);
+    expect(getHazardsWithinRadius(hazards, user, 10)).to.have.length(1);
+  });
+
+  it('reports unknown segments, areas and reversed dates', () => {
+    const data = {
+      notices: [
+        { ...treeDown, end: '2025-10-01' },
+        { ...wetFeet, geometry: { type: 'area', areaId: 'beaverPond' } },
+        { ...wetFeet, id: 'bridge', geometry: { type: 'segment', segmentId: 'boardwalk' } },
+      ],
+    };
+    expect(validateNotices(data, mapData)).to.deep.equal([
+      'Notice "tree-down" ends before it starts.',
+      'Notice "wet-feet" uses unknown area "beaverPond".',
+      'Notice "bridge" uses unknown trail segment "boardwalk".',
+    ]);
+  });
+});
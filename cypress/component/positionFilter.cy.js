@@ -0,0 +1,60 @@
+import { createPositionFilter } from '../../src/utils/positionFilter';
+
+const base = { lat: 44.6255, lng: -63.922 };
+const north = (meters) => base.lat + meters / 111320;
+
+describe('Position filter', () => {
+  it('smooths noisy fixes and shrinks the reported accuracy', () => {
+    const filter = createPositionFilter();
+    const first = filter.update({ ...base, accuracy: 15, time: 0 });
+    expect(first.accuracy).to.equal(15);
+
+    const second = filter.update({ lat: north(10), lng: base.lng, accuracy: 15, time: 1000 });
+    // Estimate moves only part of the way towards the noisy fix
+    expect(second.lat).to.be.greaterThan(base.lat);
+    expect(second.lat).to.be.lessThan(north(10));
+    expect(second.accuracy).to.be.lessThan(15);
+  });
+
+  it('rejects inaccurate fixes and impossible jumps', () => {
+    const filter = createPositionFilter();
+    filter.update({ ...base, accuracy: 5, time: 0 });
+
+    expect(filter.update({ ...base, accuracy: 200, time: 1000 })).to.equal(null);
+    expect(filter.update({ lat: north(500), lng: base.lng, accuracy: 5, time: 2000 })).to.equal(null);
+  });
+
+  it('keeps following the visitor when every fix is inaccurate', () => {
+    const filter = createPositionFilter({ maxConsecutiveInaccurate: 2 });
+    filter.update({ ...base, accuracy: 80, time: 0 });
+    // Walking north at 1.2 m/s under canopy, accuracy never better than 80 m
+    const fix = (s) => ({ lat: north(s * 1.2), lng: base.lng, accuracy: 80, time: s * 1000 });
+
+    expect(filter.update(fix(1))).to.equal(null);
+    expect(filter.update(fix(2))).to.equal(null);
+    let latest = null;
+    for (let s = 3; s <= 120; s++) latest = filter.update(fix(s));
+    expect(latest).to.not.equal(null);
+    expect(latest.lat).to.be.greaterThan(north(40));
+  });
+
+  it('drops the odd inaccurate fix again once a good one arrives', () => {
+    const filter = createPositionFilter({ maxConsecutiveInaccurate: 1 });
+    filter.update({ ...base, accuracy: 5, time: 0 });
+
+    expect(filter.update({ ...base, accuracy: 200, time: 1000 })).to.equal(null);
+    expect(filter.update({ ...base, accuracy: 200, time: 2000 })).to.not.equal(null);
+    expect(filter.update({ ...base, accuracy: 5, time: 3000 })).to.not.equal(null);
+    expect(filter.update({ ...base, accuracy: 200, time: 4000 })).to.equal(null);
+  });
+
+  it('accepts a persistent jump after repeated rejections', () => {
+    const filter = createPositionFilter({ maxConsecutiveRejects: 2 });
+    filter.update({ ...base, accuracy: 5, time: 0 });
+    const far = { lat: north(500), lng: base.lng, accuracy: 5 };
+
+    expect(filter.update({ ...far, time: 1000 })).to.equal(null);
+    expect(filter.update({ ...far, time: 2000 })).to.equal(null);
+    expect(filter.update({ ...far, time: 3000 })).to.not.equal(null);
+  });
+});
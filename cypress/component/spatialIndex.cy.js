@@ -0,0 +1,57 @@
+import { haversineMeters } from '../../src/utils/geo';
+import { createSpatialIndex } from '../../src/utils/spatialIndex';
+
+// A 20 x 20 lattice of points 0.0002 degrees apart (~22 m north-south, ~16 m east-west)
+const origin = { lat: 44.62, lng: -63.92 };
+const points = [];
+for (let i = 0; i < 20; i++) {
+  for (let j = 0; j < 20; j++) {
+    points.push({ id: `${i}-${j}`, lat: origin.lat + i * 0.0002, lng: origin.lng + j * 0.0002 });
+  }
+}
+const query = { lat: origin.lat + 0.00213, lng: origin.lng + 0.00171 };
+
+// Every point measured, nearest first, as the index should answer
+const linear = (from) =>
+  points
+    .map((item) => ({ item, distance: haversineMeters(from.lat, from.lng, item.lat, item.lng) }))
+    .sort((a, b) => a.distance - b.distance);
+const ids = (found) => found.map(({ item }) => item.id);
+
+describe('Spatial index', () => {
+  it('finds the same points within a radius as a linear scan', () => {
+    const index = createSpatialIndex(points, { cellMeters: 30 });
+    [5, 25, 60, 200].forEach((radius) => {
+      const expected = linear(query).filter(({ distance }) => distance <= radius);
+      expect(ids(index.withinRadius(query, radius))).to.deep.equal(ids(expected));
+    });
+  });
+
+  it('finds the k nearest points, also from outside the indexed area', () => {
+    const index = createSpatialIndex(points, { cellMeters: 30 });
+    const far = { lat: origin.lat - 0.01, lng: origin.lng + 0.02 };
+    [query, far].forEach((from) => {
+      expect(ids(index.nearest(from, 7))).to.deep.equal(ids(linear(from).slice(0, 7)));
+    });
+    expect(index.nearest(query, 3, 10)).to.have.length(0);
+    expect(index.nearest(query, 1000)).to.have.length(points.length);
+  });
+
+  it('skips items without coordinates and handles an empty index', () => {
+    const index = createSpatialIndex([points[0], { id: 'broken', lat: 'x' }, null]);
+    expect(index.size).to.equal(1);
+    expect(ids(index.nearest(origin))).to.deep.equal(['0-0']);
+
+    const empty = createSpatialIndex([]);
+    expect(empty.withinRadius(origin, 100)).to.deep.equal([]);
+    expect(empty.nearest(origin, 3)).to.deep.equal([]);
+  });
+
+  it('reads coordinates through getPoint', () => {
+    const sightings = [{ where: [origin.lat, origin.lng] }];
+    const index = createSpatialIndex(sightings, {
+      getPoint: ({ where }) => ({ lat: where[0], lng: where[1] }),
+    });
+    expect(index.withinRadius(origin, 1)[0].item).to.equal(sightings[0]);
+  });
+});
@@ -0,0 +1,43 @@
+import { summarizeWalk, anonymiseWalkSummary, formatDuration } from '../../src/utils/walkSummary';
+
+const square = [
+  [44.0, -63.0],
+  [44.0, -62.99],
+  [44.01, -62.99],
+  [44.01, -63.0],
+];
+const stop = { id: 'well1', name: 'Well', lat: 44.005, lng: -62.995 };
+
+describe('Walk summary', () => {
+  it('totals distance, duration, time inside and stops visited', () => {
+    const fixes = [
+      { lat: 43.999, lng: -62.995, time: 0 }, // outside
+      { lat: 44.001, lng: -62.995, time: 60000 }, // inside
+      { lat: 44.005, lng: -62.995, time: 180000 }, // inside, at the stop
+      { lat: 44.009, lng: -62.995, time: 300000 }, // inside
+    ];
+    const stats = summarizeWalk(fixes, { pois: [stop], siteBorder: square });
+
+    expect(stats.durationMs).to.equal(300000);
+    expect(stats.insideMs).to.equal(240000);
+    expect(stats.distanceMeters).to.be.closeTo(1112, 5);
+    expect(stats.stopsVisited).to.deep.equal([{ id: 'well1', name: 'Well' }]);
+  });
+
+  it('shares no coordinates in the anonymised summary', () => {
+    const stats = { distanceMeters: 1234, durationMs: 1800000, insideMs: 1500000, stopsVisited: [{ id: 'well1', name: 'Well' }] };
+    const shared = anonymiseWalkSummary(stats, Date.UTC(2025, 9, 4, 15, 30));
+    expect(shared).to.deep.equal({
+      date: '2025-10-04',
+      distanceMeters: 1250,
+      durationMinutes: 30,
+      insideMinutes: 25,
+      stopsVisited: ['well1'],
+    });
+  });
+
+  it('formats durations', () => {
+    expect(formatDuration(12 * 60000)).to.equal('12 min');
+    expect(formatDuration(65 * 60000)).to.equal('1 h 05 min');
+  });
+});
@@ -0,0 +1,37 @@
+import { parseWebVTT, cueTextAt, transcriptText } from '../../src/utils/webvtt';
+
+const sample = [
+  'WEBVTT',
+  '',
+  'NOTE Labyrinth (/audio/labyrinth.mp3)',
+  '',
+  '1',
+  '00:00.150 --> 00:01.040',
+  'Labyrinth.',
+  '',
+  '00:01.040 --> 00:03.413 align:start',
+  '<v Guide>A labyrinth is a winding path &amp; more',
+  '',
+].join('\r\n');
+
+describe('WebVTT transcripts', () => {
+  it('parses cues with optional ids, settings, voice tags and entities', () => {
+    expect(parseWebVTT(sample)).to.deep.equal([
+      { start: 0.15, end: 1.04, text: 'Labyrinth.' },
+      { start: 1.04, end: 3.413, text: 'A labyrinth is a winding path & more' },
+    ]);
+  });
+
+  it('finds the caption for a playback position', () => {
+    const cues = parseWebVTT(sample);
+    expect(cueTextAt(cues, 0.5)).to.equal('Labyrinth.');
+    expect(cueTextAt(cues, 2)).to.contain('winding path');
+    expect(cueTextAt(cues, 5)).to.equal(null);
+    expect(transcriptText(cues)).to.equal('Labyrinth. A labyrinth is a winding path & more');
+  });
+
+  it('rejects files that are not WebVTT or have bad timings', () => {
+    expect(() => parseWebVTT('1\n00:01.000 --> 00:02.000\nHi')).to.throw('WEBVTT');
+    expect(() => parseWebVTT('WEBVTT\n\n00:02.000 --> 00:01.000\nHi')).to.throw('Invalid cue timing');
+  });
+});
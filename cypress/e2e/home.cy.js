@@ -25,5 +25,14 @@ describe('Homepage', () => {
     cy.contains('Share & Explore Photos').should('exist');
     cy.contains('Conservation Education').should('exist');
   });
-});
 
+  it('lists the map routes and links each into the map', () => {
+    cy.visit('/');
+
+    cy.get('[data-cy="home-route-link"]').should('have.length.greaterThan', 1);
+    cy.contains('[data-cy="home-route-link"]', 'Farmhouse Stroll').click();
+
+    cy.location('pathname').should('eq', '/sitemap');
+    cy.location('search').should('contain', 'route=farmhouse-stroll');
+  });
+});
@@ -5,12 +5,10 @@ describe('Sitemap (Map) page', () => {
     cy.get('.leaflet-container').should('exist');
 
     cy.contains('Overview').should('exist');
-    cy.contains('Trail').should('exist');
+    cy.get('[data-cy="route-picker"]').should('exist');
 
-    // Scroll to it and click even if overlapped
-    cy.contains('Trail')
-      .scrollIntoView()
-      .click({ force: true });
+    // Choosing a route switches to Trail mode
+    cy.get('[data-cy="route-picker"]').select('Woodland Loop', { force: true });
 
     cy.get('.custom-div-icon')
       .its('length')
@@ -18,3 +16,243 @@ describe('Sitemap (Map) page', () => {
   });
 });
 
+
+describe('Sitemap demo mode (simulated GPS)', () => {
+  it('replays the trail and reports the nearby Talking Tree deterministically', () => {
+    cy.clock();
+    cy.visit('/sitemap?demo=1');
+
+    cy.get('[data-cy="demo-panel"]').should('exist');
+    cy.contains('Locate').click({ force: true });
+    cy.tick(10);
+
+    // First simulated fix is the start of the trail
+    cy.get('[data-cy="talking-trees-panel"]').should('contain', 'Trailhead');
+
+    cy.get('[data-cy="demo-panel"]').contains('Play').click({ force: true });
+
+    // One simulated fix per second at 1x: ~22 m along the trail is the old well
+    cy.tick(22000);
+    cy.get('[data-cy="talking-trees-panel"]').should('contain', 'Well');
+
+    // ~37 m along is the exercise bar
+    cy.tick(15000);
+    cy.get('[data-cy="talking-trees-panel"]').should('contain', 'Exercise Bar');
+  });
+
+  it('shows the habitat card for the area the visitor is in', () => {
+    cy.clock();
+    cy.visit('/sitemap?demo=1');
+
+    cy.contains('Locate').click({ force: true });
+    cy.tick(10);
+
+    // The trailhead is inside the Rewilding Area
+    cy.get('[data-cy="habitat-card"]').should('contain', 'Rewilding Area');
+    cy.get('[data-cy="habitat-species"]').should('contain', 'Goldenrod');
+
+    cy.get('[data-cy="habitat-card"]').find('button[aria-label="Close"]').click({ force: true });
+    cy.get('[data-cy="habitat-card"]').should('not.exist');
+  });
+});
+
+describe('Sitemap audio tour', () => {
+  it('plays the stops in trail order without location access', () => {
+    cy.visit('/sitemap');
+
+    cy.get('[data-cy="tour-start"]').click({ force: true });
+    cy.get('[data-cy="audio-tour"]').should('exist');
+    cy.get('[data-cy="tour-stop"]').should('have.length', 8);
+    cy.get('[data-cy="tour-now"]').should('contain', 'Trailhead');
+
+    cy.get('[data-cy="tour-next"]').click({ force: true });
+    cy.get('[data-cy="tour-now"]').should('contain', 'Well');
+    cy.get('[data-cy="tour-stop"]').eq(1).should('have.attr', 'aria-current', 'true');
+    cy.get('.tour-stop-highlight').should('exist');
+
+    cy.get('[data-cy="tour-stop"]').last().click({ force: true });
+    cy.get('[data-cy="tour-now"]').should('contain', 'Labyrinth');
+    cy.get('[data-cy="tour-next"]').should('be.disabled');
+
+    cy.get('[data-cy="tour-start"]').click({ force: true });
+    cy.get('[data-cy="audio-tour"]').should('not.exist');
+  });
+});
+
+describe('Sitemap Explore mode', () => {
+  it('enables zoom controls, a scale bar and navigation buttons', () => {
+    cy.visit('/sitemap');
+
+    // Static views have no zoom control
+    cy.get('.leaflet-control-zoom').should('not.exist');
+
+    cy.contains('button', 'Explore').click({ force: true });
+
+    cy.get('.leaflet-control-zoom').should('exist');
+    cy.get('.leaflet-control-scale').should('exist');
+    cy.contains('Recenter on me').should('exist');
+    cy.contains('Reset to site').should('exist');
+  });
+});
+
+describe('Sitemap deep links', () => {
+  it('opens a POI popup from ?poi=', () => {
+    cy.visit('/sitemap?poi=labyrinth');
+
+    cy.get('.leaflet-popup').should('contain', 'Labyrinth');
+    cy.get('.leaflet-popup [data-cy="copy-link"]').should('exist');
+  });
+
+  it('expands the full transcript in a POI popup', () => {
+    cy.visit('/sitemap?poi=labyrinth');
+
+    cy.get('.leaflet-popup [data-cy="popup-transcript"]').as('transcript');
+    cy.get('@transcript').find('summary').click();
+    cy.get('@transcript').should('contain', 'A labyrinth is a winding path');
+  });
+
+  it('tries a failed transcript again when it is reopened', () => {
+    let failed = false;
+    cy.intercept('GET', '/captions/labyrinth.vtt', (req) => {
+      if (failed) return;
+      failed = true;
+      req.reply({ statusCode: 500 });
+    });
+    cy.visit('/sitemap?poi=labyrinth');
+
+    cy.get('.leaflet-popup [data-cy="popup-transcript"]').as('transcript');
+    cy.get('@transcript').find('summary').click();
+    cy.get('@transcript').should('contain', 'could not be loaded');
+
+    cy.get('@transcript').find('summary').click();
+    cy.get('@transcript').find('summary').click();
+    cy.get('@transcript').should('contain', 'A labyrinth is a winding path');
+  });
+
+    it('opens an area popup from ?area=', () => {
+    cy.visit('/sitemap?area=wetlandArea');
+
+    cy.get('.leaflet-popup').should('contain', 'Wetland Area');
+  });
+
+  it('drops the deep link when switching modes', () => {
+    cy.visit('/sitemap?poi=labyrinth');
+
+    cy.contains('button', 'Overview').click({ force: true });
+    cy.location('search').should('not.contain', 'poi=');
+  });
+});
+
+describe('Sitemap routes', () => {
+  it('shows the chosen route and keeps it in the URL', () => {
+    cy.visit('/sitemap');
+
+    cy.get('[data-cy="route-picker"]').select('Farmhouse Stroll', { force: true });
+
+    cy.location('search').should('contain', 'route=farmhouse-stroll');
+    cy.get('[data-cy="route-info"]').should('contain', 'Accessible');
+    cy.get('.custom-div-icon').should('have.length', 4);
+  });
+
+  it('opens a route from ?route=', () => {
+    cy.visit('/sitemap?route=scavenger-hunt');
+
+    cy.get('[data-cy="route-picker"]').should('have.value', 'scavenger-hunt');
+    cy.get('[data-cy="route-info"]').should('contain', '5 stops');
+  });
+
+  it('shows only the chosen route\'s stops', () => {
+    cy.visit('/sitemap?route=scavenger-hunt');
+    cy.get('.custom-div-icon').should('have.length', 5);
+    cy.get('.custom-div-icon img[alt="well"]').should('exist');
+    cy.get('.custom-div-icon img[alt="labyrinth"]').should('not.exist');
+
+    cy.get('[data-cy="route-picker"]').select('Wetland Boardwalk Walk', { force: true });
+
+    cy.location('search').should('contain', 'route=wetland-boardwalk');
+    cy.get('[data-cy="route-info"]').should('contain', '4 stops');
+    cy.get('.custom-div-icon').should('have.length', 4);
+    cy.get('.custom-div-icon img[alt="labyrinth"]').should('exist');
+    cy.get('.custom-div-icon img[alt="well"]').should('not.exist');
+  });
+});
+
+describe('Sitemap layers', () => {
+  beforeEach(() => {
+    cy.clearLocalStorage();
+  });
+
+  it('switches the base map and remembers it across visits', () => {
+    cy.visit('/sitemap');
+
+    cy.get('[data-cy="base-layer-auto"]').should('be.checked');
+    cy.get('.leaflet-tile-pane img')
+      .first()
+      .should('have.attr', 'src')
+      .and('contain', 'openstreetmap');
+
+    cy.contains('summary', 'Layers').click();
+    cy.get('[data-cy="base-layer-highContrast"]').check({ force: true });
+    cy.get('.base-layer-high-contrast').should('exist');
+
+    cy.reload();
+    cy.get('[data-cy="base-layer-highContrast"]').should('be.checked');
+    cy.get('.base-layer-high-contrast').should('exist');
+  });
+
+  it('uses the dark base map on auto when dark mode is on', () => {
+    cy.visit('/sitemap');
+
+    cy.get('button[aria-label="Toggle dark mode"]').first().click({ force: true });
+    cy.get('.leaflet-tile-pane img')
+      .first()
+      .should('have.attr', 'src')
+      .and('contain', 'cartocdn');
+  });
+
+  it('hides overlays that are switched off', () => {
+    cy.visit('/sitemap?route=farmhouse-stroll');
+    cy.get('.custom-div-icon').should('have.length', 4);
+
+    cy.contains('summary', 'Layers').click();
+    cy.get('[data-cy="overlay-pois"]').uncheck({ force: true });
+    cy.get('.custom-div-icon').should('not.exist');
+  });
+});
+
+describe('Printable map', () => {
+  it('opens from the Sitemap downloads menu', () => {
+    cy.visit('/sitemap');
+
+    cy.contains('summary', 'Downloads').click();
+    cy.get('[data-cy="print-map"]').click();
+    cy.location('pathname').should('eq', '/sitemap/print');
+  });
+
+  it('numbers every stop in walking order on the map and in the list', () => {
+    cy.visit('/sitemap/print');
+
+    cy.get('.numbered-div-icon').should('have.length', 8);
+    cy.get('[data-cy="print-stops"] li').should('have.length', 8);
+    cy.get('[data-cy="print-stops"] li').eq(0).should('contain', 'Trailhead');
+    cy.get('[data-cy="print-stops"] li').eq(1).should('contain', 'Well');
+    cy.get('[data-cy="print-legend"]').should('contain', 'Wetland Area');
+    cy.get('[data-cy="print-sheet"] .leaflet-control-scale').should('exist');
+    cy.get('[data-cy="print-sheet"] img[alt="North arrow"]').should('exist');
+  });
+
+  it('lays the sheet out for the chosen paper and orientation', () => {
+    cy.visit('/sitemap/print');
+
+    cy.get('[data-cy="print-sheet"]').then(($sheet) => {
+      expect($sheet.height()).to.be.greaterThan($sheet.width());
+    });
+
+    cy.get('[data-cy="print-paper"]').select('Letter');
+    cy.get('[data-cy="print-orientation"]').select('landscape');
+    cy.get('[data-cy="print-sheet"]').then(($sheet) => {
+      expect($sheet.width()).to.be.greaterThan($sheet.height());
+    });
+    cy.get('style').should('contain.text', 'size: letter landscape');
+  });
+});
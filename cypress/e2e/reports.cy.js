@@ -0,0 +1,47 @@
+describe('Trail problem reports', () => {
+  it('files a report from a spot picked on the map', () => {
+    cy.intercept('POST', '/api/reports').as('sendReport');
+    cy.visit('/sitemap?report');
+
+    cy.get('[data-cy="report-picking"]').should('exist');
+    cy.get('.leaflet-container').click('center');
+
+    cy.get('[data-cy="report-panel"]').should('exist');
+    cy.get('[data-cy="report-category"]').select('fallen-tree');
+    cy.get('[data-cy="report-note"]').type('Branch across the path');
+    cy.get('[data-cy="report-submit"]').click();
+
+    cy.wait('@sendReport')
+      .its('request.body')
+      .should('include', { category: 'fallen-tree', note: 'Branch across the path', source: 'map' });
+    cy.get('[data-cy="report-message"]').should('contain', 'Thanks');
+  });
+
+  it('lists sent reports for maintainers and updates their status', () => {
+    cy.request('POST', '/api/reports', {
+      id: `cy-${Date.now()}`,
+      category: 'litter',
+      note: 'Bottles by the bench',
+      lat: 44.5,
+      lng: -63.9,
+      source: 'map',
+      createdAt: new Date().toISOString(),
+    });
+    cy.visit('/admin/reports');
+
+    cy.contains('[data-cy="report-card"]', 'Bottles by the bench').within(() => {
+      cy.get('[data-cy="report-status"]').select('resolved');
+    });
+
+    // Resolved reports drop out of the default "open" list
+    cy.contains('[data-cy="report-card"]', 'Bottles by the bench').should('not.exist');
+    cy.get('[data-cy="reports-filter"]').select('resolved');
+    cy.contains('[data-cy="report-card"]', 'Bottles by the bench').should('exist');
+  });
+
+  it('points trail problems on the Contact page to the map', () => {
+    cy.visit('/contact');
+    cy.get('select').first().select('trail-report');
+    cy.get('[data-cy="contact-report-hint"]').find('a').should('have.attr', 'href', '/sitemap?report');
+  });
+});
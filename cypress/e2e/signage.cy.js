@@ -0,0 +1,22 @@
+describe('QR signage sheet', () => {
+  it('renders a sign with a QR code and locator map for every POI', () => {
+    cy.readFile('src/data/map.json').then((mapData) => {
+      cy.visit('/admin/signage');
+
+      cy.get('[data-cy="sign-card"]').should('have.length', mapData.pois.length);
+      cy.get('[data-cy="sign-card"]')
+        .first()
+        .within(() => {
+          cy.get('img[src^="data:image/png"]').should('exist');
+          cy.get('.leaflet-container').should('exist');
+        });
+    });
+  });
+
+  it('encodes the link address typed by the volunteer', () => {
+    cy.visit('/admin/signage');
+
+    cy.get('[data-cy="signage-origin"]').clear().type('https://example.org');
+    cy.contains('https://example.org/sitemap?poi=labyrinth').should('exist');
+  });
+});
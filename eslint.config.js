@@ -42,4 +42,11 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Build tooling (Vite config and plugins) runs in Node
+    files: ['vite.config.js', 'plugins/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
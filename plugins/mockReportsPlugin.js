@@ -0,0 +1,127 @@
+/**
+ * ================================================================================
+ * File: mockReportsPlugin.js
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Vite plugin serving an in-memory reports endpoint at /api/reports
+ * for `npm run dev` and `npm run preview`, so visitor trail reports and the
+ * maintainer list can be tried without a backend. Reports are lost on restart.
+ * ================================================================================
+ */
+
+// ============================================================================
+// Constants & Configuration
+// ============================================================================
+
+const BASE_PATH = "/api/reports";
+const STATUSES = ["new", "in-progress", "resolved"];
+// Downscaled photos are a few hundred kB; anything far larger is a mistake
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Read and parse a JSON request body
+ * @param {import('http').IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+      } catch (e) {
+        reject(e);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Send a JSON response
+ * @param {import('http').ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {*} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+}
+
+// ============================================================================
+// Plugin
+// ============================================================================
+
+/**
+ * Create the mock reports endpoint plugin
+ * GET lists reports, POST adds one (same id twice is stored once), PATCH /:id sets status
+ * @returns {import('vite').Plugin} Vite plugin
+ */
+export default function mockReportsPlugin() {
+  const reports = new Map();
+
+  const handle = async (req, res, next) => {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== BASE_PATH && !url.pathname.startsWith(`${BASE_PATH}/`)) return next();
+    const id = decodeURIComponent(url.pathname.slice(BASE_PATH.length + 1));
+
+    try {
+      if (req.method === "GET" && !id) {
+        const list = [...reports.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        return sendJson(res, 200, list);
+      }
+      if (req.method === "POST" && !id) {
+        const report = await readJson(req);
+        const located = typeof report.lat === "number" && typeof report.lng === "number";
+        if (!report.id || !report.category || !located) {
+          return sendJson(res, 400, { error: "id, category, lat and lng are required" });
+        }
+        const stored = reports.get(report.id) || {
+          ...report,
+          status: "new",
+          receivedAt: new Date().toISOString(),
+        };
+        reports.set(stored.id, stored);
+        return sendJson(res, 201, stored);
+      }
+      if (req.method === "PATCH" && id) {
+        const report = reports.get(id);
+        if (!report) return sendJson(res, 404, { error: "Unknown report" });
+        const { status } = await readJson(req);
+        if (!STATUSES.includes(status)) {
+          return sendJson(res, 400, { error: `status must be one of: ${STATUSES.join(", ")}` });
+        }
+        const updated = { ...report, status, updatedAt: new Date().toISOString() };
+        reports.set(id, updated);
+        return sendJson(res, 200, updated);
+      }
+      return sendJson(res, 405, { error: "Method not allowed" });
+    } catch (e) {
+      return sendJson(res, 400, { error: e.message });
+    }
+  };
+
+  return {
+    name: "mock-reports",
+    configureServer(server) {
+      server.middlewares.use(handle);
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(handle);
+    },
+  };
+}
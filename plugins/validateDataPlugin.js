@@ -0,0 +1,158 @@
+/**
+ * ================================================================================
+ * File: validateDataPlugin.js
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Vite plugin that validates src/data/map.json, ecologydata.json and
+ * notices.json against their JSON schemas and cross-checks (POI types, route stops,
+ * transcript files, habitat species, species photos, species counts, notice
+ * geometry). Fails `vite build`; shows the error overlay in dev.
+ * ================================================================================
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import Ajv from "ajv";
+import { normalizePath } from "vite";
+
+import {
+  formatSchemaErrors,
+  transcriptSources,
+  validateMapFile,
+} from "../src/utils/dataValidation.js";
+import { buildSpeciesImageIndex, validateEcologyData } from "../src/utils/speciesImages.js";
+import { validateNotices } from "../src/utils/notices.js";
+import { validateHabitats } from "../src/utils/habitats.js";
+
+// ============================================================================
+// Constants & Configuration
+// ============================================================================
+
+const DATA_DIR = "src/data";
+const SCHEMA_DIR = "src/data/schemas";
+const ECOLOGY_IMAGES_DIR = "src/assets/ecologyimages";
+const DATA_FILES = ["map.json", "ecologydata.json", "notices.json"];
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Parse JSON text, turning syntax errors into a message list
+ * @param {string} text - File contents
+ * @returns {{data: Object|null, errors: Array<string>}} Parsed data or errors
+ */
+function parseJson(text) {
+  try {
+    return { data: JSON.parse(text), errors: [] };
+  } catch (e) {
+    return { data: null, errors: [`Invalid JSON: ${e.message}`] };
+  }
+}
+
+// ============================================================================
+// Plugin
+// ============================================================================
+
+/**
+ * Create the data validation plugin
+ * @returns {import('vite').Plugin} Vite plugin
+ */
+export default function validateDataPlugin() {
+  let root = process.cwd();
+  let publicDir = path.join(root, "public");
+  const ajv = new Ajv({ allErrors: true });
+  const validators = {};
+
+  /**
+   * Read another data file from disk for cross-checks
+   * @param {string} fileName - One of DATA_FILES
+   * @returns {Object|null} Parsed contents, or null when unreadable
+   */
+  const readDataFile = (fileName) =>
+    parseJson(fs.readFileSync(path.join(root, DATA_DIR, fileName), "utf8")).data;
+
+  /**
+   * Read each POI transcript from public/
+   * @param {Object} data - Parsed map.json
+   * @returns {Object} transcriptSrc -> file text, or null when the file is missing
+   */
+  const readTranscripts = (data) =>
+    Object.fromEntries(
+      transcriptSources(data).map((src) => {
+        const file = path.join(publicDir, src);
+        return [src, fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null];
+      })
+    );
+
+  /**
+   * Validate one data file's contents
+   * @param {string} fileName - One of DATA_FILES
+   * @param {string} text - File contents
+   * @returns {Array<string>} Error messages (empty when valid)
+   */
+  const validateFile = (fileName, text) => {
+    const { data, errors } = parseJson(text);
+    if (!data) return errors;
+
+    // map.json habitats name ecologydata.json species; notices point at map.json by id
+    if (fileName === "map.json") {
+      return validateMapFile(data, {
+        checkSchema: validators[fileName],
+        transcripts: readTranscripts(data),
+        ecologyData: readDataFile("ecologydata.json"),
+        notices: readDataFile("notices.json"),
+      });
+    }
+
+    const schemaCheck = validators[fileName];
+    if (!schemaCheck(data)) return formatSchemaErrors(schemaCheck.errors);
+    if (fileName === "notices.json") return validateNotices(data, readDataFile("map.json"));
+
+    const imageDir = path.join(root, ECOLOGY_IMAGES_DIR);
+    const images = fs.existsSync(imageDir) ? fs.readdirSync(imageDir) : [];
+    const index = buildSpeciesImageIndex(images.map((file) => [file, file]));
+    return [
+      ...validateEcologyData(data, index),
+      ...validateHabitats(readDataFile("map.json"), data),
+    ];
+  };
+
+  /**
+   * Build a single error message for a data file
+   * @param {string} fileName - Data file name
+   * @param {Array<string>} errors - Problems found
+   * @returns {string} Message listing every problem
+   */
+  const describe = (fileName, errors) =>
+    `Data validation failed (${fileName}):\n${errors.map((e) => `  - ${e}`).join("\n")}`;
+
+  return {
+    name: "validate-data",
+    // Run before vite:json so the raw file text is validated
+    enforce: "pre",
+
+    configResolved(config) {
+      root = config.root;
+      publicDir = config.publicDir || publicDir;
+      DATA_FILES.forEach((fileName) => {
+        const schemaFile = path.join(root, SCHEMA_DIR, fileName.replace(/\.json$/, ".schema.json"));
+        validators[fileName] = ajv.compile(JSON.parse(fs.readFileSync(schemaFile, "utf8")));
+      });
+    },
+
+    /**
+     * Validate the data files whenever they are loaded (build, dev and on edit)
+     * An error here fails the build, or shows Vite's error overlay in dev
+     */
+    transform(code, id) {
+      const file = normalizePath(id.split("?")[0]);
+      if (path.posix.dirname(file) !== normalizePath(path.join(root, DATA_DIR))) return null;
+      const fileName = path.posix.basename(file);
+      if (!validators[fileName]) return null;
+
+      const errors = validateFile(fileName, code);
+      if (errors.length) this.error(describe(fileName, errors));
+      return null;
+    },
+  };
+}
@@ -0,0 +1,255 @@
+/**
+ * ================================================================================
+ * File: sw.js
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Service worker that serves the trail map offline. Map tiles and
+ * Talking Trees audio are cache-first (filled by the "Download for offline" button
+ * on the Sitemap; tiles seen while browsing go in a capped cache of their own),
+ * the app shell's static files are stale-while-revalidate, API calls always use
+ * the network, and page navigations fall back to the cached index.html when there
+ * is no signal.
+ * Cache names must stay in sync with src/utils/offline.js.
+ * ================================================================================
+ */
+
+const SHELL_CACHE = "app-shell-v1";
+const TILE_CACHE = "map-tiles-v1";
+const RUNTIME_TILE_CACHE = "map-tiles-runtime-v1";
+const AUDIO_CACHE = "trail-audio-v1";
+const KNOWN_CACHES = [SHELL_CACHE, TILE_CACHE, RUNTIME_TILE_CACHE, AUDIO_CACHE];
+
+// Tiles seen while browsing are kept in their own cache, oldest dropped past this count,
+// so panning around in Explore mode can't fill storage. Downloaded tiles are never dropped
+const MAX_RUNTIME_TILES = 400;
+
+// Minimal shell cached on install so the SPA can boot without a network
+const SHELL_URLS = ["/", "/index.html", "/manifest.json", "/images/north-arrow.jpg"];
+
+// Same-origin static files kept stale-while-revalidate; anything else (e.g. /api/*)
+// goes straight to the network so it is never served stale
+const STATIC_PREFIXES = ["/assets/", "/images/", "/captions/"];
+const STATIC_PATHS = ["/manifest.json"];
+
+// Tile hosts whose responses are cached, one per base map in BASE_LAYERS
+// (src/components/mapLayers.jsx); subdomains are folded into one cache key
+const TILE_HOSTS = [
+  "tile.openstreetmap.org",
+  "tile.opentopomap.org",
+  "basemaps.cartocdn.com",
+  "server.arcgisonline.com",
+];
+
+/**
+ * Whether a request goes to one of the base map tile hosts
+ * @param {URL} url - Request URL
+ * @returns {boolean}
+ */
+function isTileRequest(url) {
+  return TILE_HOSTS.includes(url.hostname.replace(/^[a-z]\./, ""));
+}
+
+/**
+ * Whether a same-origin request is for a static file of the built site
+ * @param {URL} url - Request URL
+ * @returns {boolean}
+ */
+function isStaticAsset(url) {
+  return (
+    STATIC_PATHS.includes(url.pathname) ||
+    STATIC_PREFIXES.some((prefix) => url.pathname.startsWith(prefix))
+  );
+}
+
+/**
+ * Normalize a tile URL so a/b/c subdomains share one cache entry
+ * Must match tileCacheKey in src/utils/offline.js
+ * @param {URL} url - Tile request URL
+ * @returns {string} Cache key
+ */
+function tileCacheKey(url) {
+  return `${url.protocol}//${url.hostname.replace(/^[a-z]\./, "")}${url.pathname}`;
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  // Drop caches from older service worker versions
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names.filter((name) => !KNOWN_CACHES.includes(name)).map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Serve a byte range from a cached full response
+ * <audio> elements request ranges and Safari refuses to play without a 206 reply
+ * @param {Request} request - Request carrying a Range header
+ * @param {Response} response - Cached full response
+ * @returns {Promise<Response>} Partial content, or 416 when the range can't be served
+ */
+async function rangeResponse(request, response) {
+  const blob = await response.blob();
+  const match = /^bytes=(\d*)-(\d*)$/.exec((request.headers.get("range") || "").trim());
+  // A header we can't read is ignored, as the network would: send the whole file
+  if (!match || (!match[1] && !match[2])) {
+    return new Response(blob, { status: 200, headers: response.headers });
+  }
+
+  let start;
+  let end;
+  if (match[1]) {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), blob.size - 1) : blob.size - 1;
+  } else {
+    // Suffix range "bytes=-N": the last N bytes
+    start = Math.max(blob.size - Number(match[2]), 0);
+    end = blob.size - 1;
+  }
+
+  if (start > end || start >= blob.size) {
+    return new Response(null, {
+      status: 416,
+      statusText: "Range Not Satisfiable",
+      headers: { "Content-Range": `bytes */${blob.size}` },
+    });
+  }
+
+  const slice = blob.slice(start, end + 1);
+  return new Response(slice, {
+    status: 206,
+    statusText: "Partial Content",
+    headers: {
+      "Content-Type": response.headers.get("Content-Type") || "audio/mpeg",
+      "Content-Range": `bytes ${start}-${end}/${blob.size}`,
+      "Content-Length": String(slice.size),
+    },
+  });
+}
+
+/**
+ * Cache-first strategy: answer from cache, otherwise fetch and store
+ * @param {Request} request - Incoming request
+ * @param {string} cacheName - Cache to read and fill
+ * @param {string} key - Cache key
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request, cacheName, key) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(key);
+  if (cached) {
+    return request.headers.has("range") ? rangeResponse(request, cached) : cached;
+  }
+  const response = await fetch(request);
+  // Only store complete responses; partial (206) audio replies cannot be cached
+  if (response.ok && response.status === 200) {
+    cache.put(key, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Drop the oldest entries from a cache once it holds more than a limit
+ * Cache keys come back in insertion order, so the first ones are the oldest
+ * @param {Cache} cache - Cache to trim
+ * @param {number} maxEntries - Entries to keep
+ * @returns {Promise<void>}
+ */
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, keys.length - maxEntries).map((key) => cache.delete(key)));
+}
+
+/**
+ * Map tiles: downloaded tiles first, then tiles seen while browsing, then the network
+ * Network tiles go into the capped runtime cache
+ * @param {Request} request - Tile request
+ * @param {string} key - Cache key from tileCacheKey
+ * @returns {Promise<Response>}
+ */
+async function tileResponse(request, key) {
+  const downloaded = await (await caches.open(TILE_CACHE)).match(key);
+  if (downloaded) return downloaded;
+  const runtime = await caches.open(RUNTIME_TILE_CACHE);
+  const cached = await runtime.match(key);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok && response.status === 200) {
+    runtime
+      .put(key, response.clone())
+      .then(() => trimCache(runtime, MAX_RUNTIME_TILES))
+      .catch((e) => console.warn("Tile cache update failed:", e));
+  }
+  return response;
+}
+
+/**
+ * Stale-while-revalidate strategy for same-origin scripts, styles and images
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Response>} Cached copy, network reply, or a network error when
+ * there is neither
+ */
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached || Response.error());
+  return cached || network;
+}
+
+/**
+ * Network-first for page navigations, falling back to the cached SPA entry point
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>}
+ */
+async function navigate(request) {
+  try {
+    return await fetch(request);
+  } catch {
+    const cache = await caches.open(SHELL_CACHE);
+    return (await cache.match("/index.html")) || (await cache.match("/")) || Response.error();
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (isTileRequest(url)) {
+    event.respondWith(tileResponse(request, tileCacheKey(url)));
+    return;
+  }
+
+  if (url.origin !== self.location.origin) return;
+
+  if (url.pathname.startsWith("/audio/")) {
+    event.respondWith(cacheFirst(request, AUDIO_CACHE, url.pathname));
+    return;
+  }
+
+  if (request.mode === "navigate") {
+    event.respondWith(navigate(request));
+    return;
+  }
+
+  if (isStaticAsset(url)) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
@@ -0,0 +1,158 @@
+/**
+ * ================================================================================
+ * File: benchmarkSpatialIndex.mjs
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Benchmark for src/utils/spatialIndex.js (`npm run bench:spatial`).
+ * Scatters random points over the site, then times radius and k-nearest queries
+ * against the linear scans they replace and checks both give the same answers.
+ * ================================================================================
+ */
+
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createServer } from "vite";
+
+// ============================================================================
+// Constants & Configuration
+// ============================================================================
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// Point counts to try: today's POIs up to years of sightings and reports
+const SIZES = [100, 1000, 5000, 20000];
+const QUERIES = 2000;
+const RADIUS_METERS = 12; // Talking Trees exit radius with full accuracy slack
+const NEAREST_K = 5;
+
+// Spread points over roughly 1 km around the site
+const CENTER = { lat: 44.6207, lng: -63.9155 };
+const SPREAD_DEGREES = 0.01;
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Small seeded generator, so every run measures the same points
+ * @param {number} seed - Starting state
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+function mulberry32(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random points around the site
+ * @param {number} count - Number of points
+ * @param {Function} random - Generator from mulberry32
+ * @returns {Array<Object>} Points { id, lat, lng }
+ */
+function randomPoints(count, random) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `p${i}`,
+    lat: CENTER.lat + (random() - 0.5) * SPREAD_DEGREES,
+    lng: CENTER.lng + (random() - 0.5) * SPREAD_DEGREES,
+  }));
+}
+
+/**
+ * Run a query for every point and time it
+ * @param {Array<Object>} queries - Query points
+ * @param {Function} run - Called with each query point
+ * @returns {{ms: number, results: Array}} Total time and the results
+ */
+function time(queries, run) {
+  const start = performance.now();
+  const results = queries.map(run);
+  return { ms: performance.now() - start, results };
+}
+
+/**
+ * Ids of a query result, for comparing index and linear answers
+ * @param {Array<Object>} found - { item, distance } entries
+ * @returns {string} Comma-separated ids
+ */
+const idsOf = (found) => found.map(({ item }) => item.id).join(",");
+
+// ============================================================================
+// Benchmark
+// ============================================================================
+
+// Load the app's modules through Vite, which resolves their extensionless imports
+const server = await createServer({
+  root: ROOT,
+  configFile: false,
+  logLevel: "error",
+  appType: "custom",
+  server: { middlewareMode: true },
+  // Only two plain modules are loaded, so skip scanning the app for dependencies
+  optimizeDeps: { noDiscovery: true, entries: [] },
+});
+
+try {
+  const { createSpatialIndex } = await server.ssrLoadModule("/src/utils/spatialIndex.js");
+  const { haversineMeters } = await server.ssrLoadModule("/src/utils/geo.js");
+
+  /**
+   * Measure every point, as the Sitemap did before the index
+   * @param {Array<Object>} points - Points to search
+   * @param {Object} query - Query point
+   * @param {number} [maxMeters=Infinity] - Drop points further away before sorting
+   * @returns {Array<Object>} { item, distance } entries, nearest first
+   */
+  const linearScan = (points, query, maxMeters = Infinity) =>
+    points
+      .map((item) => ({ item, distance: haversineMeters(query.lat, query.lng, item.lat, item.lng) }))
+      .filter(({ distance }) => distance <= maxMeters)
+      .sort((a, b) => a.distance - b.distance);
+
+  const random = mulberry32(3428);
+  const rows = [];
+  let mismatches = 0;
+
+  SIZES.forEach((size) => {
+    const points = randomPoints(size, random);
+    const queries = randomPoints(QUERIES, random);
+
+    const buildStart = performance.now();
+    const index = createSpatialIndex(points);
+    const buildMs = performance.now() - buildStart;
+
+    const radiusLinear = time(queries, (q) => linearScan(points, q, RADIUS_METERS));
+    const radiusIndex = time(queries, (q) => index.withinRadius(q, RADIUS_METERS));
+    const nearestLinear = time(queries, (q) => linearScan(points, q).slice(0, NEAREST_K));
+    const nearestIndex = time(queries, (q) => index.nearest(q, NEAREST_K));
+
+    queries.forEach((_, i) => {
+      if (idsOf(radiusLinear.results[i]) !== idsOf(radiusIndex.results[i])) mismatches++;
+      if (idsOf(nearestLinear.results[i]) !== idsOf(nearestIndex.results[i])) mismatches++;
+    });
+
+    const perQuery = (ms) => `${((ms / QUERIES) * 1000).toFixed(1)} µs`;
+    rows.push({
+      points: size,
+      "build (ms)": buildMs.toFixed(1),
+      [`radius ${RADIUS_METERS} m linear`]: perQuery(radiusLinear.ms),
+      [`radius ${RADIUS_METERS} m index`]: perQuery(radiusIndex.ms),
+      [`${NEAREST_K}-nearest linear`]: perQuery(nearestLinear.ms),
+      [`${NEAREST_K}-nearest index`]: perQuery(nearestIndex.ms),
+    });
+  });
+
+  console.log(`Per-query times over ${QUERIES} random queries:`);
+  console.table(rows);
+  if (mismatches) {
+    console.error(`${mismatches} queries gave different answers from the linear scan.`);
+    process.exitCode = 1;
+  } else {
+    console.log("Index and linear scan gave the same answers for every query.");
+  }
+} finally {
+  await server.close();
+}
@@ -18,6 +18,10 @@ import Gallery from "./components/gallery";
 import Ecology from "./components/Ecology";
 import NaturalBurial from "./components/NaturalBurial";
 import Shop from "./components/Shop";
+import Signage from "./components/Signage";
+import PrintMap from "./components/PrintMap";
+import MapEditor from "./components/MapEditor";
+import ReportsAdmin from "./components/ReportsAdmin";
 import lightModeBackdrop from "./assets/globalimages/lightmode.jpg";
 import darkModeBackdrop from "./assets/globalimages/darkmode.jpg";
 
@@ -132,8 +136,13 @@ function App() {
                 <Route path="/ecology" element={<GlassPage><Ecology /></GlassPage>} />
                 <Route path="/contact" element={<GlassPage><Contact /></GlassPage>} />
                 <Route path="/sitemap" element={<FullBleedGlass><SiteMap dark={dark} /></FullBleedGlass>} />
+                <Route path="/sitemap/print" element={<GlassPage><PrintMap /></GlassPage>} />
                 <Route path="/natural-burial" element={<GlassPage><NaturalBurial /></GlassPage>} />
                 <Route path="/shop" element={<GlassPage><Shop /></GlassPage>} />
+                {/* Volunteer tools: not linked from the navigation */}
+                <Route path="/admin/signage" element={<GlassPage><Signage /></GlassPage>} />
+                <Route path="/admin/map-editor" element={<GlassPage><MapEditor /></GlassPage>} />
+                <Route path="/admin/reports" element={<GlassPage><ReportsAdmin /></GlassPage>} />
               </Routes>
             </main>
           </div>
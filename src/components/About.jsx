@@ -101,34 +101,40 @@ const timeline = [
 ];
 
 // Photo story cards with images and captions
+// mapPoi links the card to that stop on the Sitemap (/sitemap?poi=...)
 const photoStories = [
   {
     image: exerciseImage,
     title: "Trailhead Warm-Up",
+    mapPoi: "exercise-bar",
     caption:
       "Start with gentle stretches at the exercise bar designed for all ages to loosen up before the kilometre loop.",
   },
   {
     image: labyrinthImage,
     title: "Labyrinth of Quiet Steps",
+    mapPoi: "labyrinth",
     caption:
       "Walk the spiral path slowly, pause at the centre, and let the breeze carry the sounds of the woods around you.",
   },
   {
     image: telephoneImage,
     title: "Listening Telephone",
+    mapPoi: "telephone-2",
     caption:
       "Take a moment at the woodland telephone to share a gentle message with loved ones who are remembered among the trees.",
   },
   {
     image: farmhouseImage,
     title: "Farmhouse Foundations",
+    mapPoi: "farmhouse",
     caption:
       "Imagine life in the clearing where the original farmhouse stood and learn about daily chores from 100 years ago.",
   },
   {
     image: historicWellImage,
     title: "Historic Wells",
+    mapPoi: "well1",
     caption:
       "Stone wells that once provided fresh water now sit among fern-lined clearings with stories about the families who drew from them.",
   },
@@ -543,7 +549,7 @@ export default function About() {
           clubs, or family outings.
         </p>
         <div className="grid gap-4 md:grid-cols-2">
-          {photoStories.map(({ image, title, caption }) => (
+          {photoStories.map(({ image, title, caption, mapPoi }) => (
             <figure
               key={title}
               className="overflow-hidden rounded-2xl border border-white/40 bg-white/60 shadow-inner shadow-slate-900/10 transition hover:-translate-y-1 hover:shadow-lg hover:shadow-amber-500/10 dark:border-slate-700/60 dark:bg-slate-900/55"
@@ -561,15 +567,9 @@ export default function About() {
                   </p>
                 </div>
                 <div className="flex flex-wrap gap-3">
-                  {[
-                    "Trailhead Warm-Up",
-                    "Labyrinth of Quiet Steps",
-                    "Listening Telephone",
-                    "Farmhouse Foundations",
-                    "Historic Wells",
-                  ].includes(title) ? (
+                  {mapPoi ? (
                     <Link
-                      to="/sitemap"
+                      to={`/sitemap?poi=${mapPoi}`}
                       className="inline-flex items-center gap-2 text-xs font-semibold text-slate-700 transition hover:underline dark:text-slate-200"
                     >
                       Trail Map
@@ -0,0 +1,188 @@
+/**
+ * ================================================================================
+ * File: AudioTourPanel.jsx
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Sitemap audio tour player: the Talking Trees clips as a playlist in
+ * trail order with previous/next, a seekable progress bar and the stop list, for
+ * visitors listening without sharing their location. Plays through the Sitemap's
+ * shared audio element so it never overlaps a Talking Tree.
+ * ================================================================================
+ */
+
+import React, { useEffect, useState } from "react";
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Format a playback position as m:ss
+ * @param {number} seconds - Position in seconds
+ * @returns {string} e.g. "1:05"
+ */
+const formatClock = (seconds) => {
+  const total = Number.isFinite(seconds) ? Math.max(0, Math.floor(seconds)) : 0;
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+};
+
+// ============================================================================
+// AudioTourPanel Component
+// ============================================================================
+
+/**
+ * Audio tour player
+ * @param {Object} props
+ * @param {Object} props.audioRef - Ref to the Sitemap's shared Audio element
+ * @param {Array<Object>} props.stops - Stops with audio, in trail order
+ * @param {number} props.index - Current stop index
+ * @param {boolean} props.paused - Whether the tour is paused
+ * @param {string} [props.routeName] - Route the stops belong to
+ * @param {Function} props.onSelect - Play the stop at an index
+ * @param {Function} props.onPlay - Start or resume the current stop
+ * @param {Function} props.onPause - Pause the current stop
+ * @param {Function} props.onEnded - The current stop finished playing
+ * @param {Function} props.onClose - Stop and close the tour
+ * @param {Object} props.buttonStyle - Sitemap overlay button style
+ * @returns {JSX.Element}
+ */
+export default function AudioTourPanel({
+  audioRef,
+  stops,
+  index,
+  paused,
+  routeName,
+  onSelect,
+  onPlay,
+  onPause,
+  onEnded,
+  onClose,
+  buttonStyle,
+}) {
+  const [progress, setProgress] = useState({ current: 0, duration: 0 });
+  const stop = stops[index];
+
+  // Follow the shared audio element while it holds this stop's clip
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio || !stop) return undefined;
+    const isThisStop = () => Boolean(stop.audioSrc) && audio.src.endsWith(stop.audioSrc);
+    const update = () =>
+      setProgress(
+        isThisStop()
+          ? { current: audio.currentTime, duration: audio.duration || 0 }
+          : { current: 0, duration: 0 }
+      );
+    const handleEnded = () => {
+      if (isThisStop()) onEnded();
+    };
+    update();
+    ["timeupdate", "durationchange", "loadedmetadata", "emptied"].forEach((type) =>
+      audio.addEventListener(type, update)
+    );
+    audio.addEventListener("ended", handleEnded);
+    return () => {
+      ["timeupdate", "durationchange", "loadedmetadata", "emptied"].forEach((type) =>
+        audio.removeEventListener(type, update)
+      );
+      audio.removeEventListener("ended", handleEnded);
+    };
+  }, [audioRef, stop, onEnded]);
+
+  const handleSeek = (event) => {
+    const audio = audioRef.current;
+    if (!audio || !progress.duration) return;
+    audio.currentTime = Number(event.target.value);
+  };
+
+  const smallButton = { ...buttonStyle, padding: "4px 12px" };
+
+  return (
+    <div data-cy="audio-tour" style={{ marginBottom: 10, minWidth: 260, color: "#111" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", gap: 8 }}>
+        <div style={{ fontSize: 12, color: "#6b7280" }}>
+          Audio tour{routeName ? ` · ${routeName}` : ""} · {index + 1} of {stops.length}
+        </div>
+        <button onClick={onClose} aria-label="Close audio tour" style={{ lineHeight: 1 }}>
+          ✕
+        </button>
+      </div>
+      <div data-cy="tour-now" style={{ fontWeight: 700, fontSize: 15, margin: "2px 0 6px" }}>
+        {stop?.name}
+      </div>
+
+      <div style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 11 }}>
+        <span>{formatClock(progress.current)}</span>
+        <input
+          type="range"
+          data-cy="tour-progress"
+          aria-label="Position in this stop"
+          min={0}
+          max={progress.duration || 0}
+          step={0.5}
+          value={Math.min(progress.current, progress.duration || 0)}
+          onChange={handleSeek}
+          disabled={!progress.duration}
+          style={{ flex: 1, accentColor: "#059669" }}
+        />
+        <span>{formatClock(progress.duration)}</span>
+      </div>
+
+      <div style={{ display: "flex", gap: 6, justifyContent: "center", margin: "6px 0" }}>
+        <button
+          data-cy="tour-prev"
+          onClick={() => onSelect(index - 1)}
+          disabled={index === 0}
+          aria-label="Previous stop"
+          style={smallButton}
+        >
+          ⏮
+        </button>
+        {paused ? (
+          <button
+            data-cy="tour-play"
+            onClick={onPlay}
+            style={{ ...smallButton, background: "#059669", color: "#fff" }}
+          >
+            ▶ Play
+          </button>
+        ) : (
+          <button data-cy="tour-pause" onClick={onPause} style={smallButton}>
+            ❚❚ Pause
+          </button>
+        )}
+        <button
+          data-cy="tour-next"
+          onClick={() => onSelect(index + 1)}
+          disabled={index >= stops.length - 1}
+          aria-label="Next stop"
+          style={smallButton}
+        >
+          ⏭
+        </button>
+      </div>
+
+      <ol style={{ maxHeight: 120, overflowY: "auto", margin: 0, padding: 0, listStyle: "none" }}>
+        {stops.map((s, i) => (
+          <li key={s.id}>
+            <button
+              data-cy="tour-stop"
+              onClick={() => onSelect(i)}
+              aria-current={i === index ? "true" : undefined}
+              style={{
+                width: "100%",
+                textAlign: "left",
+                fontSize: 12,
+                padding: "2px 6px",
+                borderRadius: 6,
+                fontWeight: i === index ? 700 : 400,
+                background: i === index ? "rgba(16,185,129,0.18)" : "transparent",
+              }}
+            >
+              {i + 1}. {s.name}
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -8,6 +8,7 @@
  */
 
 import React, { useState, useRef, useEffect } from "react";
+import { Link } from "react-router-dom";
 import {
   FaPhone,
   FaEnvelope,
@@ -18,6 +19,7 @@ import {
 import { FaXTwitter } from "react-icons/fa6";
 import { IoClose, IoWarningOutline } from "react-icons/io5";
 import Footer from "./Footer";
+import { CONTACT_REASONS, TRAIL_REPORT_REASON } from "../utils/reports";
 import * as SpeechSDK from "microsoft-cognitiveservices-speech-sdk";
 
 // ============================================================================
@@ -272,13 +274,25 @@ const Contact = () => {
               className="w-full rounded-2xl border border-white/60 bg-white/80 px-4 py-3 text-sm shadow-inner shadow-slate-900/5 focus:border-emerald-500 focus:outline-none focus:ring-2 focus:ring-emerald-300 dark:border-slate-700/60 dark:bg-slate-900/70"
             >
               <option value="">Select a reason...</option>
-              <option value="volunteering">Volunteering / Trail Care</option>
-              <option value="natural-burial">Natural Burial Inquiries</option>
-              <option value="shop">Shop / Product Questions</option>
-              <option value="visit">Planning a Visit</option>
-              <option value="general">General Questions / Feedback</option>
-              <option value="other">Other</option>
+              {CONTACT_REASONS.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
             </select>
+            {/* Trail problems need a location, so point visitors to the map's report tool */}
+            {contactReason === TRAIL_REPORT_REASON && (
+              <p data-cy="contact-report-hint" className="text-sm text-slate-600 dark:text-slate-300">
+                Fallen tree, litter or a washed-out path?{" "}
+                <Link
+                  to="/sitemap?report"
+                  className="font-semibold text-emerald-700 underline dark:text-emerald-300"
+                >
+                  Report it on the trail map
+                </Link>{" "}
+                so volunteers know exactly where to go. You can add a photo, and it works offline.
+              </p>
+            )}
           </div>
 
           <div className="space-y-2">
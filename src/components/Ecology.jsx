@@ -12,6 +12,7 @@ import React, { useState, useRef, useEffect, useMemo } from 'react';
 import { createPortal } from 'react-dom';
 import { IoClose, IoWarningOutline } from "react-icons/io5";
 import ecologyData from '../data/ecologydata.json';
+import { normalizeKey, buildSpeciesImageIndex, findSpeciesImage } from '../utils/speciesImages';
 import Footer from "./Footer";
 import * as SpeechSDK from "microsoft-cognitiveservices-speech-sdk";
 
@@ -26,54 +27,8 @@ const imageModules = import.meta.glob('../assets/ecologyimages/*', {
   import: 'default',
 });
 
-/**
- * Normalize species names to match image filenames
- * Removes special characters and converts to lowercase for consistent matching
- * @param {string} value - Species name to normalize
- * @returns {string} Normalized key
- */
-const normalizeKey = (value = '') =>
-  value
-    .toLowerCase()
-    .replace(/[()]/g, '')
-    .replace(/[^a-z0-9]/g, '');
-
-/**
- * Build image lookup map from imported modules
- * Handles both singular and plural forms for flexible matching
- * Example: "birch" and "birches" both map to same image
- */
-const speciesImages = Object.entries(imageModules).reduce((acc, [path, module]) => {
-  const fileName = path.split('/').pop() || '';
-  const baseName = fileName.replace(/\.[^/.]+$/, '');
-  const normalized = normalizeKey(baseName);
-
-  if (!acc[normalized]) {
-    acc[normalized] = module;
-  }
-
-  if (normalized.endsWith('s')) {
-    const singular = normalized.slice(0, -1);
-    if (!acc[singular]) {
-      acc[singular] = module;
-    }
-  }
-
-  return acc;
-}, {});
-
-// Manual aliases for species with non-standard naming conventions
-const aliasMap = {
-  yellowcoastalbirch: 'birch',
-  pinecherry: 'pincherry',
-  wildpear: 'wildpeartree',
-};
-
-Object.entries(aliasMap).forEach(([alias, canonical]) => {
-  if (speciesImages[canonical] && !speciesImages[alias]) {
-    speciesImages[alias] = speciesImages[canonical];
-  }
-});
+// Lookup from normalized species name to bundled image URL
+const speciesImages = buildSpeciesImageIndex(Object.entries(imageModules));
 
 /**
  * Format category key to display label (capitalize first letter)
@@ -111,11 +66,7 @@ const buildSpeciesList = () => {
  * @param {string} commonName - Common name of species
  * @returns {Object|null} Image module or null if not found
  */
-const getSpeciesImage = (commonName) => {
-  if (!commonName) return null;
-  const normalized = normalizeKey(commonName);
-  return speciesImages[normalized] || null;
-};
+const getSpeciesImage = (commonName) => findSpeciesImage(speciesImages, commonName);
 
 // ============================================================================
 // Ecology Component
@@ -14,6 +14,12 @@ import { FaTree, FaCamera, FaMapMarkedAlt } from "react-icons/fa";
 import { BsArrowRightCircle, BsArrowUpRight } from "react-icons/bs";
 import { IoClose, IoWarningOutline } from "react-icons/io5";
 import Footer from "./Footer";
+import NoticeBanner from "./NoticeBanner";
+import mapData from "../data/map.json";
+import noticesData from "../data/notices.json";
+import { getActiveNotices } from "../utils/notices";
+import { sanitizeRoutes, sanitizeTrails } from "../utils/mapData";
+import { formatDistance } from "../utils/geo";
 import * as SpeechSDK from "microsoft-cognitiveservices-speech-sdk";
 
 // ============================================================================
@@ -24,14 +30,18 @@ import * as SpeechSDK from "microsoft-cognitiveservices-speech-sdk";
 const glassPanel =
   "rounded-[28px] border border-white/40 bg-white/40 p-6 shadow-lg shadow-slate-900/10 backdrop-blur-2xl backdrop-saturate-150 transition-colors duration-300 dark:border-slate-500/40 dark:bg-slate-900/40 dark:shadow-black/25";
 
+// Named walks from map.json, listed on the "Explore" tile and linked into the map
+const mapRoutes = sanitizeRoutes(mapData?.routes, sanitizeTrails(mapData?.trails));
+
 // Core feature tiles displayed on homepage
 const coreTiles = [
   {
     icon: <FaTree className="text-emerald-500 text-3xl" />,
     title: "Explore the Conservation Area",
-    body: "Follow the signed one kilometre trail out to wells, resting clearings, and the woodland labyrinth, then wander back through shifting light.",
+    body: "Pick a signed route out to wells, resting clearings, and the woodland labyrinth, then wander back through shifting light.",
+    routes: mapRoutes,
     cta: "Trail Map",
-    to: "/sitemap",
+    to: mapRoutes.length ? `/sitemap?route=${mapRoutes[0].id}` : "/sitemap",
   },
   {
     icon: <FaCamera className="text-amber-500 text-3xl" />,
@@ -215,8 +225,13 @@ const Homepage = () => {
   // Render
   // ============================================================================
   
+  // Closures and hazards currently in effect; expired notices drop out on their own
+  const activeNotices = getActiveNotices(noticesData?.notices);
+
   return (
     <div className="flex flex-col gap-8 text-slate-800 dark:text-slate-100">
+      <NoticeBanner notices={activeNotices} />
+
       <header className={`${glassPanel} flex flex-col gap-5 md:flex-row md:items-center md:justify-between`}>
         <div className="flex-1 space-y-4">
           <p className="text-xs font-semibold uppercase tracking-[0.2em] text-emerald-600 dark:text-emerald-300">
@@ -311,7 +326,7 @@ const Homepage = () => {
       </header>
 
       <section className="grid gap-4 md:grid-cols-3">
-        {coreTiles.map(({ icon, title, body, cta, to }) => (
+        {coreTiles.map(({ icon, title, body, routes, cta, to }) => (
           <article key={title} className={`${glassPanel} flex flex-col gap-4`}>
             <div className="flex h-12 w-12 items-center justify-center rounded-xl border border-white/40 bg-white/40 shadow-inner shadow-slate-900/10 dark:border-slate-500/40 dark:bg-slate-900/40">
               {icon}
@@ -319,6 +334,25 @@ const Homepage = () => {
             <div className="space-y-2">
               <h2 className="text-lg font-semibold">{title}</h2>
               <p className="text-sm text-slate-600 dark:text-slate-300">{body}</p>
+              {routes?.length > 0 && (
+                <ul className="space-y-1 text-xs text-slate-600 dark:text-slate-300">
+                  {routes.map((route) => (
+                    <li key={route.id}>
+                      <Link
+                        to={`/sitemap?route=${route.id}`}
+                        data-cy="home-route-link"
+                        className="font-semibold text-emerald-700 hover:underline dark:text-emerald-300"
+                      >
+                        {route.name}
+                      </Link>
+                      {" · "}
+                      {formatDistance(route.lengthMeters)}
+                      {route.difficulty ? ` · ${route.difficulty}` : ""}
+                      {route.accessible ? " · accessible" : ""}
+                    </li>
+                  ))}
+                </ul>
+              )}
             </div>
             <Link
               to={to}
@@ -0,0 +1,807 @@
+/**
+ * ================================================================================
+ * File: MapEditor.jsx
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Maintainer tool (/admin/map-editor) for editing map.json in the
+ * browser: drag stops, reshape or draw area polygons, edit stop text and audio,
+ * then download the validated JSON. Renders with the public map's styling.
+ * ================================================================================
+ */
+
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  MapContainer,
+  TileLayer,
+  Marker,
+  Polygon,
+  Polyline,
+  Tooltip,
+  useMapEvents,
+} from "react-leaflet";
+import L from "leaflet";
+import Ajv from "ajv";
+import "leaflet/dist/leaflet.css";
+
+import mapData from "../data/map.json";
+import mapSchema from "../data/schemas/map.schema.json";
+import ecologyData from "../data/ecologydata.json";
+import noticesData from "../data/notices.json";
+import {
+  compactAreaCoords,
+  isLatLngPair,
+  readSiteBorder,
+  sanitizePois,
+  sanitizeTrails,
+} from "../utils/mapData";
+import { transcriptSources, validateMapFile } from "../utils/dataValidation";
+import { downloadTextFile } from "../utils/download";
+import { areaRings, toMultiPolygon } from "../utils/geo";
+import {
+  TILE_URL,
+  ICON_CONFIGS,
+  SITE_BORDER_PATH_OPTIONS,
+  createCustomIcon,
+  areaPathOptions,
+  trailSegmentPathOptions,
+  trailSegmentLabel,
+  buildAreas,
+  borderOutlines,
+} from "./mapLayers";
+
+// ============================================================================
+// Constants & Configuration
+// ============================================================================
+
+// Reusable glass morphism styling
+const glassPanel =
+  "rounded-3xl border border-white/40 bg-white/60 p-6 shadow-lg shadow-slate-900/10 backdrop-blur-2xl transition-colors duration-300 dark:border-slate-700/60 dark:bg-slate-900/55";
+
+const inputClass =
+  "w-full rounded-lg border border-slate-300 bg-white/80 px-3 py-1.5 text-sm text-slate-900";
+
+const buttonClass =
+  "rounded-full border border-white/50 bg-white/70 px-3 py-1 text-sm font-semibold text-slate-800 shadow disabled:opacity-50";
+
+// Unsaved edits survive a page reload
+const DRAFT_STORAGE_KEY = "map-editor-draft";
+
+// The published map.json, and a fingerprint of it saved with each draft so a draft
+// made before a newer map.json was deployed is never restored without asking
+const PUBLISHED_JSON = JSON.stringify(mapData);
+const PUBLISHED_VERSION = hashText(PUBLISHED_JSON);
+
+// The schema the build checks map.json against (plugins/validateDataPlugin.js)
+const checkMapSchema = new Ajv({ allErrors: true }).compile(mapSchema);
+
+// map.json coordinates are stored to 6 decimals (~10 cm)
+const COORD_DECIMALS = 6;
+
+// Editing tools
+const TOOLS = {
+  ADD_POI: "add-poi",
+  DRAW_AREA: "draw-area",
+};
+
+// Drag handle for polygon vertices
+const vertexIcon = L.divIcon({
+  className: "map-editor-vertex",
+  html: `<div style="width:12px;height:12px;background:#fff;border:2px solid #0f172a;border-radius:2px;"></div>`,
+  iconSize: [12, 12],
+  iconAnchor: [6, 6],
+});
+
+// Click target between two vertices that inserts a new one
+const midpointIcon = L.divIcon({
+  className: "map-editor-midpoint",
+  html: `<div style="width:10px;height:10px;background:rgba(255,255,255,0.6);border:1px dashed #0f172a;border-radius:9999px;"></div>`,
+  iconSize: [10, 10],
+  iconAnchor: [5, 5],
+});
+
+// ============================================================================
+// Helper Functions
+// ============================================================================
+
+/**
+ * Round a coordinate for storage
+ * @param {number} value - Latitude or longitude
+ * @returns {number} Rounded value
+ */
+const roundCoord = (value) => Number(value.toFixed(COORD_DECIMALS));
+
+/**
+ * Short fingerprint of a string (32-bit FNV-1a, as hex)
+ * @param {string} text - Text to fingerprint
+ * @returns {string} e.g. "9f1c03a2"
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * Load the saved draft and the version of map.json it was made from
+ * Drafts saved before versions were recorded have base null
+ * @returns {{draft: Object, base: string|null}|null} Saved draft, or null when there is none
+ */
+function loadSavedDraft() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(DRAFT_STORAGE_KEY) || "null");
+    if (!saved || typeof saved !== "object") return null;
+    return saved.draft && typeof saved.base === "string"
+      ? { draft: saved.draft, base: saved.base }
+      : { draft: saved, base: null };
+  } catch (e) {
+    console.warn("Could not restore map editor draft:", e);
+    return null;
+  }
+}
+
+/**
+ * Read transcript files for the download checks
+ * @param {Array<string>} sources - transcriptSrc paths
+ * @returns {Promise<Object>} transcriptSrc -> file text, or null when it can't be read
+ */
+async function fetchTranscripts(sources) {
+  const entries = await Promise.all(
+    sources.map((src) =>
+      fetch(src)
+        .then((res) => (res.ok ? res.text() : null))
+        .catch(() => null)
+        .then((text) => [src, text])
+    )
+  );
+  return Object.fromEntries(entries);
+}
+
+/**
+ * List what still points at a stop or area, so it isn't deleted out from under them
+ * Routes list stops; habitats and notices.json refer to areas
+ * @param {Object} draft - Map data draft
+ * @param {Object} target - { kind: "poi" | "area", id }
+ * @returns {Array<string>} Descriptions, e.g. 'route "Woodland Loop"'
+ */
+function referencesTo(draft, { kind, id }) {
+  if (kind === "poi") {
+    return (Array.isArray(draft.routes) ? draft.routes : [])
+      .filter((route) => Array.isArray(route?.stops) && route.stops.includes(id))
+      .map((route) => `route "${route.name || route.id}"`);
+  }
+  const refs = draft.habitats?.[id] ? [`the "${id}" habitat card`] : [];
+  (noticesData?.notices || [])
+    .filter((notice) => notice?.geometry?.areaId === id)
+    .forEach((notice) => refs.push(`notice "${notice.title || notice.id}"`));
+  return refs;
+}
+
+/**
+ * Compute [[south, west], [north, east]] bounds for a list of points
+ * @param {Array<Array<number>>} points - [lat, lng] pairs
+ * @returns {Array|null} Leaflet bounds or null when empty
+ */
+function boundsOf(points) {
+  if (!points.length) return null;
+  const lats = points.map((p) => p[0]);
+  const lngs = points.map((p) => p[1]);
+  return [
+    [Math.min(...lats), Math.min(...lngs)],
+    [Math.max(...lats), Math.max(...lngs)],
+  ];
+}
+
+/**
+ * Pick an unused id by appending a counter
+ * @param {string} base - Id prefix
+ * @param {Set<string>} taken - Ids already in use
+ * @returns {string} e.g. "stop-3"
+ */
+function uniqueId(base, taken) {
+  let n = 1;
+  while (taken.has(`${base}-${n}`)) n++;
+  return `${base}-${n}`;
+}
+
+// ============================================================================
+// Helper Components
+// ============================================================================
+
+/**
+ * Forwards map clicks to the active editing tool
+ * @param {Object} props
+ * @param {Function|null} props.onClick - Receives the clicked [lat, lng], or null when idle
+ * @returns {null}
+ */
+function MapClickHandler({ onClick }) {
+  useMapEvents({
+    click: (e) => onClick && onClick([roundCoord(e.latlng.lat), roundCoord(e.latlng.lng)]),
+  });
+  return null;
+}
+
+// ============================================================================
+// MapEditor Component
+// ============================================================================
+
+/**
+ * MapEditor Component - Edit map.json areas and stops and download the result
+ * @returns {JSX.Element}
+ */
+export default function MapEditor() {
+  // ============================================================================
+  // State Management
+  // ============================================================================
+
+  const [savedDraft] = useState(loadSavedDraft);
+  // Working copy of map.json: the saved draft when it was made from this map.json
+  const [draft, setDraft] = useState(() =>
+    savedDraft?.base === PUBLISHED_VERSION ? savedDraft.draft : structuredClone(mapData)
+  );
+  // Draft made from an older map.json, waiting for the maintainer to restore or drop it
+  const [staleDraft, setStaleDraft] = useState(() =>
+    savedDraft && savedDraft.base !== PUBLISHED_VERSION ? savedDraft.draft : null
+  );
+  // Selected feature: { kind: "poi" | "area", id }
+  const [selection, setSelection] = useState(null);
+  // Active tool (TOOLS) or null for select/drag
+  const [tool, setTool] = useState(null);
+  // Vertices of the area being drawn, and the id it will be saved under
+  const [drawing, setDrawing] = useState([]);
+  const [newAreaId, setNewAreaId] = useState("");
+
+  // Keep edits in this browser; an unedited map needs no draft. A stale draft stays
+  // saved until it is restored or dropped
+  useEffect(() => {
+    if (staleDraft) return;
+    try {
+      const json = JSON.stringify(draft);
+      if (json === PUBLISHED_JSON) localStorage.removeItem(DRAFT_STORAGE_KEY);
+      else {
+        localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({ base: PUBLISHED_VERSION, draft }));
+      }
+    } catch (e) {
+      console.warn("Could not save map editor draft:", e);
+    }
+  }, [draft, staleDraft]);
+
+  // ============================================================================
+  // Derived Data (same processing as the public Sitemap)
+  // ============================================================================
+
+  const siteBorder = useMemo(() => readSiteBorder(draft), [draft]);
+  const siteBorderOutlines = useMemo(() => borderOutlines(siteBorder), [siteBorder]);
+  const areas = useMemo(() => buildAreas(draft.areas), [draft]);
+  const pois = useMemo(() => sanitizePois(draft.pois), [draft]);
+  const trails = useMemo(() => sanitizeTrails(draft.trails), [draft]);
+
+  // Transcript files read so far (transcriptSrc -> text, or null when missing)
+  const [transcripts, setTranscripts] = useState({});
+  const transcriptSrcs = useMemo(() => transcriptSources(draft), [draft]);
+  const transcriptsPending = transcriptSrcs.some((src) => !(src in transcripts));
+
+  useEffect(() => {
+    const unread = transcriptSrcs.filter((src) => !(src in transcripts));
+    if (!unread.length) return undefined;
+    let cancelled = false;
+    fetchTranscripts(unread).then((read) => {
+      if (!cancelled) setTranscripts((prev) => ({ ...prev, ...read }));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [transcriptSrcs, transcripts]);
+
+  // The same checks the build runs, so a downloaded map.json always builds
+  const errors = useMemo(
+    () =>
+      validateMapFile(draft, {
+        checkSchema: checkMapSchema,
+        transcripts,
+        ecologyData,
+        notices: noticesData,
+      }),
+    [draft, transcripts]
+  );
+
+  // Initial framing only; the editor map is freely pannable afterwards
+  const [initialBounds] = useState(() => {
+    const borderPoints = areaRings(siteBorder).flat();
+    return boundsOf(borderPoints.length ? borderPoints : pois.map((p) => [p.lat, p.lng]));
+  });
+
+  const selectedPoi =
+    selection?.kind === "poi" ? draft.pois.find((p) => p.id === selection.id) : null;
+  // Routes, habitats or notices that would break if the selection were deleted
+  const selectionRefs = selection ? referencesTo(draft, selection) : [];
+  // Selected area as polygons ([outer ring, ...holes] per part), indexed as stored
+  const selectedPolygons =
+    selection?.kind === "area" && Array.isArray(draft.areas?.[selection.id])
+      ? toMultiPolygon(draft.areas[selection.id])
+      : null;
+  const selectedRings = (selectedPolygons || []).flatMap((rings, part) =>
+    (Array.isArray(rings) ? rings : []).map((ring, index) => ({ part, index, ring }))
+  );
+
+  // ============================================================================
+  // Draft Updates
+  // ============================================================================
+
+  /**
+   * Merge changes into one POI
+   * @param {string} id - POI id
+   * @param {Object} patch - Fields to change
+   */
+  const updatePoi = (id, patch) => {
+    setDraft((d) => ({
+      ...d,
+      pois: d.pois.map((p) => (p.id === id ? { ...p, ...patch } : p)),
+    }));
+  };
+
+  /**
+   * Replace one ring of an area using an updater function
+   * The area keeps its map.json form (ring, polygon with holes or multipolygon)
+   * @param {string} id - Area id (including "siteBorder")
+   * @param {number} part - Polygon index within the area
+   * @param {number} index - Ring index within the polygon (0 = outer ring)
+   * @param {Function} update - Receives the current ring, returns the new ring
+   */
+  const updateRing = (id, part, index, update) => {
+    setDraft((d) => {
+      const polygons = toMultiPolygon(d.areas[id]).map((rings, p) =>
+        p === part ? rings.map((ring, r) => (r === index ? update(ring) : ring)) : rings
+      );
+      return { ...d, areas: { ...d.areas, [id]: compactAreaCoords(polygons) } };
+    });
+  };
+
+  const handleAddPoi = ([lat, lng]) => {
+    const id = uniqueId("stop", new Set(draft.pois.map((p) => p.id)));
+    setDraft((d) => ({ ...d, pois: [...d.pois, { id, name: "New stop", type: "", lat, lng }] }));
+    setSelection({ kind: "poi", id });
+    setTool(null);
+  };
+
+  const handleDeletePoi = (id) => {
+    if (referencesTo(draft, { kind: "poi", id }).length) return;
+    setDraft((d) => ({ ...d, pois: d.pois.filter((p) => p.id !== id) }));
+    setSelection(null);
+  };
+
+  const handleFinishArea = () => {
+    const id = newAreaId.trim();
+    if (!id || draft.areas?.[id] || drawing.length < 3) return;
+    setDraft((d) => ({ ...d, areas: { ...d.areas, [id]: drawing } }));
+    setSelection({ kind: "area", id });
+    setTool(null);
+    setDrawing([]);
+    setNewAreaId("");
+  };
+
+  const handleDeleteArea = (id) => {
+    if (referencesTo(draft, { kind: "area", id }).length) return;
+    setDraft((d) => {
+      const nextAreas = { ...d.areas };
+      delete nextAreas[id];
+      return { ...d, areas: nextAreas };
+    });
+    setSelection(null);
+  };
+
+  const handleCancelTool = () => {
+    setTool(null);
+    setDrawing([]);
+  };
+
+  const handleRestoreStaleDraft = () => {
+    setDraft(staleDraft);
+    setStaleDraft(null);
+    setSelection(null);
+  };
+
+  const handleDropStaleDraft = () => {
+    setStaleDraft(null);
+  };
+
+  const handleReset = () => {
+    if (!window.confirm("Discard all edits and reload the published map data?")) return;
+    setDraft(structuredClone(mapData));
+    setSelection(null);
+    handleCancelTool();
+  };
+
+  const handleDownload = () => {
+    if (errors.length || transcriptsPending) return;
+    downloadTextFile("map.json", `${JSON.stringify(draft, null, 2)}\n`, "application/json");
+  };
+
+  const mapClickAction =
+    tool === TOOLS.ADD_POI
+      ? handleAddPoi
+      : tool === TOOLS.DRAW_AREA
+        ? (pt) => setDrawing((prev) => [...prev, pt])
+        : null;
+
+  /**
+   * Click handler for map layers
+   * Leaflet only reports map clicks that miss every layer, so while a tool is
+   * active layer clicks are passed to it; otherwise they select the feature
+   * @param {Object} target - Selection to make, { kind, id }
+   * @returns {Function} Leaflet click handler
+   */
+  const layerClickHandler = (target) => (e) => {
+    if (mapClickAction) {
+      mapClickAction([roundCoord(e.latlng.lat), roundCoord(e.latlng.lng)]);
+      return;
+    }
+    setSelection(target);
+  };
+
+  const newAreaIdError = !newAreaId.trim()
+    ? "Enter an id, e.g. meadowArea"
+    : draft.areas?.[newAreaId.trim()]
+      ? "An area with this id already exists"
+      : null;
+
+  // ============================================================================
+  // Render
+  // ============================================================================
+
+  return (
+    <div className="flex flex-col gap-6 text-slate-800 dark:text-slate-100">
+      <header className={`${glassPanel} space-y-2`}>
+        <h1 className="text-3xl font-semibold">Map data editor</h1>
+        <p className="text-sm text-slate-600 dark:text-slate-300">
+          Drag stops to move them. Select an area to drag its corners, click a hollow
+          midpoint to add a corner, or right-click a corner to remove it. Edits are kept
+          in this browser until you download <code>map.json</code> and replace{" "}
+          <code>src/data/map.json</code> with it.
+        </p>
+        {staleDraft && (
+          <div
+            className="space-y-2 rounded-2xl border border-amber-300 bg-amber-50/80 p-3 text-sm text-amber-900"
+            data-cy="editor-stale-draft"
+          >
+            <p>
+              You have unsaved edits from an older version of <code>map.json</code>. The
+              published map has changed since; restoring the edits would undo those changes
+              for everything you download.
+            </p>
+            <div className="flex flex-wrap gap-2">
+              <button type="button" className={buttonClass} onClick={handleRestoreStaleDraft}>
+                Restore my edits
+              </button>
+              <button type="button" className={buttonClass} onClick={handleDropStaleDraft}>
+                Start from published
+              </button>
+            </div>
+          </div>
+        )}
+      </header>
+
+      <div className="grid gap-6 lg:grid-cols-[minmax(0,1fr)_320px]">
+        {/* MAP */}
+        <div className="overflow-hidden rounded-3xl border border-white/40" style={{ height: "70vh" }}>
+          <MapContainer
+            bounds={initialBounds || undefined}
+            boundsOptions={{ padding: [24, 24] }}
+            center={initialBounds ? undefined : [44.623917, -63.920472]}
+            zoom={initialBounds ? undefined : 16}
+            style={{ height: "100%", width: "100%", cursor: tool ? "crosshair" : undefined }}
+          >
+            <MapClickHandler onClick={mapClickAction} />
+            <TileLayer url={TILE_URL} attribution="&copy; OpenStreetMap contributors" />
+
+            {siteBorderOutlines.length > 0 && (
+              <Polyline
+                positions={siteBorderOutlines}
+                pathOptions={SITE_BORDER_PATH_OPTIONS}
+                eventHandlers={{ click: layerClickHandler({ kind: "area", id: "siteBorder" }) }}
+              >
+                <Tooltip sticky direction="top">
+                  Woodland Site Border
+                </Tooltip>
+              </Polyline>
+            )}
+
+            {areas.map((a) => (
+              <Polygon
+                key={a.id}
+                positions={a.coords}
+                pathOptions={{
+                  ...areaPathOptions(a),
+                  weight: selection?.kind === "area" && selection.id === a.id ? 4 : 2.2,
+                }}
+                eventHandlers={{ click: layerClickHandler({ kind: "area", id: a.id }) }}
+              >
+                <Tooltip sticky direction="center">
+                  {a.name}
+                </Tooltip>
+              </Polygon>
+            ))}
+
+            {trails.flatMap((trail) =>
+              trail.segments.map((seg) => (
+                <Polyline
+                  key={`${trail.id}-${seg.id}`}
+                  positions={seg.coords}
+                  pathOptions={trailSegmentPathOptions(seg)}
+                >
+                  <Tooltip sticky direction="top">
+                    {trailSegmentLabel(seg, trail.name)}
+                  </Tooltip>
+                </Polyline>
+              ))
+            )}
+
+            {pois.map((p) => (
+              <Marker
+                key={p.id || `${p.lat},${p.lng}`}
+                position={[p.lat, p.lng]}
+                icon={createCustomIcon(p.type)}
+                draggable={!tool}
+                opacity={selection?.kind === "poi" && selection.id !== p.id ? 0.6 : 1}
+                eventHandlers={{
+                  click: layerClickHandler({ kind: "poi", id: p.id }),
+                  dragend: (e) => {
+                    const { lat, lng } = e.target.getLatLng();
+                    updatePoi(p.id, { lat: roundCoord(lat), lng: roundCoord(lng) });
+                    setSelection({ kind: "poi", id: p.id });
+                  },
+                }}
+              >
+                <Tooltip direction="top" offset={[0, -16]}>
+                  {p.name}
+                </Tooltip>
+              </Marker>
+            ))}
+
+            {/* Vertex and midpoint handles for every ring of the selected area */}
+            {selectedRings.map(({ part, index, ring }) =>
+              (Array.isArray(ring) ? ring : []).map((pt, i) => {
+                if (!isLatLngPair(pt)) return null;
+                const next = ring[(i + 1) % ring.length];
+                const update = (fn) => updateRing(selection.id, part, index, fn);
+                return (
+                  <React.Fragment key={`${selection.id}-${part}-${index}-${i}`}>
+                    <Marker
+                      position={pt}
+                      icon={vertexIcon}
+                      draggable
+                      eventHandlers={{
+                        drag: (e) => {
+                          const { lat, lng } = e.target.getLatLng();
+                          update((r) =>
+                            r.map((v, j) => (j === i ? [roundCoord(lat), roundCoord(lng)] : v))
+                          );
+                        },
+                        contextmenu: () => {
+                          if (ring.length <= 3) return;
+                          update((r) => r.filter((_, j) => j !== i));
+                        },
+                      }}
+                    />
+                    {isLatLngPair(next) && (
+                      <Marker
+                        position={[(pt[0] + next[0]) / 2, (pt[1] + next[1]) / 2]}
+                        icon={midpointIcon}
+                        eventHandlers={{
+                          click: () =>
+                            update((r) => [
+                              ...r.slice(0, i + 1),
+                              [roundCoord((pt[0] + next[0]) / 2), roundCoord((pt[1] + next[1]) / 2)],
+                              ...r.slice(i + 1),
+                            ]),
+                        }}
+                      />
+                    )}
+                  </React.Fragment>
+                );
+              })
+            )}
+
+            {/* Area being drawn */}
+            {drawing.length > 0 && (
+              <Polyline
+                positions={drawing.length > 2 ? [...drawing, drawing[0]] : drawing}
+                pathOptions={{ color: "#0f172a", weight: 2, dashArray: "6 4" }}
+              />
+            )}
+            {drawing.map((pt, i) => (
+              <Marker key={`draw-${i}`} position={pt} icon={vertexIcon} />
+            ))}
+          </MapContainer>
+        </div>
+
+        {/* SIDE PANEL */}
+        <aside className={`${glassPanel} flex flex-col gap-5`}>
+          <section className="space-y-2">
+            <h2 className="text-lg font-semibold">Tools</h2>
+            {!tool && (
+              <div className="flex flex-wrap gap-2">
+                <button type="button" className={buttonClass} onClick={() => setTool(TOOLS.ADD_POI)}>
+                  Add stop
+                </button>
+                <button
+                  type="button"
+                  className={buttonClass}
+                  onClick={() => {
+                    setSelection(null);
+                    setTool(TOOLS.DRAW_AREA);
+                  }}
+                >
+                  Draw area
+                </button>
+              </div>
+            )}
+            {tool === TOOLS.ADD_POI && (
+              <div className="space-y-2 text-sm">
+                <p>Click the map where the new stop should go.</p>
+                <button type="button" className={buttonClass} onClick={handleCancelTool}>
+                  Cancel
+                </button>
+              </div>
+            )}
+            {tool === TOOLS.DRAW_AREA && (
+              <div className="space-y-2 text-sm">
+                <p>Click the map to place corners ({drawing.length} so far, at least 3).</p>
+                <input
+                  className={inputClass}
+                  placeholder="Area id, e.g. meadowArea"
+                  value={newAreaId}
+                  onChange={(e) => setNewAreaId(e.target.value)}
+                />
+                {newAreaIdError && <p className="text-xs text-rose-600">{newAreaIdError}</p>}
+                <div className="flex gap-2">
+                  <button
+                    type="button"
+                    className={buttonClass}
+                    onClick={handleFinishArea}
+                    disabled={drawing.length < 3 || Boolean(newAreaIdError)}
+                  >
+                    Finish area
+                  </button>
+                  <button type="button" className={buttonClass} onClick={handleCancelTool}>
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+          </section>
+
+          {selectedPoi && (
+            <section className="space-y-2" data-cy="poi-form">
+              <h2 className="text-lg font-semibold">Stop: {selectedPoi.id}</h2>
+              <label className="block text-sm font-medium">
+                Name
+                <input
+                  className={inputClass}
+                  value={selectedPoi.name || ""}
+                  onChange={(e) => updatePoi(selectedPoi.id, { name: e.target.value })}
+                />
+              </label>
+              <label className="block text-sm font-medium">
+                Type (marker icon)
+                <select
+                  className={inputClass}
+                  value={selectedPoi.type || ""}
+                  onChange={(e) => updatePoi(selectedPoi.id, { type: e.target.value || undefined })}
+                >
+                  <option value="">(default)</option>
+                  {Object.keys(ICON_CONFIGS).map((type) => (
+                    <option key={type} value={type}>
+                      {type}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="block text-sm font-medium">
+                Popup text (clickText)
+                <textarea
+                  className={inputClass}
+                  rows={4}
+                  value={selectedPoi.clickText || ""}
+                  onChange={(e) => updatePoi(selectedPoi.id, { clickText: e.target.value || undefined })}
+                />
+              </label>
+              <label className="block text-sm font-medium">
+                Audio file (audioSrc)
+                <input
+                  className={inputClass}
+                  placeholder="/audio/stop.mp3"
+                  value={selectedPoi.audioSrc || ""}
+                  onChange={(e) => updatePoi(selectedPoi.id, { audioSrc: e.target.value || undefined })}
+                />
+              </label>
+              <label className="block text-sm font-medium">
+                Transcript file (transcriptSrc)
+                <input
+                  className={inputClass}
+                  placeholder="/captions/stop.vtt"
+                  value={selectedPoi.transcriptSrc || ""}
+                  onChange={(e) =>
+                    updatePoi(selectedPoi.id, { transcriptSrc: e.target.value || undefined })
+                  }
+                />
+              </label>
+              <p className="text-xs text-slate-500">
+                {selectedPoi.lat}, {selectedPoi.lng}
+              </p>
+              <button
+                type="button"
+                className={buttonClass}
+                onClick={() => handleDeletePoi(selectedPoi.id)}
+                disabled={selectionRefs.length > 0}
+              >
+                Delete stop
+              </button>
+              {selectionRefs.length > 0 && (
+                <p className="text-xs text-slate-500" data-cy="editor-delete-blocked">
+                  Used by {selectionRefs.join(", ")}. Remove it there before deleting.
+                </p>
+              )}
+            </section>
+          )}
+
+          {selectedPolygons && (
+            <section className="space-y-2">
+              <h2 className="text-lg font-semibold">Area: {selection.id}</h2>
+              <p className="text-sm">
+                {selectedRings.reduce((n, { ring }) => n + (ring?.length || 0), 0)} corners
+                {selectedPolygons.length > 1 && ` in ${selectedPolygons.length} parts`}
+                {selectedRings.some(({ index }) => index > 0) &&
+                  `, ${selectedRings.filter(({ index }) => index > 0).length} hole(s)`}
+              </p>
+              {selection.id !== "siteBorder" && (
+                <button
+                  type="button"
+                  className={buttonClass}
+                  onClick={() => handleDeleteArea(selection.id)}
+                  disabled={selectionRefs.length > 0}
+                >
+                  Delete area
+                </button>
+              )}
+              {selection.id !== "siteBorder" && selectionRefs.length > 0 && (
+                <p className="text-xs text-slate-500" data-cy="editor-delete-blocked">
+                  Used by {selectionRefs.join(", ")}. Remove it there before deleting.
+                </p>
+              )}
+            </section>
+          )}
+
+          <section className="space-y-2">
+            <h2 className="text-lg font-semibold">Validation</h2>
+            {transcriptsPending ? (
+              <p className="text-sm">Checking transcript files…</p>
+            ) : errors.length ? (
+              <ul className="list-disc space-y-1 pl-5 text-sm text-rose-600" data-cy="editor-errors">
+                {errors.map((err) => (
+                  <li key={err}>{err}</li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-sm text-emerald-700 dark:text-emerald-300">No problems found.</p>
+            )}
+            <div className="flex flex-wrap gap-2">
+              <button
+                type="button"
+                className={buttonClass}
+                onClick={handleDownload}
+                disabled={errors.length > 0 || transcriptsPending}
+              >
+                Download map.json
+              </button>
+              <button type="button" className={buttonClass} onClick={handleReset}>
+                Reset to published
+              </button>
+            </div>
+          </section>
+        </aside>
+      </div>
+    </div>
+  );
+}
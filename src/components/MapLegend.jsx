@@ -0,0 +1,68 @@
+/**
+ * ================================================================================
+ * File: MapLegend.jsx
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Legend swatches for the Sitemap and the printed map, drawn from the
+ * same entries (mapLegendItems, trailLegendItemsFor in mapLayers.jsx) so the key
+ * matches the lines and fills on the map.
+ * ================================================================================
+ */
+
+import React from "react";
+
+/**
+ * Swatch for a mapLegendItems entry: a line for the site border, a filled box for areas
+ * @param {Object} props
+ * @param {Object} props.item - Entry with stroke, and fill or variant "line"
+ * @returns {JSX.Element}
+ */
+export function LegendSwatch({ item }) {
+  if (item.variant === "line") {
+    return (
+      <span
+        style={{
+          width: 32,
+          height: 3,
+          borderRadius: 999,
+          backgroundColor: item.stroke,
+          display: "inline-block",
+          flexShrink: 0,
+        }}
+      />
+    );
+  }
+  return (
+    <span
+      style={{
+        width: 24,
+        height: 12,
+        borderRadius: 4,
+        border: `2px solid ${item.stroke}`,
+        background: item.fill,
+        flexShrink: 0,
+      }}
+    />
+  );
+}
+
+/**
+ * Swatch for a trail legend entry: the difficulty colour with the surface's dashes
+ * @param {Object} props
+ * @param {Object} props.item - Entry from trailLegendItemsFor
+ * @returns {JSX.Element}
+ */
+export function TrailLegendSwatch({ item }) {
+  return (
+    <svg width="32" height="6" aria-hidden="true" style={{ flexShrink: 0 }}>
+      <line
+        x1="0"
+        y1="3"
+        x2="32"
+        y2="3"
+        stroke={item.color}
+        strokeWidth="3"
+        strokeDasharray={item.dashArray || undefined}
+      />
+    </svg>
+  );
+}
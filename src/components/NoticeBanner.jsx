@@ -0,0 +1,74 @@
+/**
+ * ================================================================================
+ * File: NoticeBanner.jsx
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Homepage banner listing active trail notices (closures, hazards,
+ * seasonal warnings) from src/data/notices.json, with a link to the trail map.
+ * ================================================================================
+ */
+
+import React from "react";
+import { Link } from "react-router-dom";
+import { IoWarningOutline } from "react-icons/io5";
+import { formatNoticeEnd } from "../utils/notices";
+
+// ============================================================================
+// Constants & Configuration
+// ============================================================================
+
+// Banner colours per severity; the most severe active notice sets the banner colour
+const SEVERITY_CLASSES = {
+  closure:
+    "border-red-400/60 bg-red-50/90 text-red-800 dark:border-red-500/50 dark:bg-red-900/80 dark:text-red-100",
+  caution:
+    "border-amber-400/60 bg-amber-50/90 text-amber-800 dark:border-amber-500/50 dark:bg-amber-900/80 dark:text-amber-100",
+  info: "border-sky-400/60 bg-sky-50/90 text-sky-800 dark:border-sky-500/50 dark:bg-sky-900/80 dark:text-sky-100",
+};
+
+const SEVERITY_LABELS = { closure: "Closed", caution: "Caution", info: "Notice" };
+
+// ============================================================================
+// NoticeBanner Component
+// ============================================================================
+
+/**
+ * Banner for active trail notices; renders nothing when there are none
+ * @param {Object} props
+ * @param {Array<Object>} props.notices - Active notices, most severe first (getActiveNotices)
+ * @returns {JSX.Element|null}
+ */
+export default function NoticeBanner({ notices }) {
+  if (!notices?.length) return null;
+  const tone = SEVERITY_CLASSES[notices[0].severity] || SEVERITY_CLASSES.info;
+
+  return (
+    <section
+      data-cy="notice-banner"
+      role="status"
+      className={`flex items-start gap-3 rounded-2xl border p-4 text-sm shadow-md ${tone}`}
+    >
+      <IoWarningOutline className="mt-0.5 h-5 w-5 flex-shrink-0" />
+      <div className="flex-1 space-y-2">
+        <ul className="space-y-2">
+          {notices.map((notice) => {
+            const until = formatNoticeEnd(notice);
+            return (
+              <li key={notice.id}>
+                <p className="font-semibold">
+                  {SEVERITY_LABELS[notice.severity] || SEVERITY_LABELS.info}: {notice.title}
+                </p>
+                <p className="text-xs">
+                  {notice.message}
+                  {until && <span className="opacity-80"> · {until}</span>}
+                </p>
+              </li>
+            );
+          })}
+        </ul>
+        <Link to="/sitemap" className="inline-block text-xs font-semibold underline">
+          See it on the trail map
+        </Link>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,392 @@
+/**
+ * ================================================================================
+ * File: PrintMap.jsx
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Printable trail map (/sitemap/print) for events and handouts: site
+ * border, areas, trail and numbered stops with a north arrow and scale bar, next to
+ * a legend and the stops' descriptions. Laid out in millimetres for A4 or Letter,
+ * portrait or landscape, and printed (or saved as PDF) by the browser.
+ * ================================================================================
+ */
+
+import React, { useMemo, useState } from "react";
+import { MapContainer, TileLayer, Polyline, Polygon, Marker, ScaleControl } from "react-leaflet";
+import "leaflet/dist/leaflet.css";
+
+import mapData from "../data/map.json";
+import { areaRings } from "../utils/geo";
+import {
+  readSiteBorder,
+  sanitizePois,
+  sanitizeRoutes,
+  sanitizeTrails,
+} from "../utils/mapData";
+import {
+  TILE_URL,
+  ICON_CONFIGS,
+  DEFAULT_ICON_CONFIG,
+  SITE_BORDER_PATH_OPTIONS,
+  mapLegendItems,
+  areaPathOptions,
+  borderOutlines,
+  buildAreas,
+  createNumberedIcon,
+  trailLegendItemsFor,
+  trailSegmentPathOptions,
+} from "./mapLayers";
+import { LegendSwatch, TrailLegendSwatch } from "./MapLegend";
+
+// ============================================================================
+// Constants & Configuration
+// ============================================================================
+
+// Reusable glass morphism styling
+const glassPanel =
+  "rounded-3xl border border-white/40 bg-white/60 p-6 shadow-lg shadow-slate-900/10 backdrop-blur-2xl transition-colors duration-300 dark:border-slate-700/60 dark:bg-slate-900/55";
+
+// Paper sizes in millimetres (portrait); cssSize is the @page size keyword
+const PAPER_SIZES = {
+  a4: { label: "A4", widthMm: 210, heightMm: 297, cssSize: "A4" },
+  letter: { label: "Letter", widthMm: 215.9, heightMm: 279.4, cssSize: "letter" },
+};
+
+const ORIENTATIONS = ["portrait", "landscape"];
+
+// Page margin; most printers cannot print closer to the edge
+const PAGE_MARGIN_MM = 10;
+
+// Share of the sheet given to the map; the rest holds the legend and stop list
+const MAP_SHARE = "60%";
+
+const SITE_TITLE = "Woodland Conservation Area";
+
+// The parcel's published figures; siteBorder and the trail in map.json are not surveyed
+const SITE_SUMMARY = "27 acres · 1 km loop";
+
+// Everything on the sheet comes from map.json
+const SITE_BORDER = readSiteBorder(mapData);
+const SITE_BORDER_POINTS = areaRings(SITE_BORDER).flat();
+const SITE_BORDER_OUTLINES = borderOutlines(SITE_BORDER);
+const AREAS = buildAreas(mapData?.areas);
+const TRAILS = sanitizeTrails(mapData?.trails);
+const TRAIL_SEGMENTS = TRAILS.flatMap((trail) => trail.segments);
+const TRAIL_LEGEND_ITEMS = trailLegendItemsFor(TRAIL_SEGMENTS);
+
+/**
+ * Stops in the order visitors meet them: the first route's stops, then the rest
+ * @returns {Array<Object>} Sanitized POIs
+ */
+function stopsInWalkingOrder() {
+  const pois = sanitizePois(mapData?.pois);
+  const [mainRoute] = sanitizeRoutes(mapData?.routes, TRAILS);
+  const onRoute = (mainRoute?.stops || [])
+    .map((id) => pois.find((p) => p.id === id))
+    .filter(Boolean);
+  return [...onRoute, ...pois.filter((p) => !onRoute.includes(p))];
+}
+
+const STOPS = stopsInWalkingOrder();
+
+/**
+ * Printable area of a page after margins
+ * @param {string} paper - PAPER_SIZES key
+ * @param {string} orientation - "portrait" or "landscape"
+ * @returns {{widthMm: number, heightMm: number}} Sheet size in millimetres
+ */
+function sheetSize(paper, orientation) {
+  const { widthMm, heightMm } = PAPER_SIZES[paper];
+  const [w, h] = orientation === "landscape" ? [heightMm, widthMm] : [widthMm, heightMm];
+  // 1 mm short of the page so rounding never spills onto a blank second page
+  return { widthMm: w - 2 * PAGE_MARGIN_MM, heightMm: h - 2 * PAGE_MARGIN_MM - 1 };
+}
+
+/**
+ * Print rules for the chosen paper: page size, and nothing but the sheet on the page
+ * The sheet's ancestors stay but lose their layout and glass styling, and colours are
+ * forced on, since browsers drop backgrounds (area fills, markers) by default
+ * @param {string} paper - PAPER_SIZES key
+ * @param {string} orientation - "portrait" or "landscape"
+ * @returns {string} CSS
+ */
+function printCss(paper, orientation) {
+  return `
+    @page { size: ${PAPER_SIZES[paper].cssSize} ${orientation}; margin: ${PAGE_MARGIN_MM}mm; }
+    @media print {
+      body *:not([data-print-sheet]):not([data-print-sheet] *):not(:has([data-print-sheet])) {
+        display: none !important;
+      }
+      *:has([data-print-sheet]) {
+        position: static !important;
+        width: auto !important;
+        height: auto !important;
+        min-height: 0 !important;
+        max-width: none !important;
+        margin: 0 !important;
+        padding: 0 !important;
+        border: none !important;
+        background: none !important;
+        box-shadow: none !important;
+        backdrop-filter: none !important;
+        transform: none !important;
+        overflow: visible !important;
+      }
+      [data-print-sheet] { box-shadow: none !important; }
+      [data-print-sheet] * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    }
+  `;
+}
+
+// ============================================================================
+// Helper Components
+// ============================================================================
+
+/**
+ * Static map of the whole site with numbered stops
+ * @returns {JSX.Element}
+ */
+function SiteMapPanel() {
+  return (
+    <MapContainer
+      bounds={SITE_BORDER_POINTS.length ? SITE_BORDER_POINTS : STOPS.map((p) => [p.lat, p.lng])}
+      boundsOptions={{ padding: [12, 12] }}
+      zoomSnap={0.25}
+      style={{ height: "100%", width: "100%" }}
+      zoomControl={false}
+      dragging={false}
+      scrollWheelZoom={false}
+      doubleClickZoom={false}
+      touchZoom={false}
+      boxZoom={false}
+      keyboard={false}
+    >
+      <TileLayer url={TILE_URL} attribution="&copy; OpenStreetMap contributors" />
+      <ScaleControl position="bottomleft" />
+      {AREAS.map((a) => (
+        <Polygon key={a.id} positions={a.coords} pathOptions={areaPathOptions(a)} />
+      ))}
+      {SITE_BORDER_OUTLINES.length > 0 && (
+        <Polyline positions={SITE_BORDER_OUTLINES} pathOptions={SITE_BORDER_PATH_OPTIONS} />
+      )}
+      {TRAIL_SEGMENTS.map((seg) => (
+        <Polyline key={seg.id} positions={seg.coords} pathOptions={trailSegmentPathOptions(seg)} />
+      ))}
+      {STOPS.map((poi, i) => (
+        <Marker
+          key={poi.id || `${poi.lat},${poi.lng}`}
+          position={[poi.lat, poi.lng]}
+          icon={createNumberedIcon(poi.type, i + 1)}
+        />
+      ))}
+    </MapContainer>
+  );
+}
+
+/**
+ * Legend and numbered stop descriptions
+ * @param {Object} props
+ * @param {number} props.columns - Columns for the stop list
+ * @returns {JSX.Element}
+ */
+function SheetKey({ columns }) {
+  return (
+    <div
+      style={{
+        flex: 1,
+        display: "flex",
+        flexDirection: "column",
+        gap: "3mm",
+        minWidth: 0,
+        minHeight: 0,
+      }}
+    >
+      <div
+        data-cy="print-legend"
+        style={{ display: "flex", flexWrap: "wrap", gap: "1.5mm 5mm", fontSize: "9pt" }}
+      >
+        {mapLegendItems.map((item) => (
+          <div key={item.label} style={{ display: "flex", alignItems: "center", gap: 6 }}>
+            <LegendSwatch item={item} />
+            {item.label}
+          </div>
+        ))}
+        {TRAIL_LEGEND_ITEMS.map((item) => (
+          <div key={item.key} style={{ display: "flex", alignItems: "center", gap: 6 }}>
+            <TrailLegendSwatch item={item} />
+            {item.label}
+          </div>
+        ))}
+      </div>
+      <ol
+        data-cy="print-stops"
+        style={{
+          margin: 0,
+          padding: 0,
+          listStyle: "none",
+          columnCount: columns,
+          columnGap: "5mm",
+          fontSize: "8.5pt",
+          lineHeight: 1.3,
+          overflow: "hidden",
+        }}
+      >
+        {STOPS.map((poi, i) => {
+          const config = ICON_CONFIGS[poi.type] || DEFAULT_ICON_CONFIG;
+          return (
+            <li
+              key={poi.id || poi.name}
+              style={{ breakInside: "avoid", display: "flex", gap: "2mm", marginBottom: "2mm" }}
+            >
+              <span
+                style={{
+                  flexShrink: 0,
+                  width: 18,
+                  height: 18,
+                  borderRadius: "50%",
+                  background: config.color,
+                  color: "#fff",
+                  fontWeight: 700,
+                  fontSize: "8pt",
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "center",
+                }}
+              >
+                {i + 1}
+              </span>
+              <span>
+                <strong>{poi.name}</strong>
+                {poi.clickText && <span> — {poi.clickText}</span>}
+              </span>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
+
+// ============================================================================
+// PrintMap Component
+// ============================================================================
+
+/**
+ * PrintMap Component - Print-ready trail map with legend and stop list
+ * @returns {JSX.Element}
+ */
+export default function PrintMap() {
+  const [paper, setPaper] = useState("a4");
+  const [orientation, setOrientation] = useState("portrait");
+
+  const { widthMm, heightMm } = sheetSize(paper, orientation);
+  const landscape = orientation === "landscape";
+  const css = useMemo(() => printCss(paper, orientation), [paper, orientation]);
+
+  return (
+    <div className="flex flex-col gap-8 text-slate-800 dark:text-slate-100">
+      <style>{css}</style>
+      <header className={`${glassPanel} space-y-4 print:hidden`}>
+        <div className="space-y-2">
+          <h1 className="text-3xl font-semibold">Print the trail map</h1>
+          <p className="text-sm text-slate-600 dark:text-slate-300">
+            A one-page map of the site with every stop numbered and described. Pick the
+            paper, then print, or choose &ldquo;Save as PDF&rdquo; in the print dialog for
+            a brochure file. Wait for the map tiles to appear before printing.
+          </p>
+        </div>
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="flex flex-col gap-1 text-sm font-medium">
+            Paper
+            <select
+              value={paper}
+              onChange={(e) => setPaper(e.target.value)}
+              className="rounded-lg border border-slate-300 bg-white/80 px-3 py-1.5 text-slate-900"
+              data-cy="print-paper"
+            >
+              {Object.entries(PAPER_SIZES).map(([id, { label }]) => (
+                <option key={id} value={id}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1 text-sm font-medium">
+            Orientation
+            <select
+              value={orientation}
+              onChange={(e) => setOrientation(e.target.value)}
+              className="rounded-lg border border-slate-300 bg-white/80 px-3 py-1.5 capitalize text-slate-900"
+              data-cy="print-orientation"
+            >
+              {ORIENTATIONS.map((o) => (
+                <option key={o} value={o}>
+                  {o}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            type="button"
+            onClick={() => window.print()}
+            className="rounded-full bg-emerald-500 px-4 py-1.5 font-semibold text-white shadow-lg shadow-emerald-500/30"
+          >
+            Print map
+          </button>
+        </div>
+      </header>
+
+      {/* The sheet is sized in millimetres, so the preview is what prints */}
+      <div className="overflow-x-auto">
+        <div
+          data-print-sheet
+          data-cy="print-sheet"
+          style={{
+            width: `${widthMm}mm`,
+            height: `${heightMm}mm`,
+            display: "flex",
+            flexDirection: landscape ? "row" : "column",
+            gap: "5mm",
+            padding: 0,
+            background: "#fff",
+            color: "#0f172a",
+            boxShadow: "0 12px 32px rgba(15,23,42,0.15)",
+            overflow: "hidden",
+          }}
+        >
+          <div
+            style={{
+              flex: `0 0 ${MAP_SHARE}`,
+              display: "flex",
+              flexDirection: "column",
+              minWidth: 0,
+              minHeight: 0,
+            }}
+          >
+            <h2 style={{ margin: "0 0 2mm", fontSize: "16pt", fontWeight: 700 }}>
+              {SITE_TITLE} trail map
+            </h2>
+            <p style={{ margin: "0 0 3mm", fontSize: "9pt" }}>
+              {SITE_SUMMARY} · {STOPS.length} stops
+            </p>
+            <div style={{ position: "relative", flex: 1, border: "1px solid #94a3b8" }}>
+              {/* Remount on layout changes so the map refits its new size */}
+              <SiteMapPanel key={`${paper}-${orientation}`} />
+              <img
+                src="/images/north-arrow.jpg"
+                alt="North arrow"
+                style={{
+                  position: "absolute",
+                  right: "3mm",
+                  top: "3mm",
+                  height: "16mm",
+                  zIndex: 500,
+                  pointerEvents: "none",
+                }}
+              />
+            </div>
+          </div>
+          <SheetKey columns={landscape ? 1 : 2} />
+        </div>
+      </div>
+    </div>
+  );
+}
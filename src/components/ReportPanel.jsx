@@ -0,0 +1,184 @@
+/**
+ * ================================================================================
+ * File: ReportPanel.jsx
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Sitemap dialog for filing a trail report (fallen tree, litter,
+ * broken equipment, washed-out path) at a spot picked on the map or at the
+ * visitor's position. Reports are queued on the device and sent when online.
+ * ================================================================================
+ */
+
+import React, { useState } from "react";
+import { formatDistance } from "../utils/geo";
+import { REPORT_CATEGORIES, buildReport, resizePhoto, sendReport } from "../utils/reports";
+import { queueReport, flushReportQueue } from "../utils/reportQueue";
+
+// ============================================================================
+// ReportPanel Component
+// ============================================================================
+
+/**
+ * Trail report form
+ * @param {Object} props
+ * @param {string} props.endpoint - Reports endpoint URL
+ * @param {Object} props.location - { lat, lng, accuracy? } being reported
+ * @param {"map"|"gps"} props.source - Where the location came from
+ * @param {Object|null} props.userPos - Visitor's current position, if tracking
+ * @param {Function} props.onUseMyPosition - Switch the location to userPos
+ * @param {Function} props.onCancel - Close without sending
+ * @param {Function} props.onDone - Called with { sent, remaining } after submitting
+ * @param {Object} props.dialogStyle - Card styling shared with the other Sitemap dialogs
+ * @param {Object} props.buttonStyle - Sitemap overlay button style
+ * @returns {JSX.Element}
+ */
+export default function ReportPanel({
+  endpoint,
+  location,
+  source,
+  userPos,
+  onUseMyPosition,
+  onCancel,
+  onDone,
+  dialogStyle,
+  buttonStyle,
+}) {
+  const [category, setCategory] = useState(REPORT_CATEGORIES[0].value);
+  const [note, setNote] = useState("");
+  const [photo, setPhoto] = useState(null);
+  const [photoError, setPhotoError] = useState(null);
+  const [sending, setSending] = useState(false);
+
+  const fieldStyle = {
+    width: "100%",
+    padding: "6px 8px",
+    borderRadius: 8,
+    border: "1px solid #cbd5e1",
+    background: "#fff",
+    color: "#0f172a",
+    fontSize: 13,
+  };
+
+  const handlePhoto = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    try {
+      setPhoto(await resizePhoto(file));
+      setPhotoError(null);
+    } catch (e) {
+      console.warn("Photo could not be read:", e);
+      setPhoto(null);
+      setPhotoError("That photo could not be read. Try another one.");
+    }
+  };
+
+  /**
+   * Queue first so nothing is lost without signal, then try to send everything queued
+   * Browsers without IndexedDB send directly and report failure as not sent
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSending(true);
+    const report = buildReport({ category, note, location, source, photo });
+    let outcome;
+    try {
+      await queueReport(report);
+      outcome = await flushReportQueue(endpoint);
+    } catch (e) {
+      console.warn("Report queue unavailable, sending directly:", e);
+      outcome = await sendReport(endpoint, report).then(
+        () => ({ sent: 1, remaining: 0 }),
+        () => ({ sent: 0, remaining: 1 })
+      );
+    }
+    setSending(false);
+    onDone(outcome);
+  };
+
+  return (
+    <form
+      role="dialog"
+      aria-label="Report a problem"
+      data-cy="report-panel"
+      style={dialogStyle}
+      onSubmit={handleSubmit}
+    >
+      <div style={{ fontWeight: 700, fontSize: 16, marginBottom: 8 }}>Report a problem</div>
+
+      <div style={{ fontSize: 12, color: "#475569", marginBottom: 10 }}>
+        {source === "gps"
+          ? `At your position${location.accuracy ? ` (±${formatDistance(location.accuracy)})` : ""}`
+          : "At the spot you picked on the map"}
+        {source === "map" && userPos && (
+          <button
+            type="button"
+            onClick={onUseMyPosition}
+            style={{ marginLeft: 8, textDecoration: "underline", color: "#047857" }}
+          >
+            Use my position instead
+          </button>
+        )}
+      </div>
+
+      <label style={{ display: "block", fontSize: 12, fontWeight: 600, marginBottom: 4 }}>
+        What did you find?
+        <select
+          data-cy="report-category"
+          value={category}
+          onChange={(e) => setCategory(e.target.value)}
+          style={{ ...fieldStyle, marginTop: 4 }}
+        >
+          {REPORT_CATEGORIES.map(({ value, label }) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label style={{ display: "block", fontSize: 12, fontWeight: 600, margin: "10px 0 4px" }}>
+        Note (optional)
+        <textarea
+          data-cy="report-note"
+          rows={3}
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="e.g. Large branch across the path, can step over it"
+          style={{ ...fieldStyle, marginTop: 4, resize: "vertical" }}
+        />
+      </label>
+
+      <label style={{ display: "block", fontSize: 12, fontWeight: 600, margin: "10px 0 4px" }}>
+        Photo (optional)
+        <input
+          type="file"
+          accept="image/*"
+          capture="environment"
+          onChange={handlePhoto}
+          style={{ display: "block", marginTop: 4, fontSize: 12 }}
+        />
+      </label>
+      {photo && (
+        <img
+          src={photo}
+          alt="Report attachment"
+          style={{ maxHeight: 96, borderRadius: 8, marginTop: 4 }}
+        />
+      )}
+      {photoError && <div style={{ color: "#b91c1c", fontSize: 12 }}>{photoError}</div>}
+
+      <div style={{ display: "flex", gap: 8, marginTop: 12, flexWrap: "wrap" }}>
+        <button type="button" onClick={onCancel} style={buttonStyle}>
+          Cancel
+        </button>
+        <button
+          type="submit"
+          data-cy="report-submit"
+          disabled={sending}
+          style={{ ...buttonStyle, background: "#059669", color: "#fff" }}
+        >
+          {sending ? "Sending…" : "Send report"}
+        </button>
+      </div>
+    </form>
+  );
+}
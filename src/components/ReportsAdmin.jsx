@@ -0,0 +1,225 @@
+/**
+ * ================================================================================
+ * File: ReportsAdmin.jsx
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Volunteer tool (/admin/reports) listing visitor trail reports from
+ * the reports endpoint, with a status per report (new, in progress, resolved)
+ * and any reports still queued on this device.
+ * ================================================================================
+ */
+
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+
+import {
+  REPORTS_ENDPOINT,
+  REPORT_CATEGORIES,
+  REPORT_STATUSES,
+  listReports,
+  optionLabel,
+  updateReportStatus,
+} from "../utils/reports";
+import { getQueuedReports, flushReportQueue } from "../utils/reportQueue";
+
+// ============================================================================
+// Constants & Configuration
+// ============================================================================
+
+// Reusable glass morphism styling
+const glassPanel =
+  "rounded-3xl border border-white/40 bg-white/60 p-6 shadow-lg shadow-slate-900/10 backdrop-blur-2xl transition-colors duration-300 dark:border-slate-700/60 dark:bg-slate-900/55";
+
+const STATUS_BADGES = {
+  new: "bg-rose-100 text-rose-800",
+  "in-progress": "bg-amber-100 text-amber-800",
+  resolved: "bg-emerald-100 text-emerald-800",
+};
+
+/**
+ * OpenStreetMap link centred on a report, for finding it on a phone
+ * @param {Object} report - Report with lat and lng
+ * @returns {string} URL
+ */
+const osmLink = ({ lat, lng }) =>
+  `https://www.openstreetmap.org/?mlat=${lat}&mlon=${lng}#map=19/${lat}/${lng}`;
+
+// ============================================================================
+// ReportsAdmin Component
+// ============================================================================
+
+/**
+ * ReportsAdmin Component - Maintainer list of visitor trail reports
+ * @returns {JSX.Element}
+ */
+export default function ReportsAdmin() {
+  const [reports, setReports] = useState([]);
+  const [queued, setQueued] = useState([]);
+  const [loadError, setLoadError] = useState(null);
+  const [statusFilter, setStatusFilter] = useState("open");
+
+  const refresh = useCallback(async () => {
+    getQueuedReports()
+      .then(setQueued)
+      .catch(() => setQueued([]));
+    if (!REPORTS_ENDPOINT) return;
+    try {
+      setReports(await listReports(REPORTS_ENDPOINT));
+      setLoadError(null);
+    } catch (e) {
+      console.warn("Loading reports failed:", e);
+      setLoadError("Reports could not be loaded. Check your connection and try again.");
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const handleStatusChange = async (id, status) => {
+    try {
+      const updated = await updateReportStatus(REPORTS_ENDPOINT, id, status);
+      setReports((list) => list.map((r) => (r.id === id ? updated : r)));
+    } catch (e) {
+      console.warn("Status update failed:", e);
+      setLoadError("The status could not be saved. Try again.");
+    }
+  };
+
+  const handleSendQueued = async () => {
+    try {
+      await flushReportQueue(REPORTS_ENDPOINT);
+    } catch (e) {
+      console.warn("Sending queued reports failed:", e);
+    }
+    refresh();
+  };
+
+  // "open" hides resolved reports, "all" shows everything, otherwise one status
+  const visibleReports = useMemo(() => {
+    if (statusFilter === "all") return reports;
+    if (statusFilter === "open") return reports.filter((r) => r.status !== "resolved");
+    return reports.filter((r) => r.status === statusFilter);
+  }, [reports, statusFilter]);
+
+  return (
+    <div className="flex flex-col gap-8 text-slate-800 dark:text-slate-100">
+      <header className={`${glassPanel} space-y-4`}>
+        <div className="space-y-2">
+          <h1 className="text-3xl font-semibold">Trail reports</h1>
+          <p className="text-sm text-slate-600 dark:text-slate-300">
+            Problems visitors reported from the trail map. Set a report to In progress
+            when someone is on it, and Resolved once it is fixed.
+          </p>
+        </div>
+        {!REPORTS_ENDPOINT ? (
+          <p className="text-sm text-rose-600">
+            No reports endpoint is configured. Set VITE_REPORTS_ENDPOINT and rebuild.
+          </p>
+        ) : (
+          <div className="flex flex-wrap items-end gap-3">
+            <label className="flex flex-col gap-1 text-sm font-medium">
+              Show
+              <select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                className="rounded-lg border border-slate-300 bg-white/80 px-3 py-1.5 text-slate-900"
+                data-cy="reports-filter"
+              >
+                <option value="open">Open (not resolved)</option>
+                {REPORT_STATUSES.map(({ value, label }) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+                <option value="all">All</option>
+              </select>
+            </label>
+            <button
+              type="button"
+              onClick={refresh}
+              className="rounded-full bg-emerald-500 px-4 py-1.5 font-semibold text-white shadow-lg shadow-emerald-500/30"
+            >
+              Refresh
+            </button>
+          </div>
+        )}
+        {loadError && <p className="text-sm text-rose-600">{loadError}</p>}
+        {queued.length > 0 && (
+          <p className="text-sm" data-cy="reports-queued">
+            {queued.length} report(s) filed on this device have not been sent yet.{" "}
+            {REPORTS_ENDPOINT && (
+              <button type="button" onClick={handleSendQueued} className="font-semibold underline">
+                Send now
+              </button>
+            )}
+          </p>
+        )}
+      </header>
+
+      {REPORTS_ENDPOINT && (
+        <section className="grid gap-4 md:grid-cols-2">
+          {!visibleReports.length && (
+            <p className={`${glassPanel} text-sm`}>No reports to show.</p>
+          )}
+          {visibleReports.map((report) => (
+            <article
+              key={report.id}
+              className={`${glassPanel} flex flex-col gap-3`}
+              data-cy="report-card"
+            >
+              <div className="flex items-start justify-between gap-3">
+                <div>
+                  <h2 className="text-lg font-semibold">
+                    {optionLabel(REPORT_CATEGORIES, report.category)}
+                  </h2>
+                  <p className="text-xs text-slate-500 dark:text-slate-400">
+                    {new Date(report.createdAt).toLocaleString()} ·{" "}
+                    {report.source === "gps" ? "visitor's position" : "picked on the map"}
+                    {report.accuracy ? ` (±${report.accuracy} m)` : ""}
+                  </p>
+                </div>
+                <span
+                  className={`rounded-full px-3 py-1 text-xs font-semibold ${
+                    STATUS_BADGES[report.status] || STATUS_BADGES.new
+                  }`}
+                >
+                  {optionLabel(REPORT_STATUSES, report.status)}
+                </span>
+              </div>
+              {report.note && <p className="text-sm">{report.note}</p>}
+              {report.photo && (
+                <img
+                  src={report.photo}
+                  alt="Attached by the visitor"
+                  className="max-h-56 rounded-xl object-cover"
+                />
+              )}
+              <div className="mt-auto flex flex-wrap items-center justify-between gap-3 text-sm">
+                <a
+                  href={osmLink(report)}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="font-semibold text-emerald-700 underline dark:text-emerald-300"
+                >
+                  {report.lat.toFixed(5)}, {report.lng.toFixed(5)}
+                </a>
+                <select
+                  value={report.status}
+                  onChange={(e) => handleStatusChange(report.id, e.target.value)}
+                  aria-label="Status"
+                  className="rounded-lg border border-slate-300 bg-white/80 px-3 py-1.5 text-slate-900"
+                  data-cy="report-status"
+                >
+                  {REPORT_STATUSES.map(({ value, label }) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </article>
+          ))}
+        </section>
+      )}
+    </div>
+  );
+}
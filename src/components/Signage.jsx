@@ -0,0 +1,198 @@
+/**
+ * ================================================================================
+ * File: Signage.jsx
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Volunteer tool (/admin/signage) that builds a printable sheet with
+ * one sign per map.json POI: a QR code for the POI deep link, the stop name, its
+ * clickText and a small locator map. QR codes are generated in the browser.
+ * ================================================================================
+ */
+
+import React, { useEffect, useMemo, useState } from "react";
+import { MapContainer, TileLayer, Polyline, Marker } from "react-leaflet";
+import QRCode from "qrcode";
+import "leaflet/dist/leaflet.css";
+
+import mapData from "../data/map.json";
+import { buildDeepLink } from "../utils/deepLinks";
+import { readSiteBorder, sanitizeTrails } from "../utils/mapData";
+import {
+  TILE_URL,
+  SITE_BORDER_PATH_OPTIONS,
+  borderOutlines,
+  createCustomIcon,
+  trailSegmentPathOptions,
+} from "./mapLayers";
+
+// ============================================================================
+// Constants & Configuration
+// ============================================================================
+
+// Reusable glass morphism styling
+const glassPanel =
+  "rounded-3xl border border-white/40 bg-white/60 p-6 shadow-lg shadow-slate-900/10 backdrop-blur-2xl transition-colors duration-300 dark:border-slate-700/60 dark:bg-slate-900/55";
+
+// Sign cards print as plain white panels
+const signCard =
+  "flex flex-col gap-3 rounded-2xl border border-slate-300 bg-white p-4 text-slate-900 break-inside-avoid print:rounded-none print:border-slate-400";
+
+// QR options: medium error correction survives scuffed or weathered laminated signs
+const QR_OPTIONS = { errorCorrectionLevel: "M", margin: 2, width: 320 };
+
+// Zoom for the locator maps: close enough to see the stop within the site
+const LOCATOR_ZOOM = 17;
+
+// Site border and trail segments drawn on every locator map
+const SITE_BORDER_OUTLINES = borderOutlines(readSiteBorder(mapData));
+const TRAIL_SEGMENTS = sanitizeTrails(mapData?.trails).flatMap((trail) => trail.segments);
+
+// ============================================================================
+// Helper Components
+// ============================================================================
+
+/**
+ * Small static map showing where a stop sits within the site
+ * Uses the public map's marker icons and line styles so signs match the app
+ * @param {Object} props
+ * @param {Object} props.poi - POI with lat and lng
+ * @returns {JSX.Element}
+ */
+function LocatorMap({ poi }) {
+  return (
+    <MapContainer
+      center={[poi.lat, poi.lng]}
+      zoom={LOCATOR_ZOOM}
+      style={{ height: 160, width: "100%", borderRadius: 12 }}
+      zoomControl={false}
+      dragging={false}
+      scrollWheelZoom={false}
+      doubleClickZoom={false}
+      touchZoom={false}
+      boxZoom={false}
+      keyboard={false}
+    >
+      <TileLayer url={TILE_URL} attribution="&copy; OpenStreetMap contributors" />
+      {SITE_BORDER_OUTLINES.length > 0 && (
+        <Polyline positions={SITE_BORDER_OUTLINES} pathOptions={SITE_BORDER_PATH_OPTIONS} />
+      )}
+      {TRAIL_SEGMENTS.map((seg) => (
+        <Polyline key={seg.id} positions={seg.coords} pathOptions={trailSegmentPathOptions(seg)} />
+      ))}
+      <Marker position={[poi.lat, poi.lng]} icon={createCustomIcon(poi.type)} />
+    </MapContainer>
+  );
+}
+
+// ============================================================================
+// Signage Component
+// ============================================================================
+
+/**
+ * Signage Component - Printable QR sign sheet for every trail stop
+ * @returns {JSX.Element}
+ */
+export default function Signage() {
+  // Origin encoded in the QR codes; editable so a sheet printed from a local
+  // build still points at the public site
+  const [origin, setOrigin] = useState(window.location.origin);
+  // QR images keyed by POI id (data URLs)
+  const [qrCodes, setQrCodes] = useState({});
+  const [qrError, setQrError] = useState(null);
+
+  const pois = useMemo(
+    () =>
+      (Array.isArray(mapData?.pois) ? mapData.pois : []).filter(
+        (p) => p?.id && typeof p.lat === "number" && typeof p.lng === "number"
+      ),
+    []
+  );
+
+  /**
+   * Regenerate QR codes whenever the link origin changes
+   * Ignores results from a stale origin if the user keeps typing
+   */
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(
+      pois.map(async (poi) => [
+        poi.id,
+        await QRCode.toDataURL(buildDeepLink("poi", poi.id, origin), QR_OPTIONS),
+      ])
+    )
+      .then((entries) => {
+        if (cancelled) return;
+        setQrCodes(Object.fromEntries(entries));
+        setQrError(null);
+      })
+      .catch((e) => {
+        console.warn("QR code generation failed:", e);
+        if (!cancelled) setQrError("Could not generate QR codes for this link address.");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [pois, origin]);
+
+  return (
+    <div className="flex flex-col gap-8 text-slate-800 dark:text-slate-100">
+      <header className={`${glassPanel} space-y-4 print:hidden`}>
+        <div className="space-y-2">
+          <h1 className="text-3xl font-semibold">Trail stop QR signs</h1>
+          <p className="text-sm text-slate-600 dark:text-slate-300">
+            One sign per stop in the trail map. Scanning a code opens the map on that
+            stop with its audio ready to play, so visitors without a GPS lock can still
+            listen. Print on card stock and laminate before posting.
+          </p>
+        </div>
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="flex flex-col gap-1 text-sm font-medium">
+            Link address
+            <input
+              type="url"
+              value={origin}
+              onChange={(e) => setOrigin(e.target.value.trim())}
+              className="w-72 rounded-lg border border-slate-300 bg-white/80 px-3 py-1.5 text-slate-900"
+              data-cy="signage-origin"
+            />
+          </label>
+          <button
+            type="button"
+            onClick={() => window.print()}
+            className="rounded-full bg-emerald-500 px-4 py-1.5 font-semibold text-white shadow-lg shadow-emerald-500/30"
+          >
+            Print signs
+          </button>
+        </div>
+        {qrError && <p className="text-sm text-rose-600">{qrError}</p>}
+      </header>
+
+      <div className="grid gap-6 sm:grid-cols-2 print:grid-cols-2 print:gap-4">
+        {pois.map((poi) => (
+          <article key={poi.id} className={signCard} data-cy="sign-card">
+            <h2 className="text-xl font-semibold">{poi.name}</h2>
+            {poi.clickText && <p className="text-sm leading-snug">{poi.clickText}</p>}
+            <div className="flex items-center gap-4">
+              {qrCodes[poi.id] ? (
+                <img
+                  src={qrCodes[poi.id]}
+                  alt={`QR code linking to ${poi.name} on the trail map`}
+                  className="h-36 w-36 shrink-0"
+                />
+              ) : (
+                <div className="h-36 w-36 shrink-0 animate-pulse rounded bg-slate-200" />
+              )}
+              <div className="text-xs text-slate-600">
+                <p className="font-semibold">
+                  Scan to open this stop on the map
+                  {poi.audioSrc ? " and play its audio" : ""}.
+                </p>
+                <p className="mt-1 break-all">{buildDeepLink("poi", poi.id, origin)}</p>
+              </div>
+            </div>
+            <LocatorMap poi={poi} />
+          </article>
+        ))}
+      </div>
+    </div>
+  );
+}
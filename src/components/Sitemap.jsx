@@ -17,135 +17,148 @@ import {
   Polygon,
   Polyline,
   Circle,
+  CircleMarker,
   Tooltip,
+  ZoomControl,
+  ScaleControl,
   useMapEvents,
 } from "react-leaflet";
+import { Link, useSearchParams } from "react-router-dom";
 import L from "leaflet";
 import "leaflet/dist/leaflet.css";
 
 import mapData from "../data/map.json";
+import noticesData from "../data/notices.json";
+import ecologyData from "../data/ecologydata.json";
 import {
-  pointInPolygon,
-  distanceToPolygonMeters,
+  pointInArea,
+  distanceToAreaMeters,
+  areaRings,
   getClosestPoiWithinRadius,
+  nearestPointOnPolyline,
+  formatDistance,
+  getHazardsWithinRadius,
 } from "../utils/geo";
-
-// Import marker images
-import hikingIcon from "../assets/hiking.png";
-import farmIcon from "../assets/farm.png";
-import wellIcon from "../assets/water-well.png";
-import sittingIcon from "../assets/sitting.png";
-import birchIcon from "../assets/birch.png";
-import forestIcon from "../assets/homepage-banner.jpg";
-
-// ============================================================================
-// Icon Configuration
-// ============================================================================
-
-/**
- * Custom icon for user's current location marker
- * Uses divIcon for custom styling with gradient and shadow
- */
-const userLocationIcon = L.divIcon({
-  className: "user-location-icon",
-  html: `<div style="
-      width: 14px;
-      height: 14px;
-      border-radius: 9999px;
-      border: 2px solid rgba(255,255,255,0.85);
-      background: linear-gradient(135deg, #0ea5e9, #2563eb);
-      box-shadow: 0 0 12px rgba(14,165,233,0.65);
-    "></div>`,
-  iconSize: [18, 18],
-  iconAnchor: [9, 9],
-});
-
-// Default icon configuration for POIs without specific type
-const DEFAULT_ICON_CONFIG = {
-  image: forestIcon,
-  color: "#ef4444",
-};
-
-// Icon configurations mapped to POI types
-// Each type has custom image and color for visual distinction
-const ICON_CONFIGS = {
-  trailhead: {
-    image: hikingIcon,
-    color: "#10b981",
-  },
-  farmhouse: {
-    image: farmIcon,
-    color: "#8b5cf6",
-  },
-  well: {
-    image: wellIcon,
-    color: "#3b82f6",
-  },
-  sitting: {
-    image: sittingIcon,
-    color: "#f59e0b",
-  },
-  "yellow-birch": {
-    image: birchIcon,
-    color: "#84cc16",
-  },
-  exercise: {
-    image: hikingIcon,
-    color: "#0ea5e9",
-  },
-  telephone: {
-    image: sittingIcon,
-    color: "#f97316",
-  },
-  labyrinth: {
-    image: forestIcon,
-    color: "#14b8a6",
-  },
-};
+import { updateGeofences, updateAreaGeofences } from "../utils/geofence";
+import { createSpatialIndex } from "../utils/spatialIndex";
+import { getNextStopGuidance } from "../utils/guidance";
+import { createPositionFilter } from "../utils/positionFilter";
+import { createSimulatedGeolocation } from "../utils/simulatedGeolocation";
+import {
+  createWalk,
+  addFix,
+  getFixes,
+  finishWalk,
+  getUnfinishedWalk,
+  deleteWalk,
+} from "../utils/walkStore";
+import { summarizeWalk, anonymiseWalkSummary, formatDuration } from "../utils/walkSummary";
+import { mapDataToGeoJSON } from "../utils/geojson";
+import { downloadTextFile } from "../utils/download";
+import { buildGpx, parseGpxTrack } from "../utils/gpx";
+import { buildDeepLink } from "../utils/deepLinks";
+import {
+  sanitizeTrails,
+  sanitizeRoutes,
+  sanitizePois,
+  readSiteBorder,
+} from "../utils/mapData";
+import { getActiveNotices, resolveNoticeGeometry, formatNoticeEnd } from "../utils/notices";
+import { buildHabitats } from "../utils/habitats";
+import { REPORTS_ENDPOINT } from "../utils/reports";
+import { flushReportQueue } from "../utils/reportQueue";
+import ReportPanel from "./ReportPanel";
+import AudioTourPanel from "./AudioTourPanel";
+import { AudioCaption, TranscriptDetails } from "./Transcript";
+import { updateMediaSession, clearMediaSession } from "../utils/mediaSession";
+import {
+  OFFLINE_TILE_ZOOMS,
+  tileUrlsForBounds,
+  downloadForOffline,
+  hasOfflineData,
+  getStorageUsage,
+  formatBytes,
+} from "../utils/offline";
+import {
+  userLocationIcon,
+  createCustomIcon,
+  ICON_CONFIGS,
+  DEFAULT_ICON_CONFIG,
+  BASE_LAYERS,
+  AUTO_BASE_LAYER,
+  MAP_OVERLAYS,
+  resolveBaseLayer,
+  pathOptionsOnBaseLayer,
+  TRAIL_DIFFICULTY_STYLES,
+  SITE_BORDER_PATH_OPTIONS,
+  mapLegendItems,
+  trailLegendItemsFor,
+  noticeStyleFor,
+  noticePathOptions,
+  areaPathOptions,
+  trailSegmentPathOptions,
+  trailSegmentLabel,
+  buildAreas,
+  borderOutlines,
+} from "./mapLayers";
+import { LegendSwatch, TrailLegendSwatch } from "./MapLegend";
 
 // ============================================================================
 // Constants
 // ============================================================================
 
-// Map view modes: overview shows all areas, trail focuses on trail path
+// Map view modes: overview shows all areas, trail focuses on trail path,
+// explore shows everything with pan/zoom enabled
 const VIEW_MODES = {
   OVERVIEW: "overview",
   TRAIL: "trail",
+  EXPLORE: "explore",
 };
 
+// Zoom used when recentering on the visitor in Explore mode
+const RECENTER_ZOOM = 18;
+
+// Stops on any route in map.json; a ?poi= link to one of them opens in Trail mode
+const ROUTE_STOP_IDS = new Set(
+  (Array.isArray(mapData?.routes) ? mapData.routes : []).flatMap((route) =>
+    Array.isArray(route?.stops) ? route.stops : []
+  )
+);
+
+// Talking Trees geofence radii and scan cadence, configured in map.json
+// The exit radius is wider than the enter radius so GPS jitter does not retrigger a stop
+const TALKING_TREES_METERS = Number(mapData?.talkingTreesMeters) || 3;
+const TALKING_TREES_EXIT_METERS =
+  Number(mapData?.talkingTreesExitMeters) || TALKING_TREES_METERS * 2;
+const POLL_INTERVAL_MS = (Number(mapData?.pollIntervalSeconds) || 15) * 1000;
+
+// How far outside an area a tracking visitor goes before its habitat card closes
+const HABITAT_EXIT_METERS = Number(mapData?.habitatExitMeters ?? 8);
+
+// Distance at which a tracking visitor is warned about a closure or hazard notice
+const HAZARD_WARNING_METERS = Number(mapData?.hazardWarningMeters) || 30;
+// How often active notices are re-checked, so they expire without a reload
+const NOTICE_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Optional endpoint receiving anonymised walk summaries from visitors who opt in
+const WALK_SUMMARY_ENDPOINT = import.meta.env.VITE_WALK_SUMMARY_ENDPOINT || "";
+
+// Playback speeds offered by the demo (simulated GPS) panel
+const DEMO_SPEEDS = [1, 2, 5, 10, 25];
+
 // Offset for navigation bar height (prevents map from being hidden behind nav)
 const NAV_LAYOUT_OFFSET_PX = 160;
 
-// Styling for different conservation areas on map
-const AREA_STYLES = {
-  rewildingArea: {
-    stroke: "#15803d",
-    fill: "rgba(74, 222, 128, 0.28)",
-    label: "Rewilding Area",
-  },
-  yellowBirchArea: {
-    stroke: "#ca8a04",
-    fill: "rgba(250, 204, 21, 0.25)",
-    label: "Yellow Birch Area",
-  },
-  wetlandArea: {
-    stroke: "#0ea5e9",
-    fill: "rgba(14, 165, 233, 0.18)",
-    label: "Wetland Area",
-  },
-};
+// POIs further than this from the trail geometry keep their surveyed position
+const TRAIL_SNAP_MAX_METERS = 30;
 
-// Ordered list of POI IDs along the trail route
-// Used to filter and display trail markers in sequence
-const TRAIL_POI_IDS = [
-  "trailhead",
-  "well1",
-  "exercise-bar",
-  "farmhouse",
-  "sitting",
-  "yellow-birch",
-  "telephone-2",
-  "labyrinth",
+// Base map and overlay choices are kept between visits
+const LAYER_STORAGE_KEY = "sitemap-layers";
+
+// Layer switcher entries: follow the site theme, or pin one base map
+const BASE_LAYER_OPTIONS = [
+  { id: AUTO_BASE_LAYER, label: "Auto (matches theme)" },
+  ...Object.entries(BASE_LAYERS).map(([id, { label }]) => ({ id, label })),
 ];
 
 // ============================================================================
@@ -200,41 +213,6 @@ if (L?.Icon?.Default) {
   });
 }
 
-/**
- * Create custom Leaflet icon for POI markers
- * Uses divIcon with HTML/CSS for custom styling per POI type
- * @param {string} type - POI type (trailhead, well, farmhouse, etc.)
- * @returns {L.DivIcon} Leaflet divIcon instance
- */
-const createCustomIcon = (type) => {
-  const config = ICON_CONFIGS[type] || DEFAULT_ICON_CONFIG;
-
-  return L.divIcon({
-    className: 'custom-div-icon',
-    html: `<div style="
-      background-color: ${config.color};
-      width: 32px;
-      height: 32px;
-      border-radius: 50%;
-      border: 3px solid white;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      box-shadow: 0 2px 4px rgba(0,0,0,0.3);
-      overflow: hidden;
-    ">
-      <img src="${config.image}" alt="${type}" style="
-        width: 24px;
-        height: 24px;
-        object-fit: cover;
-        border-radius: 50%;
-      " />
-    </div>`,
-    iconSize: [32, 32],
-    iconAnchor: [16, 16],
-  });
-};
-
 /* --------------- Disable Interactions --------------- */
 function DisableInteractions() {
   const map = useMapEvents({});
@@ -248,29 +226,131 @@ function DisableInteractions() {
   return null;
 }
 
-/* --------------- Type guards --------------- */
-function isLatLngPair(pair) {
+/**
+ * Map input for trail reports
+ * A long-press (right-click on desktop) starts a report anywhere; a tap picks the
+ * spot while "Report a problem" is waiting for one
+ * @param {Object} props
+ * @param {boolean} props.picking - Whether a plain tap should pick the location
+ * @param {Function} props.onPick - Receives the Leaflet latlng
+ * @returns {null}
+ */
+function ReportLocationPicker({ picking, onPick }) {
+  useMapEvents({
+    click(e) {
+      if (!picking) return;
+      // A tap on an area also opens its popup; the report dialog replaces it
+      e.target.closePopup();
+      onPick(e.latlng);
+    },
+    contextmenu(e) {
+      onPick(e.latlng);
+    },
+  });
+  return null;
+}
+
+/**
+ * Pick the view mode a deep link should open in
+ * Route stops and ?route= links open in Trail mode, other POIs in Explore, areas in Overview
+ * @param {string|null} poiId - Value of the ?poi= query parameter
+ * @param {string|null} routeId - Value of the ?route= query parameter
+ * @returns {string} One of VIEW_MODES
+ */
+function viewModeForDeepLink(poiId, routeId) {
+  if (poiId) return ROUTE_STOP_IDS.has(poiId) ? VIEW_MODES.TRAIL : VIEW_MODES.EXPLORE;
+  if (routeId) return VIEW_MODES.TRAIL;
+  return VIEW_MODES.OVERVIEW;
+}
+
+/**
+ * Restore the visitor's base map and overlay choices
+ * Unknown base maps fall back to "auto"; overlays are shown unless switched off
+ * @returns {{base: string, overlays: Object<string, boolean>}} Layer choice
+ */
+function loadLayerChoice() {
+  const overlays = Object.fromEntries(MAP_OVERLAYS.map(({ id }) => [id, true]));
+  try {
+    const saved = JSON.parse(localStorage.getItem(LAYER_STORAGE_KEY) || "null");
+    MAP_OVERLAYS.forEach(({ id }) => {
+      if (saved?.overlays?.[id] === false) overlays[id] = false;
+    });
+    if (BASE_LAYERS[saved?.base]) return { base: saved.base, overlays };
+  } catch (e) {
+    console.warn("Could not restore map layer choice:", e);
+  }
+  return { base: AUTO_BASE_LAYER, overlays };
+}
+
+/**
+ * "Copy link" action shown inside map popups
+ * Falls back to a prompt when the Clipboard API is unavailable (e.g. plain http)
+ * @param {Object} props
+ * @param {"poi"|"area"} props.kind - Feature kind
+ * @param {string} props.id - Feature id
+ * @returns {JSX.Element}
+ */
+function CopyLinkButton({ kind, id }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    const url = buildDeepLink(kind, id);
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (e) {
+      console.warn("Copying link failed:", e);
+      window.prompt("Copy this link:", url);
+    }
+  };
+
   return (
-    Array.isArray(pair) &&
-    pair.length === 2 &&
-    typeof pair[0] === "number" &&
-    typeof pair[1] === "number"
+    <button
+      type="button"
+      onClick={handleCopy}
+      data-cy="copy-link"
+      style={{
+        marginTop: 8,
+        padding: "2px 10px",
+        fontSize: 11,
+        fontWeight: 600,
+        borderRadius: 9999,
+        border: "1px solid #cbd5e1",
+        background: copied ? "#d1fae5" : "#fff",
+        color: "#0f172a",
+        cursor: "pointer",
+      }}
+    >
+      {copied ? "Link copied ✓" : "🔗 Copy link"}
+    </button>
   );
 }
 
+// ============================================================================
+// Trail Notice Popup
+// ============================================================================
+
 /**
- * Sanitize polygon coordinates by filtering invalid points
- * Prevents map rendering errors from malformed coordinate data
- * @param {Array} poly - Array of coordinate pairs
- * @returns {Array} Cleaned array of valid [lat, lng] pairs
+ * Popup body for a trail notice on the hazard layer
+ * @param {Object} props
+ * @param {Object} props.notice - Active notice
+ * @returns {JSX.Element}
  */
-function sanitizePolygonCoords(poly) {
-  if (!Array.isArray(poly)) return [];
-  const cleaned = poly.filter(isLatLngPair);
-  if (cleaned.length !== poly.length) {
-    console.warn("Polygon had invalid points; filtered some out.");
-  }
-  return cleaned;
+function NoticePopup({ notice }) {
+  const style = noticeStyleFor(notice);
+  const until = formatNoticeEnd(notice);
+  return (
+    <Popup>
+      <div style={{ maxWidth: 240 }}>
+        <div style={{ fontWeight: 700, color: style.color }}>
+          {style.icon} {style.label}: {notice.title}
+        </div>
+        <div style={{ marginTop: 4 }}>{notice.message}</div>
+        {until && <div style={{ marginTop: 4, fontSize: 12, color: "#6b7280" }}>{until}</div>}
+      </div>
+    </Popup>
+  );
 }
 
 // ============================================================================
@@ -280,20 +360,39 @@ function sanitizePolygonCoords(poly) {
 /**
  * Sitemap Component - Interactive trail map with geolocation and proximity audio
  * Features static map view, real-time user tracking, and Talking Trees (3m proximity)
+ * @param {Object} props
+ * @param {boolean} [props.dark=false] - Site dark mode, which picks the dark base map on "auto"
  * @returns {JSX.Element}
  */
-export default function Sitemap() {
+export default function Sitemap({ dark = false }) {
   // ============================================================================
   // State Management
   // ============================================================================
   
   // Detect mobile viewport for responsive layout adjustments
   const [isMobile, setIsMobile] = useState(false);
+  // ?demo in the URL swaps real GPS for a replayed track (testing without walking the trail)
+  const [searchParams, setSearchParams] = useSearchParams();
+  const demoMode = searchParams.has("demo");
+  // ?poi=<id> or ?area=<id> opens the map focused on one feature (signage, emails)
+  const deepLinkPoiId = searchParams.get("poi");
+  const deepLinkAreaId = deepLinkPoiId ? null : searchParams.get("area");
+  // ?route=<id> selects the route shown in Trail mode (route picker, Homepage links)
+  const routeParam = searchParams.get("route");
   // Current map view mode (overview or trail-focused)
-  const [viewMode, setViewMode] = useState(VIEW_MODES.OVERVIEW);
+  const [viewMode, setViewMode] = useState(() =>
+    viewModeForDeepLink(deepLinkPoiId, routeParam)
+  );
+  // Base map and overlays picked in the Layers menu
+  const [layerChoice, setLayerChoice] = useState(loadLayerChoice);
   // Track when Leaflet map instance is ready for interaction
   const [mapReady, setMapReady] = useState(false);
   const mapRef = useRef(null);
+  // Leaflet map reported by whenReady; state so deep-link focusing re-runs per map instance
+  const [leafletMap, setLeafletMap] = useState(null);
+  // Leaflet layers by feature id, used to open a deep-linked feature's popup
+  const markerRefs = useRef({});
+  const areaRefs = useRef({});
 
   // ============================================================================
   // Side Effects
@@ -321,6 +420,64 @@ export default function Sitemap() {
     setMapReady(true);
   };
 
+  /**
+   * Track the live Leaflet map; cleared when the map is removed on a mode switch
+   * @param {Object} event - Leaflet whenReady event ({ target: map })
+   */
+  const handleMapReady = (event) => {
+    const map = event.target;
+    setLeafletMap(map);
+    map.once("unload", () => setLeafletMap((current) => (current === map ? null : current)));
+  };
+
+  /**
+   * Switch view mode from the mode buttons
+   * Drops any ?poi= / ?area= deep link so the new mode is not refocused on it
+   * @param {string} mode - One of VIEW_MODES
+   */
+  const handleViewModeChange = (mode) => {
+    setViewMode(mode);
+    if (deepLinkPoiId || deepLinkAreaId) {
+      setSearchParams(
+        (params) => {
+          params.delete("poi");
+          params.delete("area");
+          return params;
+        },
+        { replace: true }
+      );
+    }
+  };
+
+  /**
+   * Pick a route from the route picker and show it in Trail mode
+   * The choice is kept in ?route= so it can be shared; any ?poi= / ?area= link is dropped
+   * @param {string} routeId - Route id from map.json
+   */
+  const handleRouteChange = (routeId) => {
+    // The tour plays the current route's stops, so a new route closes it
+    handleCloseTour();
+    setViewMode(VIEW_MODES.TRAIL);
+    setSearchParams(
+      (params) => {
+        params.delete("poi");
+        params.delete("area");
+        params.set("route", routeId);
+        return params;
+      },
+      { replace: true }
+    );
+  };
+
+  /**
+   * Follow deep links that change while the map is open (e.g. browser back/forward)
+   */
+  useEffect(() => {
+    if (deepLinkPoiId || deepLinkAreaId || routeParam) {
+      setViewMode(viewModeForDeepLink(deepLinkPoiId, routeParam));
+    }
+  }, [deepLinkPoiId, deepLinkAreaId, routeParam]);
+
   // ============================================================================
   // Data Processing (Memoized)
   // ============================================================================
@@ -330,64 +487,62 @@ export default function Sitemap() {
    * Multiple fallback paths handle different data structure versions
    * Memoized to avoid recalculation on every render
    */
-  const siteBorder = useMemo(() => {
-    const raw = mapData?.areas?.siteBorder || mapData?.siteBorder || mapData?.border || [];
-    const cleaned = sanitizePolygonCoords(raw);
-    if (!cleaned.length && raw?.length) {
-      console.warn("siteBorder provided but contained no valid [lat,lng] pairs.");
-    }
-    return cleaned;
-  }, []); // Process once on mount
+  const siteBorder = useMemo(() => readSiteBorder(mapData), []); // Process once on mount
+  // Every border vertex (all parcels), for centring and bounds
+  const siteBorderPoints = useMemo(() => areaRings(siteBorder).flat(), [siteBorder]);
+  const siteBorderOutlines = useMemo(() => borderOutlines(siteBorder), [siteBorder]);
 
   /**
    * Process conservation areas from map data
    * Filters out siteBorder and invalid entries, applies styling
    * Memoized to avoid recalculation on every render
    */
-  const areas = useMemo(() => {
-    const rawAreas = mapData?.areas || {};
-    const areaEntries = Object.entries(rawAreas).filter(([key, value]) => 
-      key !== 'siteBorder' && Array.isArray(value)
-    );
-    
-    return areaEntries.map(([key, coords]) => ({
-      id: key,
-      name:
-        AREA_STYLES[key]?.label ||
-        key.replace(/([A-Z])/g, " $1").replace(/^./, (str) => str.toUpperCase()),
-      style: AREA_STYLES[key] || {
-        stroke: "#15803d",
-        fill: "rgba(34,197,94,0.15)",
-      },
-      coords: sanitizePolygonCoords(coords),
-    })).filter((a) => a.coords.length > 0);
-  }, []); // Process once on mount
+  const areas = useMemo(() => buildAreas(mapData?.areas), []); // Process once on mount
 
   /**
    * Process points of interest (POIs) from map data
    * Validates coordinates and audio sources, filters invalid entries
    * Memoized to avoid recalculation on every render
    */
-  const pois = useMemo(() => {
-    const rawPois = Array.isArray(mapData?.pois) ? mapData.pois : [];
-    const cleaned = rawPois.filter(
-      (p) =>
-        typeof p?.name === "string" &&
-        typeof p?.lat === "number" &&
-        typeof p?.lng === "number"
-    );
-    if (cleaned.length !== rawPois.length) {
-      console.warn("Some POIs were invalid and were filtered out.");
+  const pois = useMemo(() => sanitizePois(mapData?.pois), []); // Process once on mount
+
+  /**
+   * Grid index over the POIs, so each location fix only measures nearby stops
+   */
+  const poiIndex = useMemo(() => createSpatialIndex(pois), [pois]);
+
+  /**
+   * Process named trail LineStrings from map data
+   * Routes walk these; a route's segments are what Trail mode draws
+   */
+  const trails = useMemo(() => {
+    const raw = mapData?.trails;
+    const cleaned = sanitizeTrails(raw);
+    if (Array.isArray(raw) && cleaned.length !== raw.length) {
+      console.warn("Some trails had no valid segments and were filtered out.");
     }
-    return cleaned.map((poi) => {
-      const audio =
-        typeof poi.audioSrc === "string" && poi.audioSrc.trim().length
-          ? poi.audioSrc
-          : null;
-      return { ...poi, audioSrc: audio };
-    });
+    return cleaned;
   }, []); // Process once on mount
 
+  /**
+   * Process named routes (loop, accessible walk, ...) offered by the route picker
+   */
+  const routes = useMemo(() => sanitizeRoutes(mapData?.routes, trails), [trails]);
+
+  /**
+   * Route shown in Trail mode: ?route=, else the first route stopping at a
+   * deep-linked POI, else the first route in map.json
+   */
+  const activeRoute = useMemo(() => {
+    const byParam = routes.find((route) => route.id === routeParam);
+    if (byParam) return byParam;
+    const withStop = deepLinkPoiId && routes.find((route) => route.stops.includes(deepLinkPoiId));
+    return withStop || routes[0] || null;
+  }, [routes, routeParam, deepLinkPoiId]);
+  // Trail geometry walked by the active route
+  const routeTrail = activeRoute?.trail || null;
+  const routeStopIds = useMemo(() => activeRoute?.stops || [], [activeRoute]);
+
   /**
    * Calculate map center point
    * Uses explicit center if provided, otherwise falls back to first border point or first POI
@@ -398,11 +553,11 @@ export default function Sitemap() {
     if (c && typeof c.lat === "number" && typeof c.lng === "number") {
       return [c.lat, c.lng];
     }
-    if (siteBorder.length) return [siteBorder[0][0], siteBorder[0][1]];
+    if (siteBorderPoints.length) return [siteBorderPoints[0][0], siteBorderPoints[0][1]];
     if (pois.length) return [pois[0].lat, pois[0].lng];
     // Fallback: conservation site coordinates (71 St. Pauls Lane)
     return [44.623917, -63.920472];
-  }, [siteBorder, pois]); // Recalculate if border or POIs change
+  }, [siteBorderPoints, pois]); // Recalculate if border or POIs change
 
   // ============================================================================
   // Geolocation State
@@ -414,17 +569,33 @@ export default function Sitemap() {
   const [userPos, setUserPos] = useState(null);
   // Store watchPosition ID for cleanup
   const watchIdRef = useRef(null);
+  // Smooths raw fixes and drops inaccurate or impossible ones before they reach state
+  const positionFilterRef = useRef(null);
+  if (!positionFilterRef.current) positionFilterRef.current = createPositionFilter();
+
+  // Simulated geolocation used instead of navigator.geolocation in demo mode
+  const simulatorRef = useRef(null);
+  // Source the active watch was started on, so clearWatch goes to the same one
+  const geoSourceRef = useRef(null);
 
   const startWatch = () => {
-    if (!("geolocation" in navigator)) {
+    const source = simulatorRef.current || navigator.geolocation;
+    if (!source) {
       console.warn("Geolocation not available.");
       return;
     }
     if (watchIdRef.current) return;
-    const id = navigator.geolocation.watchPosition(
+    geoSourceRef.current = source;
+    const id = source.watchPosition(
       (pos) => {
-        const { latitude, longitude } = pos.coords;
-        setUserPos({ lat: latitude, lng: longitude });
+        const { latitude, longitude, accuracy } = pos.coords;
+        const smoothed = positionFilterRef.current.update({
+          lat: latitude,
+          lng: longitude,
+          accuracy,
+          time: pos.timestamp || Date.now(),
+        });
+        if (smoothed) setUserPos(smoothed);
       },
       (err) => {
         console.warn("Geolocation error:", err);
@@ -436,24 +607,41 @@ export default function Sitemap() {
   };
 
   const stopWatch = () => {
-    if (watchIdRef.current && navigator.geolocation.clearWatch) {
-      navigator.geolocation.clearWatch(watchIdRef.current);
+    if (watchIdRef.current && geoSourceRef.current?.clearWatch) {
+      geoSourceRef.current.clearWatch(watchIdRef.current);
     }
     watchIdRef.current = null;
+    geoSourceRef.current = null;
+    positionFilterRef.current.reset();
     setWatching(false);
     setUserPos(null);
     setClosestPoi3m(null);
+    setAudioQueue([]);
   };
 
-  /* ------- Talking Trees (3 m / 15 s) ------- */
+  /* ------- Talking Trees (radius / poll interval from map.json) ------- */
   const [closestPoi3m, setClosestPoi3m] = useState(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [lastCheckedAt, setLastCheckedAt] = useState(null);
   const audioRef = useRef(null);
 
+  // Auto-play: geofence entry queues a stop's audio once per visit
+  const [autoPlay, setAutoPlay] = useState(false);
+  const [playedIds, setPlayedIds] = useState(() => new Set());
+  const [audioQueue, setAudioQueue] = useState([]);
+  const [nowPlayingId, setNowPlayingId] = useState(null);
+  const geofenceInsideRef = useRef(new Set());
+  // Mirrors autoPlay for the scan effect so toggling doesn't restart the poll timer
+  const autoPlayRef = useRef(false);
+  // Audio tour (GPS-free playlist): { index, paused } while the tour player is open
+  const [tour, setTour] = useState(null);
+
   useEffect(() => {
     audioRef.current = new Audio();
-    const onEnded = () => setIsPlaying(false);
+    const onEnded = () => {
+      setIsPlaying(false);
+      setNowPlayingId(null);
+    };
     audioRef.current.addEventListener("ended", onEnded);
     return () => {
       if (audioRef.current) {
@@ -467,40 +655,72 @@ export default function Sitemap() {
   useEffect(() => {
     if (!watching || !userPos) {
       setClosestPoi3m(null);
+      geofenceInsideRef.current = new Set();
       return;
     }
     const scan = () => {
       try {
-        const res = getClosestPoiWithinRadius(pois, userPos, 3.0);
+        // Accuracy slack at most doubles a radius (accuracySlackMeters), so nothing
+        // outside twice the larger radius can trigger or keep a geofence
+        const nearbyPois = poiIndex
+          .withinRadius(userPos, 2 * Math.max(TALKING_TREES_METERS, TALKING_TREES_EXIT_METERS))
+          .map(({ item }) => item);
+        const res = getClosestPoiWithinRadius(nearbyPois, userPos, TALKING_TREES_METERS);
         setClosestPoi3m(res);
         setLastCheckedAt(new Date());
+
+        const { inside, entered } = updateGeofences(
+          geofenceInsideRef.current,
+          nearbyPois,
+          userPos,
+          { enterMeters: TALKING_TREES_METERS, exitMeters: TALKING_TREES_EXIT_METERS }
+        );
+        geofenceInsideRef.current = inside;
+        if (entered.length && autoPlayRef.current) {
+          setAudioQueue((prev) => [...prev, ...entered.filter((id) => !prev.includes(id))]);
+        }
       } catch (e) {
         console.error("Scan error:", e);
       }
     };
     scan();
-    const id = setInterval(scan, 15000);
+    const id = setInterval(scan, POLL_INTERVAL_MS);
     return () => clearInterval(id);
-  }, [watching, userPos, pois]);
+  }, [watching, userPos, poiIndex]);
 
-  const handlePlayPoiAudio = () => {
-    if (!closestPoi3m?.poi?.audioSrc || !audioRef.current) return;
+  /**
+   * Play a POI's audio clip through the shared audio element
+   * isPlaying is set before play() resolves so the auto-play queue never starts a second clip
+   * @param {Object} poi - POI with audioSrc
+   */
+  const playPoiAudio = (poi) => {
+    if (!poi?.audioSrc || !audioRef.current) return;
     try {
       audioRef.current.pause();
       audioRef.current.currentTime = 0;
-      audioRef.current.src = closestPoi3m.poi.audioSrc;
+      audioRef.current.src = poi.audioSrc;
+      setIsPlaying(true);
+      setNowPlayingId(poi.id || null);
       const p = audioRef.current.play();
       if (p && typeof p.then === "function") {
-        p.then(() => setIsPlaying(true)).catch((e) => {
+        p.catch((e) => {
           console.warn("Audio play blocked/failed:", e);
           setIsPlaying(false);
+          setNowPlayingId(null);
         });
-      } else {
-        setIsPlaying(true);
       }
     } catch (e) {
       console.warn("Audio error:", e);
       setIsPlaying(false);
+      setNowPlayingId(null);
+    }
+  };
+
+  const handlePlayPoiAudio = () => {
+    if (!closestPoi3m?.poi) return;
+    playPoiAudio(closestPoi3m.poi);
+    if (closestPoi3m.poi.id) {
+      setPlayedIds((prev) => new Set(prev).add(closestPoi3m.poi.id));
     }
   };
 
@@ -509,15 +729,543 @@ export default function Sitemap() {
     audioRef.current.pause();
     audioRef.current.currentTime = 0;
     setIsPlaying(false);
+    setNowPlayingId(null);
+    // Stopping also drops anything queued so the next stop doesn't start immediately
+    setAudioQueue([]);
+  };
+
+  /**
+   * Play queued geofence entries one at a time while auto-play is on
+   * Stops already heard on this visit are skipped; an open audio tour holds the queue
+   */
+  useEffect(() => {
+    if (!autoPlay || isPlaying || tour || !audioQueue.length) return;
+    const [nextId, ...rest] = audioQueue;
+    setAudioQueue(rest);
+    if (playedIds.has(nextId)) return;
+    const poi = pois.find((p) => p.id === nextId);
+    if (!poi?.audioSrc) return;
+    setPlayedIds((prev) => new Set(prev).add(nextId));
+    playPoiAudio(poi);
+  }, [autoPlay, isPlaying, tour, audioQueue, playedIds, pois]);
+
+  const handleToggleAutoPlay = () => {
+    const next = !autoPlay;
+    setAutoPlay(next);
+    autoPlayRef.current = next;
+    setAudioQueue([]);
+    if (!next) return;
+    // Unlock audio on this user gesture so later geofence-triggered play() is allowed (iOS Safari)
+    const audio = audioRef.current;
+    if (audio && !isPlaying) {
+      audio.muted = true;
+      const p = audio.play();
+      const restore = () => {
+        audio.pause();
+        audio.muted = false;
+      };
+      if (p && typeof p.then === "function") p.then(restore).catch(restore);
+      else restore();
+    }
+  };
+
+  const handleResetPlayed = () => {
+    setPlayedIds(new Set());
+  };
+
+  const queuedPoiNames = audioQueue
+    .filter((id) => !playedIds.has(id))
+    .map((id) => pois.find((p) => p.id === id)?.name)
+    .filter(Boolean);
+  const nowPlayingPoi = nowPlayingId ? pois.find((p) => p.id === nowPlayingId) : null;
+
+  /* ------- Habitat cards (entering the rewilding, yellow birch or wetland area) ------- */
+  const habitats = useMemo(
+    () => buildHabitats(mapData?.habitats, areas, ecologyData?.species_by_category),
+    [areas]
+  );
+  const habitatAreas = useMemo(() => areas.filter((a) => habitats[a.id]), [areas, habitats]);
+  // Areas the visitor is inside, in the order they were entered; the newest shows its card
+  const [insideAreaIds, setInsideAreaIds] = useState([]);
+  const [dismissedHabitatIds, setDismissedHabitatIds] = useState(() => new Set());
+  const areaInsideRef = useRef(new Set());
+  // Habitat currently being narrated, so leaving it stops the narration
+  const narratingHabitatRef = useRef(null);
+
+  /**
+   * Narrate a habitat: its own clip through the shared audio element when it has one,
+   * otherwise the browser's speech synthesis reads the description
+   * @param {Object} habitat - Entry from buildHabitats
+   */
+  const narrateHabitat = (habitat) => {
+    if (!habitat) return;
+    narratingHabitatRef.current = habitat.id;
+    if (habitat.audioSrc) {
+      playPoiAudio(habitat);
+      return;
+    }
+    if (!("speechSynthesis" in window)) return;
+    window.speechSynthesis.cancel();
+    window.speechSynthesis.speak(
+      new SpeechSynthesisUtterance(`${habitat.name}. ${habitat.description}`)
+    );
+  };
+
+  /**
+   * Stop a habitat's narration if it is still playing
+   * @param {string} areaId - Area being left
+   */
+  const stopHabitatNarration = (areaId) => {
+    if (narratingHabitatRef.current !== areaId) return;
+    narratingHabitatRef.current = null;
+    if (habitats[areaId]?.audioSrc) {
+      if (audioRef.current?.src.endsWith(habitats[areaId].audioSrc)) handleStopAudio();
+    } else if ("speechSynthesis" in window) {
+      window.speechSynthesis.cancel();
+    }
+  };
+
+  // Latest narration handlers for the area geofence effect, which runs on position
+  // changes only (as autoPlayRef does for the stop scan)
+  const habitatNarrationRef = useRef(null);
+  habitatNarrationRef.current = { narrate: narrateHabitat, stop: stopHabitatNarration };
+
+  // Stop speech synthesis when leaving the map
+  useEffect(
+    () => () => {
+      if ("speechSynthesis" in window) window.speechSynthesis.cancel();
+    },
+    []
+  );
+
+  /**
+   * Track area entry and exit on each fix (all areas are left when tracking stops)
+   * With auto-play on, entering narrates the habitat unless a Talking Tree is playing
+   */
+  useEffect(() => {
+    let result;
+    try {
+      result = updateAreaGeofences(
+        areaInsideRef.current,
+        habitatAreas,
+        watching ? userPos : null,
+        { exitMeters: HABITAT_EXIT_METERS }
+      );
+    } catch (e) {
+      console.warn("Area geofence error:", e);
+      return;
+    }
+    const { inside, entered, exited } = result;
+    areaInsideRef.current = inside;
+    if (!entered.length && !exited.length) return;
+
+    setInsideAreaIds((prev) => [...prev.filter((id) => inside.has(id)), ...entered]);
+    if (exited.length) {
+      setDismissedHabitatIds((prev) => {
+        const next = new Set(prev);
+        exited.forEach((id) => next.delete(id));
+        return next;
+      });
+      exited.forEach(habitatNarrationRef.current.stop);
+    }
+
+    const newest = entered[entered.length - 1];
+    const clipPlaying = audioRef.current && !audioRef.current.paused;
+    if (newest && autoPlayRef.current && !clipPlaying) {
+      habitatNarrationRef.current.narrate(habitats[newest]);
+    }
+  }, [watching, userPos, habitatAreas, habitats]);
+
+  const activeHabitatId = insideAreaIds.filter((id) => !dismissedHabitatIds.has(id)).pop();
+  const activeHabitat = activeHabitatId ? habitats[activeHabitatId] : null;
+  const canNarrateHabitat = Boolean(activeHabitat?.audioSrc) || "speechSynthesis" in window;
+
+  const handleDismissHabitat = () => {
+    if (!activeHabitat) return;
+    stopHabitatNarration(activeHabitat.id);
+    setDismissedHabitatIds((prev) => new Set(prev).add(activeHabitat.id));
+  };
+
+  /* ------- Walk recording ------- */
+  // { walkId, startedAt } while a walk is being recorded
+  const [recording, setRecording] = useState(null);
+  // Fixes recorded so far, drawn as a breadcrumb
+  const [breadcrumb, setBreadcrumb] = useState([]);
+  // Summary shown after finishing: { walkId, startedAt, fixes, stats }
+  const [finishedWalk, setFinishedWalk] = useState(null);
+  const [shareOptIn, setShareOptIn] = useState(false);
+  const [shareStatus, setShareStatus] = useState(null);
+
+  /**
+   * Restore a walk that was still recording when the page was closed
+   * Recording resumes as soon as the visitor presses Locate again
+   */
+  useEffect(() => {
+    let cancelled = false;
+    getUnfinishedWalk()
+      .then(async (walk) => {
+        if (!walk || cancelled) return;
+        const fixes = await getFixes(walk.id);
+        if (cancelled) return;
+        lastFixRef.current = fixes[fixes.length - 1] || null;
+        setRecording({ walkId: walk.id, startedAt: walk.startedAt });
+        setBreadcrumb(fixes);
+      })
+      .catch((e) => console.warn("Walk restore failed:", e));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Last stored fix, so repeated identical positions are not written twice
+  const lastFixRef = useRef(null);
+
+  // Append each new position while recording
+  useEffect(() => {
+    if (!recording || !userPos) return;
+    const last = lastFixRef.current;
+    if (last && last.lat === userPos.lat && last.lng === userPos.lng) return;
+    const fix = {
+      lat: userPos.lat,
+      lng: userPos.lng,
+      accuracy: userPos.accuracy,
+      time: Date.now(),
+    };
+    lastFixRef.current = fix;
+    setBreadcrumb((prev) => [...prev, fix]);
+    addFix(recording.walkId, fix).catch((e) => console.warn("Saving fix failed:", e));
+  }, [recording, userPos]);
+
+  const recordedMeters = useMemo(() => summarizeWalk(breadcrumb).distanceMeters, [breadcrumb]);
+
+  const handleStartRecording = async () => {
+    try {
+      const walkId = await createWalk();
+      lastFixRef.current = null;
+      setRecording({ walkId, startedAt: Date.now() });
+      setBreadcrumb([]);
+      setFinishedWalk(null);
+      startWatch();
+    } catch (e) {
+      console.warn("Could not start recording:", e);
+    }
+  };
+
+  const handleFinishRecording = async () => {
+    if (!recording) return;
+    try {
+      await finishWalk(recording.walkId);
+    } catch (e) {
+      console.warn("Could not finish walk:", e);
+    }
+    setFinishedWalk({
+      ...recording,
+      fixes: breadcrumb,
+      stats: summarizeWalk(breadcrumb, { pois, siteBorder }),
+    });
+    setShareOptIn(false);
+    setShareStatus(null);
+    setRecording(null);
+  };
+
+  const handleExportWalkGpx = () => {
+    if (!finishedWalk) return;
+    const gpx = buildGpx({
+      name: `Walk ${new Date(finishedWalk.startedAt).toLocaleDateString()}`,
+      waypoints: finishedWalk.stats.stopsVisited
+        .map((stop) => pois.find((p) => p.id === stop.id))
+        .filter(Boolean)
+        .map((p) => ({ lat: p.lat, lng: p.lng, name: p.name, desc: p.clickText })),
+      tracks: [{ name: "My walk", points: finishedWalk.fixes }],
+    });
+    downloadTextFile("my-walk.gpx", gpx, "application/gpx+xml");
+  };
+
+  const handleDiscardWalk = async () => {
+    if (!finishedWalk) return;
+    try {
+      await deleteWalk(finishedWalk.walkId);
+    } catch (e) {
+      console.warn("Could not discard walk:", e);
+    }
+    setFinishedWalk(null);
+    setBreadcrumb([]);
+  };
+
+  const handleCloseWalkSummary = async () => {
+    // Share only if the visitor ticked the opt-in box
+    if (shareOptIn && WALK_SUMMARY_ENDPOINT && finishedWalk) {
+      try {
+        setShareStatus("sending");
+        const res = await fetch(WALK_SUMMARY_ENDPOINT, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(anonymiseWalkSummary(finishedWalk.stats, finishedWalk.startedAt)),
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      } catch (e) {
+        console.warn("Sharing walk summary failed:", e);
+      }
+      setShareStatus(null);
+    }
+    setFinishedWalk(null);
+    setBreadcrumb([]);
+  };
+
+  /* ------- Explore mode navigation ------- */
+  // Set when "Recenter on me" is pressed before the first fix has arrived
+  const pendingRecenterRef = useRef(false);
+
+  const handleRecenter = () => {
+    const map = mapRef.current;
+    if (userPos && map) {
+      map.setView([userPos.lat, userPos.lng], Math.max(map.getZoom(), RECENTER_ZOOM));
+      return;
+    }
+    pendingRecenterRef.current = true;
+    startWatch();
+  };
+
+  useEffect(() => {
+    if (!pendingRecenterRef.current || !userPos || !mapRef.current) return;
+    pendingRecenterRef.current = false;
+    const map = mapRef.current;
+    map.setView([userPos.lat, userPos.lng], Math.max(map.getZoom(), RECENTER_ZOOM));
+  }, [userPos]);
+
+  const handleResetToSite = () => {
+    if (!mapRef.current || !activeBounds) return;
+    mapRef.current.fitBounds(activeBounds, { padding: boundsPadding });
+  };
+
+  /* ------- Trail reports (fallen trees, litter, washed-out path) ------- */
+  // ?report (from the Contact page) opens the map waiting for the problem's location
+  const [reportPicking, setReportPicking] = useState(
+    () => Boolean(REPORTS_ENDPOINT) && searchParams.has("report")
+  );
+  // Location being reported: { location: { lat, lng, accuracy? }, source: "map" | "gps" }
+  const [reportDraft, setReportDraft] = useState(null);
+  const [reportMessage, setReportMessage] = useState(null);
+
+  /**
+   * Send reports queued while offline, on load and whenever the connection returns
+   */
+  useEffect(() => {
+    if (!REPORTS_ENDPOINT) return;
+    const flush = () =>
+      flushReportQueue(REPORTS_ENDPOINT)
+        .then(({ sent }) => {
+          if (sent) setReportMessage(`${sent} saved report(s) sent. Thank you!`);
+        })
+        .catch((e) => console.warn("Report queue flush failed:", e));
+    flush();
+    window.addEventListener("online", flush);
+    return () => window.removeEventListener("online", flush);
+  }, []);
+
+  const handleStartReport = () => {
+    setReportMessage(null);
+    setReportPicking(true);
   };
 
+  const handlePickReportLocation = (latlng) => {
+    setReportPicking(false);
+    setReportDraft({ location: { lat: latlng.lat, lng: latlng.lng }, source: "map" });
+  };
+
+  const handleReportAtMyPosition = () => {
+    if (!userPos) return;
+    setReportPicking(false);
+    setReportDraft({ location: userPos, source: "gps" });
+  };
+
+  const handleReportDone = ({ sent, remaining }) => {
+    setReportDraft(null);
+    setReportMessage(
+      sent && !remaining
+        ? "Thanks! Your report was sent to the trail volunteers."
+        : "Saved on this device. It will be sent automatically when you’re back online."
+    );
+  };
+
+  /* ------- Data export ------- */
+  const handleDownloadGeoJSON = () => {
+    try {
+      const collection = mapDataToGeoJSON(mapData);
+      downloadTextFile(
+        "conservation-area.geojson",
+        JSON.stringify(collection, null, 2),
+        "application/geo+json"
+      );
+    } catch (e) {
+      console.warn("GeoJSON export failed:", e);
+    }
+  };
+
+  const handleDownloadGpx = () => {
+    try {
+      // Waypoints follow the active route's stop order, with any remaining POIs appended
+      const ordered = [
+        ...trailStops,
+        ...pois.filter((p) => !routeStopIds.includes(p.id)),
+      ];
+      const gpx = buildGpx({
+        name: activeRoute?.name || "Woodland Conservation Trail",
+        waypoints: ordered.map((p) => ({
+          lat: p.lat,
+          lng: p.lng,
+          name: p.name,
+          desc: p.clickText,
+          type: p.type,
+        })),
+        tracks: [{ name: activeRoute?.name || "Main Trail", points: trailLineCoords }],
+      });
+      downloadTextFile("conservation-trail.gpx", gpx, "application/gpx+xml");
+    } catch (e) {
+      console.warn("GPX export failed:", e);
+    }
+  };
+
+  /* ------- Map layers ------- */
+  // "auto" picks the dark base map while the site is in dark mode
+  const baseLayer = useMemo(
+    () => resolveBaseLayer(layerChoice.base, dark),
+    [layerChoice.base, dark]
+  );
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(LAYER_STORAGE_KEY, JSON.stringify(layerChoice));
+    } catch (e) {
+      console.warn("Could not save map layer choice:", e);
+    }
+  }, [layerChoice]);
+
+  const handleBaseLayerChange = (base) => setLayerChoice((prev) => ({ ...prev, base }));
+
+  const handleOverlayToggle = (id) =>
+    setLayerChoice((prev) => ({
+      ...prev,
+      overlays: { ...prev.overlays, [id]: !prev.overlays[id] },
+    }));
+
+  /* ------- Offline download ------- */
+  // status: idle | downloading | ready | error
+  const [offline, setOffline] = useState({ status: "idle", done: 0, total: 0, bytes: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    hasOfflineData()
+      .then(async (ready) => {
+        if (!ready || cancelled) return;
+        const bytes = await getStorageUsage();
+        if (!cancelled) setOffline((prev) => ({ ...prev, status: "ready", bytes }));
+      })
+      .catch((e) => console.warn("Offline check failed:", e));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleDownloadOffline = async () => {
+    if (offline.status === "downloading") return;
+    const bounds = computeBounds(
+      siteBorderPoints.length ? siteBorderPoints : pois.map((p) => [p.lat, p.lng])
+    );
+    // App shell: entry points plus every same-origin script, style and image this page loaded
+    const loadedAssets = (performance.getEntriesByType?.("resource") || [])
+      .map((entry) => new URL(entry.name))
+      .filter((url) => url.origin === window.location.origin && !url.pathname.startsWith("/audio/"))
+      .map((url) => url.pathname);
+    // Transcripts are small text files; the shell cache keeps captions working offline
+    const transcriptUrls = pois.map((p) => p.transcriptSrc).filter(Boolean);
+    const shellUrls = Array.from(
+      new Set([
+        "/",
+        "/index.html",
+        "/manifest.json",
+        "/images/north-arrow.jpg",
+        ...loadedAssets,
+        ...transcriptUrls,
+      ])
+    );
+    const audioUrls = Array.from(new Set(pois.map((p) => p.audioSrc).filter(Boolean)));
+    // Tiles for the base map on screen, up to the deepest zoom its provider serves
+    const tileUrls = tileUrlsForBounds(
+      bounds,
+      OFFLINE_TILE_ZOOMS.filter((z) => z <= baseLayer.maxNativeZoom),
+      baseLayer.url
+    );
+
+    setOffline({ status: "downloading", done: 0, total: 0, bytes: null });
+    try {
+      const result = await downloadForOffline({
+        tileUrls,
+        audioUrls,
+        shellUrls,
+        onProgress: (done, total) =>
+          setOffline((prev) => ({ ...prev, done, total })),
+      });
+      const bytes = await getStorageUsage();
+      setOffline({
+        status: result.failed ? "error" : "ready",
+        done: result.done,
+        total: result.total,
+        failed: result.failed,
+        bytes,
+      });
+    } catch (e) {
+      console.warn("Offline download failed:", e);
+      setOffline({ status: "error", done: 0, total: 0, bytes: null, message: e.message });
+    }
+  };
+
+  const offlineLabel = (() => {
+    if (offline.status === "downloading") {
+      const pct = offline.total ? Math.round((offline.done / offline.total) * 100) : 0;
+      return `Downloading ${pct}%`;
+    }
+    if (offline.status === "ready") return "Offline ready ✓";
+    return "Download for offline";
+  })();
+
+  /* ------- Trail notices (closures, hazards) ------- */
+  const [noticeClock, setNoticeClock] = useState(() => new Date());
+
+  useEffect(() => {
+    const id = setInterval(() => setNoticeClock(new Date()), NOTICE_CHECK_INTERVAL_MS);
+    return () => clearInterval(id);
+  }, []);
+
+  // Active notices that resolve to a point, trail segment or area on the map
+  const hazards = useMemo(
+    () =>
+      getActiveNotices(noticesData?.notices, noticeClock)
+        .map((notice) => ({
+          ...notice,
+          geometry: resolveNoticeGeometry(notice.geometry, { trails, areas: mapData?.areas }),
+        }))
+        .filter((notice) => notice.geometry),
+    [noticeClock, trails]
+  );
+
+  const nearbyHazards = useMemo(() => {
+    if (!watching || !userPos) return [];
+    try {
+      return getHazardsWithinRadius(hazards, userPos, HAZARD_WARNING_METERS);
+    } catch (e) {
+      console.warn("Hazard proximity error:", e);
+      return [];
+    }
+  }, [watching, userPos, hazards]);
+
   /* ------- Inside / Near text ------- */
   const insideMsg = useMemo(() => {
     try {
       if (!userPos || !siteBorder.length) return null;
-      const inside = pointInPolygon(userPos, siteBorder);
+      const inside = pointInArea(userPos, siteBorder);
       if (inside) return "You’re inside the Woodland Conservation Area.";
-      const dist = distanceToPolygonMeters(userPos, siteBorder);
+      const dist = distanceToAreaMeters(userPos, siteBorder);
       if (dist <= 50) return "You’re near the Woodland Conservation Area.";
       return null;
     } catch (e) {
@@ -527,12 +1275,20 @@ export default function Sitemap() {
   }, [userPos, siteBorder]);
 
   const displayPois = useMemo(() => {
-    if (viewMode === VIEW_MODES.TRAIL) {
-      const filtered = pois.filter((poi) => TRAIL_POI_IDS.includes(poi.id));
-      return filtered.length ? filtered : pois;
+    if (viewMode !== VIEW_MODES.OVERVIEW) {
+      const filtered = pois.filter((poi) => routeStopIds.includes(poi.id));
+      const trailPois =
+        viewMode === VIEW_MODES.TRAIL && filtered.length ? filtered : pois;
+      if (!routeTrail) return trailPois;
+      // Snap markers onto the walked path so they sit on the line visitors follow
+      return trailPois.map((poi) => {
+        const snap = nearestPointOnPolyline(poi, routeTrail.coords);
+        if (!snap || snap.distance > TRAIL_SNAP_MAX_METERS) return poi;
+        return { ...poi, lat: snap.lat, lng: snap.lng };
+      });
     }
     return pois;
-  }, [pois, viewMode]);
+  }, [pois, viewMode, routeTrail, routeStopIds]);
 
   const computeBounds = (points) => {
     if (!points.length) return null;
@@ -547,22 +1303,19 @@ export default function Sitemap() {
   const activeBounds = useMemo(() => {
     if (viewMode === VIEW_MODES.TRAIL) {
       const points = displayPois.map((poi) => [poi.lat, poi.lng]);
+      if (routeTrail) points.push(...routeTrail.coords);
       return computeBounds(points);
     }
     const points = [];
-    if (Array.isArray(siteBorder) && siteBorder.length) {
-      points.push(...siteBorder);
-    }
+    points.push(...siteBorderPoints);
     areas.forEach((area) => {
-      if (Array.isArray(area.coords) && area.coords.length) {
-        points.push(...area.coords);
-      }
+      points.push(...areaRings(area.coords).flat());
     });
     if (!points.length) {
       displayPois.forEach((poi) => points.push([poi.lat, poi.lng]));
     }
     return computeBounds(points);
-  }, [viewMode, displayPois, siteBorder, areas]);
+  }, [viewMode, displayPois, siteBorderPoints, areas, routeTrail]);
 
   const displayCenter = useMemo(() => {
     if (!displayPois.length) return null;
@@ -579,6 +1332,47 @@ export default function Sitemap() {
     const mobileBase = viewMode === VIEW_MODES.TRAIL ? 16 : 32;
     return isMobile ? [mobileBase, mobileBase] : [base, base];
   }, [isMobile, viewMode]);
+
+  /* ------- Deep links (?poi= / ?area=) ------- */
+  const deepLinkTarget = useMemo(() => {
+    if (deepLinkPoiId) {
+      const poi = displayPois.find((p) => p.id === deepLinkPoiId);
+      if (!poi) return null;
+      return { kind: "poi", id: poi.id, bounds: computeBounds([[poi.lat, poi.lng]]) };
+    }
+    if (deepLinkAreaId) {
+      const points =
+        deepLinkAreaId === "siteBorder"
+          ? siteBorderPoints
+          : areaRings(areas.find((a) => a.id === deepLinkAreaId)?.coords).flat();
+      if (!points.length) return null;
+      return { kind: "area", id: deepLinkAreaId, bounds: computeBounds(points) };
+    }
+    return null;
+  }, [deepLinkPoiId, deepLinkAreaId, displayPois, areas, siteBorderPoints]);
+
+  // Deep link last applied, and to which map instance, so later changes (padding on
+  // rotation, re-snapped markers) don't refit the map and reopen the popup
+  const appliedDeepLinkRef = useRef({ map: null, key: null });
+
+  /**
+   * Fit the map to the deep-linked feature and open its popup, once per map instance
+   * Runs again for each new map instance, since switching modes remounts the map
+   */
+  useEffect(() => {
+    if (!leafletMap || !deepLinkTarget) return;
+    const key = `${deepLinkTarget.kind}:${deepLinkTarget.id}`;
+    const applied = appliedDeepLinkRef.current;
+    if (applied.map === leafletMap && applied.key === key) return;
+    appliedDeepLinkRef.current = { map: leafletMap, key };
+    leafletMap.fitBounds(deepLinkTarget.bounds, {
+      padding: boundsPadding,
+      maxZoom: RECENTER_ZOOM,
+      animate: false,
+    });
+    const layers = deepLinkTarget.kind === "poi" ? markerRefs.current : areaRefs.current;
+    layers[deepLinkTarget.id]?.openPopup();
+  }, [leafletMap, deepLinkTarget, boundsPadding]);
     const modeButtonClass = (mode) =>
     [
       "px-4 py-1.5 text-sm sm:text-base font-semibold rounded-full transition-all duration-200",
@@ -604,6 +1398,32 @@ export default function Sitemap() {
     border: "1px solid rgba(255,255,255,0.6)",
     color: "#ffffff",
   };
+  const overlayActiveButtonStyle = {
+    ...overlayButtonStyle,
+    background: "#059669",
+    border: "1px solid rgba(255,255,255,0.6)",
+    color: "#ffffff",
+  };
+  // Column of status cards: below the controls on desktop, at the top on mobile
+  const noticeStackStyle = {
+    ...(isMobile ? { position: "absolute", left: 8, top: 64, zIndex: 10 } : {}),
+    display: "flex",
+    flexDirection: "column",
+    alignItems: "flex-start",
+    gap: 6,
+    maxWidth: isMobile ? "calc(100% - 16px)" : 320,
+    pointerEvents: "none",
+  };
+  const noticeCardStyle = {
+    background: "rgba(255,255,255,0.55)",
+    color: "#111",
+    padding: 8,
+    borderRadius: 10,
+    border: "1px solid rgba(255,255,255,0.35)",
+    backdropFilter: "blur(16px)",
+    boxShadow: "0 10px 30px rgba(15,23,42,0.18)",
+    pointerEvents: "auto",
+  };
   const controlPositionStyle = isMobile
     ? {
         position: "absolute",
@@ -612,6 +1432,9 @@ export default function Sitemap() {
         transform: "translateX(-50%)",
         zIndex: 10,
         display: "flex",
+        flexWrap: "wrap",
+        justifyContent: "center",
+        width: "calc(100% - 24px)",
         gap: 8,
       }
     : {
@@ -620,15 +1443,227 @@ export default function Sitemap() {
         top: 12,
         zIndex: 10,
         display: "flex",
+        flexDirection: "column",
+        alignItems: "flex-start",
         gap: 8,
+        maxWidth: 380,
       };
+  const controlRowStyle = {
+    display: "flex",
+    flexWrap: "wrap",
+    justifyContent: isMobile ? "center" : "flex-start",
+    gap: 8,
+  };
+  // Downloads menu opens upwards on mobile, where the controls sit at the bottom
+  const downloadMenuStyle = {
+    position: "absolute",
+    left: 0,
+    ...(isMobile ? { bottom: "calc(100% + 6px)" } : { top: "calc(100% + 6px)" }),
+    display: "flex",
+    flexDirection: "column",
+    alignItems: "stretch",
+    gap: 6,
+    zIndex: 30,
+    whiteSpace: "nowrap",
+  };
+  // Layers menu: a card of radio buttons and checkboxes under the Layers button
+  const layerMenuStyle = {
+    ...downloadMenuStyle,
+    ...noticeCardStyle,
+    alignItems: "flex-start",
+    gap: 8,
+    padding: 10,
+    fontSize: 13,
+  };
+  const layerFieldsetStyle = {
+    display: "flex",
+    flexDirection: "column",
+    gap: 2,
+    margin: 0,
+    padding: 0,
+    border: "none",
+  };
+  const layerOptionStyle = { display: "flex", alignItems: "center", gap: 6, cursor: "pointer" };
     const isTrailMode = viewMode === VIEW_MODES.TRAIL;
+  const isExploreMode = viewMode === VIEW_MODES.EXPLORE;
+  // Explore layers everything; the static views each show their own subset,
+  // minus any overlay the visitor switched off
+  const showAreaLayers = viewMode !== VIEW_MODES.TRAIL && layerChoice.overlays.areas;
+  const showTrailLayers = viewMode !== VIEW_MODES.OVERVIEW && layerChoice.overlays.trail;
+  const showPoiLayers = viewMode !== VIEW_MODES.OVERVIEW && layerChoice.overlays.pois;
+  const showHazardLayers = layerChoice.overlays.hazards;
   const trailLineCoords = useMemo(() => {
-    return TRAIL_POI_IDS.map((id) => {
+    if (routeTrail) return routeTrail.coords;
+    // Fallback when map.json has no trail geometry: straight lines between stops
+    return routeStopIds.map((id) => {
       const poi = pois.find((p) => p.id === id);
       return poi ? [poi.lat, poi.lng] : null;
     }).filter(Boolean);
-  }, [pois]);
+  }, [pois, routeTrail, routeStopIds]);
+
+  /* ------- Demo mode (simulated GPS playback) ------- */
+  const [demoState, setDemoState] = useState(null);
+  const [demoError, setDemoError] = useState(null);
+
+  useEffect(() => {
+    if (!demoMode) return;
+    const sim = createSimulatedGeolocation({ track: trailLineCoords });
+    simulatorRef.current = sim;
+    setDemoState(sim.getState());
+    const unsubscribe = sim.subscribe(setDemoState);
+    return () => {
+      unsubscribe();
+      sim.destroy();
+      simulatorRef.current = null;
+    };
+  }, [demoMode, trailLineCoords]);
+
+  const handleDemoPlayPause = () => {
+    const sim = simulatorRef.current;
+    if (!sim) return;
+    if (!watchIdRef.current) startWatch();
+    if (sim.getState().playing) sim.pause();
+    else sim.play();
+  };
+
+  const handleDemoLoadGpx = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file || !simulatorRef.current) return;
+    try {
+      const track = parseGpxTrack(await file.text());
+      if (track.length < 2) throw new Error("The GPX file has no track to replay.");
+      simulatorRef.current.setTrack(track);
+      setDemoError(null);
+    } catch (e) {
+      setDemoError(e.message);
+    }
+  };
+
+  /* ------- Next-stop guidance ------- */
+  const trailStops = useMemo(
+    () => routeStopIds.map((id) => pois.find((p) => p.id === id)).filter(Boolean),
+    [pois, routeStopIds]
+  );
+
+  /* ------- Audio tour (playlist in trail order, no GPS needed) ------- */
+  const tourStops = useMemo(() => trailStops.filter((p) => p.audioSrc), [trailStops]);
+  const tourStop = tour ? tourStops[tour.index] : null;
+
+  /**
+   * Play a tour stop from the start
+   * @param {number} index - Index into tourStops
+   */
+  const playTourStop = (index) => {
+    const stop = tourStops[index];
+    if (!stop) return;
+    playPoiAudio(stop);
+    setPlayedIds((prev) => new Set(prev).add(stop.id));
+    setTour({ index, paused: false });
+  };
+
+  const handleOpenTour = () => {
+    if (!tourStops.length) return;
+    setTour({ index: 0, paused: true });
+  };
+
+  // Resume where the clip was paused, or restart it if another clip took the audio
+  const handleTourPlay = () => {
+    const audio = audioRef.current;
+    if (!tour || !tourStop || !audio) return;
+    if (nowPlayingId !== tourStop.id || audio.ended) {
+      playTourStop(tour.index);
+      return;
+    }
+    setIsPlaying(true);
+    setTour({ ...tour, paused: false });
+    audio.play().catch((e) => {
+      console.warn("Audio play blocked/failed:", e);
+      setIsPlaying(false);
+      setTour((t) => t && { ...t, paused: true });
+    });
+  };
+
+  const handleTourPause = () => {
+    if (!tour) return;
+    audioRef.current?.pause();
+    setIsPlaying(false);
+    setTour({ ...tour, paused: true });
+  };
+
+  // Continue with the next stop; the tour pauses after the last one
+  const handleTourEnded = () => {
+    if (!tour || tour.paused) return;
+    if (tour.index + 1 < tourStops.length) playTourStop(tour.index + 1);
+    else setTour({ ...tour, paused: true });
+  };
+
+  const handleCloseTour = () => {
+    if (!tour) return;
+    if (tourStop && nowPlayingId === tourStop.id) handleStopAudio();
+    setTour(null);
+  };
+
+  // A Talking Tree or habitat clip started on the shared audio pauses the tour
+  useEffect(() => {
+    if (!tour || tour.paused || !nowPlayingId || nowPlayingId === tourStop?.id) return;
+    setTour({ ...tour, paused: true });
+  }, [nowPlayingId, tour, tourStop]);
+
+  // Bring the current stop into view while exploring the map
+  useEffect(() => {
+    if (!tourStop || !leafletMap || viewMode !== VIEW_MODES.EXPLORE) return;
+    leafletMap.panTo([tourStop.lat, tourStop.lng]);
+  }, [tourStop, leafletMap, viewMode]);
+
+  // Latest tour handlers for the lock-screen controls, which stay registered between renders
+  const tourControlsRef = useRef(null);
+  tourControlsRef.current = {
+    play: handleTourPlay,
+    pause: handleTourPause,
+    close: handleCloseTour,
+    playStop: playTourStop,
+  };
+
+  // Lock-screen and headphone controls for the tour; the handlers read tourControlsRef so
+  // they always act on the current tour
+  useEffect(() => {
+    if (!tour || !tourStop) return undefined;
+    updateMediaSession(
+      {
+        title: tourStop.name,
+        artist: "Talking Trees audio tour",
+        album: activeRoute?.name,
+        artwork: (ICON_CONFIGS[tourStop.type] || DEFAULT_ICON_CONFIG).image,
+      },
+      {
+        play: () => tourControlsRef.current.play(),
+        pause: () => tourControlsRef.current.pause(),
+        previoustrack: () => tourControlsRef.current.playStop(Math.max(tour.index - 1, 0)),
+        nexttrack: () =>
+          tourControlsRef.current.playStop(Math.min(tour.index + 1, tourStops.length - 1)),
+        stop: () => tourControlsRef.current.close(),
+      },
+      !tour.paused
+    );
+    return clearMediaSession;
+  }, [tour, tourStop, tourStops, activeRoute]);
+
+  const guidance = useMemo(() => {
+    if (!watching || !userPos) return null;
+    try {
+      return getNextStopGuidance(trailStops, userPos, trailLineCoords);
+    } catch (e) {
+      console.warn("Guidance calc error:", e);
+      return null;
+    }
+  }, [watching, userPos, trailStops, trailLineCoords]);
+
+  // Difficulty and surface entries actually used by the active route, for the legend
+  const trailLegendItems = useMemo(
+    () => (routeTrail ? trailLegendItemsFor(routeTrail.segments) : []),
+    [routeTrail]
+  );
 
     const legendTheme = useMemo(
       () => ({
@@ -641,24 +1676,22 @@ export default function Sitemap() {
       []
     );
 
-    const mapLegendItems = [
-      { label: "Site Border", stroke: "#000", variant: "line" },
-      {
-        label: AREA_STYLES.rewildingArea.label,
-        stroke: AREA_STYLES.rewildingArea.stroke,
-        fill: AREA_STYLES.rewildingArea.fill,
-      },
-      {
-        label: AREA_STYLES.yellowBirchArea.label,
-        stroke: AREA_STYLES.yellowBirchArea.stroke,
-        fill: AREA_STYLES.yellowBirchArea.fill,
-      },
-      {
-        label: AREA_STYLES.wetlandArea.label,
-        stroke: AREA_STYLES.wetlandArea.stroke,
-        fill: AREA_STYLES.wetlandArea.fill,
-      },
-    ];
+  // Centered dialog card (walk summary, trail report)
+  const dialogCardStyle = {
+    position: "absolute",
+    left: "50%",
+    top: "50%",
+    transform: "translate(-50%, -50%)",
+    zIndex: 30,
+    width: isMobile ? "calc(100% - 32px)" : 340,
+    background: legendTheme.cardBg,
+    border: legendTheme.cardBorder,
+    boxShadow: legendTheme.cardShadow,
+    color: legendTheme.textColor,
+    borderRadius: 14,
+    padding: 16,
+    fontSize: 14,
+  };
 
   useEffect(() => {
     if (!mapReady || !mapRef.current) return;
@@ -687,6 +1720,175 @@ export default function Sitemap() {
     }
   }, [activeBounds, boundsPadding, isTrailMode, displayCenter, mapReady]);
 
+  // Status cards (inside/near, recording, guidance, offline); under the controls on
+  // desktop, floating at the top on mobile where the controls sit at the bottom
+  const noticeStack = (
+    <div style={noticeStackStyle}>
+      {nearbyHazards.length > 0 && (
+        <div
+          data-cy="hazard-warning"
+          role="alert"
+          style={{
+            ...noticeCardStyle,
+            fontSize: 13,
+            borderLeft: `4px solid ${noticeStyleFor(nearbyHazards[0].hazard).color}`,
+          }}
+        >
+          {nearbyHazards.map(({ hazard, distance }) => (
+            <div key={hazard.id} style={{ marginBottom: 4 }}>
+              <strong>
+                {noticeStyleFor(hazard).icon} {hazard.title}
+              </strong>{" "}
+              <span style={{ color: "#6b7280" }}>
+                {distance === 0 ? "· you are in this area" : `· ${formatDistance(distance)} away`}
+              </span>
+              <div style={{ fontSize: 12 }}>{hazard.message}</div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {insideMsg && <div style={noticeCardStyle}>{insideMsg}</div>}
+
+      {activeHabitat && (
+        <div
+          data-cy="habitat-card"
+          role="status"
+          style={{
+            ...noticeCardStyle,
+            fontSize: 13,
+            borderLeft: `4px solid ${activeHabitat.color || "#15803d"}`,
+          }}
+        >
+          <div style={{ display: "flex", justifyContent: "space-between", gap: 8 }}>
+            <strong>You’re in the {activeHabitat.name}</strong>
+            <button onClick={handleDismissHabitat} aria-label="Close" style={{ lineHeight: 1 }}>
+              ✕
+            </button>
+          </div>
+          <div style={{ fontSize: 12, margin: "4px 0" }}>{activeHabitat.description}</div>
+          {activeHabitat.species.length > 0 && (
+            <div style={{ fontSize: 12 }} data-cy="habitat-species">
+              <span style={{ color: "#6b7280" }}>Lives here: </span>
+              {activeHabitat.species.map((sp) => sp.name).join(", ")}
+            </div>
+          )}
+          <div style={{ display: "flex", gap: 6, marginTop: 6, flexWrap: "wrap" }}>
+            {canNarrateHabitat && (
+              <button
+                onClick={() => narrateHabitat(activeHabitat)}
+                style={{ ...overlayButtonStyle, padding: "4px 12px" }}
+              >
+                🔊 Listen
+              </button>
+            )}
+            <Link to="/ecology" style={{ ...overlayButtonStyle, padding: "4px 12px" }}>
+              Species guide
+            </Link>
+          </div>
+        </div>
+      )}
+
+      {reportPicking && (
+        <div data-cy="report-picking" style={{ ...noticeCardStyle, fontSize: 13 }}>
+          <div>Tap the map where the problem is.</div>
+          <div style={{ display: "flex", gap: 6, marginTop: 6, flexWrap: "wrap" }}>
+            <button
+              onClick={handleReportAtMyPosition}
+              disabled={!userPos}
+              style={{ ...overlayButtonStyle, padding: "4px 12px" }}
+              title={userPos ? undefined : "Press Locate first"}
+            >
+              Use my position
+            </button>
+            <button
+              onClick={() => setReportPicking(false)}
+              style={{ ...overlayButtonStyle, padding: "4px 12px" }}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {reportMessage && (
+        <div data-cy="report-message" style={{ ...noticeCardStyle, fontSize: 13 }}>
+          {reportMessage}
+        </div>
+      )}
+
+      {recording && (
+        <div style={{ ...noticeCardStyle, fontSize: 12 }}>
+          <span style={{ color: "#dc2626" }}>●</span> Recording walk ·{" "}
+          {formatDistance(recordedMeters)}
+          {!watching && " · paused, press Locate to continue"}
+        </div>
+      )}
+
+      {guidance && (
+        <div style={{ ...noticeCardStyle, fontSize: 13 }} aria-live="polite">
+          {guidance.finished ? (
+            <div>You’ve passed the last stop. Enjoy the walk back!</div>
+          ) : (
+            <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
+              {/* Arrow points along the bearing relative to north (top of the map) */}
+              <span
+                aria-hidden="true"
+                style={{
+                  display: "inline-block",
+                  fontSize: 22,
+                  lineHeight: 1,
+                  color: "#047857",
+                  transform: `rotate(${Math.round(guidance.bearing)}deg)`,
+                }}
+              >
+                ↑
+              </span>
+              <div>
+                <div style={{ fontSize: 11, color: "#6b7280" }}>
+                  {guidance.onTrail ? "Next stop" : "Nearest stop"} ({guidance.stopIndex + 1}/
+                  {trailStops.length})
+                </div>
+                <strong>{guidance.stop.name}</strong>
+                <div style={{ fontSize: 12 }}>
+                  {formatDistance(guidance.distanceMeters)}
+                  {guidance.onTrail ? " along the trail" : " away"} ·{" "}
+                  {guidance.compass} {Math.round(guidance.bearing)}° · ~
+                  {Math.max(1, Math.round(guidance.etaMinutes))} min walk
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {offline.status === "downloading" && (
+        <div style={{ ...noticeCardStyle, fontSize: 12 }}>
+          <div>
+            Saving map for offline use… {offline.done}/{offline.total || "…"}
+          </div>
+          <progress
+            value={offline.done}
+            max={offline.total || 1}
+            style={{ width: 180, height: 6 }}
+          />
+        </div>
+      )}
+      {offline.status === "ready" && (
+        <div style={{ ...noticeCardStyle, fontSize: 12 }}>
+          Map and audio available offline
+          {offline.bytes != null && ` · ${formatBytes(offline.bytes)} stored`}
+        </div>
+      )}
+      {offline.status === "error" && (
+        <div style={{ ...noticeCardStyle, fontSize: 12, color: "#b91c1c" }}>
+          {offline.message ||
+            `${offline.failed} of ${offline.total} files could not be saved. Try again with a better connection.`}
+        </div>
+      )}
+    </div>
+  );
+
   /* ------- Render ------- */
   return (
     <ErrorBoundary>
@@ -705,16 +1907,33 @@ export default function Sitemap() {
             <button
               type="button"
               className={modeButtonClass(VIEW_MODES.OVERVIEW)}
-              onClick={() => setViewMode(VIEW_MODES.OVERVIEW)}
+              onClick={() => handleViewModeChange(VIEW_MODES.OVERVIEW)}
             >
               Overview
             </button>
+            {/* Route picker: choosing a route switches to Trail mode */}
+            <select
+              aria-label="Choose a route"
+              data-cy="route-picker"
+              className={`${modeButtonClass(VIEW_MODES.TRAIL)} cursor-pointer appearance-none text-center`}
+              value={isTrailMode ? activeRoute?.id || "" : ""}
+              onChange={(e) => handleRouteChange(e.target.value)}
+            >
+              <option value="" disabled>
+                Routes ▾
+              </option>
+              {routes.map((route) => (
+                <option key={route.id} value={route.id}>
+                  {route.name}
+                </option>
+              ))}
+            </select>
             <button
               type="button"
-              className={modeButtonClass(VIEW_MODES.TRAIL)}
-              onClick={() => setViewMode(VIEW_MODES.TRAIL)}
+              className={modeButtonClass(VIEW_MODES.EXPLORE)}
+              onClick={() => handleViewModeChange(VIEW_MODES.EXPLORE)}
             >
-              Trail
+              Explore
             </button>
           </div>
         </div>
@@ -737,38 +1956,133 @@ export default function Sitemap() {
 
         {/* Controls */}
         <div style={controlPositionStyle}>
-          <button onClick={startWatch} style={overlayButtonStyle}>
-            Locate
-          </button>
-          <button onClick={stopWatch} style={overlayDangerButtonStyle}>
-            Stop
-          </button>
+          <div style={controlRowStyle}>
+            <button onClick={startWatch} style={overlayButtonStyle}>
+              Locate
+            </button>
+            <button onClick={stopWatch} style={overlayDangerButtonStyle}>
+              Stop
+            </button>
+            <details style={{ position: "relative" }}>
+              <summary style={{ ...overlayButtonStyle, listStyle: "none", cursor: "pointer" }}>
+                Downloads ▾
+              </summary>
+              <div style={downloadMenuStyle}>
+                <button
+                  onClick={handleDownloadOffline}
+                  disabled={offline.status === "downloading"}
+                  style={overlayButtonStyle}
+                  title="Save map tiles, Talking Trees audio and the site for use without signal"
+                >
+                  {offlineLabel}
+                </button>
+                <button
+                  onClick={handleDownloadGpx}
+                  style={overlayButtonStyle}
+                  title="Download the trail and stops as GPX for OsmAnd, Gaia or Garmin"
+                >
+                  GPX
+                </button>
+                <button
+                  onClick={handleDownloadGeoJSON}
+                  style={overlayButtonStyle}
+                  title="Download areas, stops and trails as GeoJSON for QGIS or geojson.io"
+                >
+                  GeoJSON
+                </button>
+                <Link
+                  to="/sitemap/print"
+                  data-cy="print-map"
+                  style={{ ...overlayButtonStyle, textAlign: "center" }}
+                  title="Open a print-ready map with the legend and every stop described"
+                >
+                  Print map
+                </Link>
+              </div>
+            </details>
+            <details data-cy="layer-menu" style={{ position: "relative" }}>
+              <summary style={{ ...overlayButtonStyle, listStyle: "none", cursor: "pointer" }}>
+                Layers ▾
+              </summary>
+              <div style={layerMenuStyle}>
+                <fieldset style={layerFieldsetStyle}>
+                  <legend style={{ fontWeight: 700 }}>Base map</legend>
+                  {BASE_LAYER_OPTIONS.map(({ id, label }) => (
+                    <label key={id} style={layerOptionStyle}>
+                      <input
+                        type="radio"
+                        name="base-layer"
+                        value={id}
+                        data-cy={`base-layer-${id}`}
+                        checked={layerChoice.base === id}
+                        onChange={() => handleBaseLayerChange(id)}
+                      />
+                      {label}
+                    </label>
+                  ))}
+                </fieldset>
+                <fieldset style={layerFieldsetStyle}>
+                  <legend style={{ fontWeight: 700 }}>Show</legend>
+                  {MAP_OVERLAYS.map(({ id, label }) => (
+                    <label key={id} style={layerOptionStyle}>
+                      <input
+                        type="checkbox"
+                        data-cy={`overlay-${id}`}
+                        checked={layerChoice.overlays[id]}
+                        onChange={() => handleOverlayToggle(id)}
+                      />
+                      {label}
+                    </label>
+                  ))}
+                </fieldset>
+              </div>
+            </details>
+            {isExploreMode && (
+              <>
+                <button onClick={handleRecenter} style={overlayButtonStyle}>
+                  Recenter on me
+                </button>
+                <button onClick={handleResetToSite} style={overlayButtonStyle}>
+                  Reset to site
+                </button>
+              </>
+            )}
+            {recording ? (
+              <button onClick={handleFinishRecording} style={overlayDangerButtonStyle}>
+                Finish walk
+              </button>
+            ) : (
+              <button onClick={handleStartRecording} style={overlayButtonStyle}>
+                Record walk
+              </button>
+            )}
+            <button
+              data-cy="tour-start"
+              onClick={tour ? handleCloseTour : handleOpenTour}
+              style={tour ? overlayActiveButtonStyle : overlayButtonStyle}
+              title="Listen to every Talking Tree in trail order, without sharing your location"
+            >
+              Audio tour
+            </button>
+            {REPORTS_ENDPOINT && (
+              <button
+                data-cy="report-start"
+                onClick={handleStartReport}
+                style={overlayButtonStyle}
+                title="Tell volunteers about a fallen tree, litter or a damaged path"
+              >
+                Report a problem
+              </button>
+            )}
+          </div>
+          {!isMobile && noticeStack}
         </div>
 
-        {/* Inside/Near notice */}
-        {insideMsg && (
-          <div
-            style={{
-              position: "absolute",
-              left: 8,
-              top: 56,
-              zIndex: 10,
-              background: "rgba(255,255,255,0.55)",
-              color: "#111",
-              padding: 8,
-              borderRadius: 10,
-              border: "1px solid rgba(255,255,255,0.35)",
-              backdropFilter: "blur(16px)",
-              boxShadow: "0 10px 30px rgba(15,23,42,0.18)",
-            }}
-          >
-            {insideMsg}
-          </div>
-        )}
+        {isMobile && noticeStack}
 
-        {/* STATIC MAP */}
+        {/* MAP: static framing in Overview/Trail, pan and zoom in Explore */}
         <MapContainer
-          key={viewMode}
+          key={`${viewMode}-${activeRoute?.id}`}
           center={center}
           bounds={activeBounds || undefined}
           boundsOptions={{ padding: boundsPadding }}
@@ -778,64 +2092,171 @@ export default function Sitemap() {
             zIndex: 1,
           }}
           zoomControl={false}
-          dragging={false}
-          scrollWheelZoom={false}
-          doubleClickZoom={false}
-          touchZoom={false}
-          boxZoom={false}
-          keyboard={false}
+          dragging={isExploreMode}
+          scrollWheelZoom={isExploreMode}
+          doubleClickZoom={isExploreMode}
+          touchZoom={isExploreMode}
+          boxZoom={isExploreMode}
+          keyboard={isExploreMode}
           whenCreated={handleMapCreated}
+          whenReady={handleMapReady}
+          ref={mapRef}
         >
-          <DisableInteractions />
+          {isExploreMode ? (
+            <>
+              <ZoomControl position="bottomright" />
+              <ScaleControl position="bottomleft" imperial={false} />
+            </>
+          ) : (
+            <DisableInteractions />
+          )}
 
+          {/* Keyed so attribution and styling follow a base map switch */}
           <TileLayer
-            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-            attribution="&copy; OpenStreetMap contributors"
+            key={baseLayer.id}
+            url={baseLayer.url}
+            attribution={baseLayer.attribution}
+            maxNativeZoom={baseLayer.maxNativeZoom}
+            className={baseLayer.className}
           />
 
           {/* Site border */}
-            {viewMode === VIEW_MODES.OVERVIEW && siteBorder.length > 1 && (
+            {showAreaLayers && siteBorderOutlines.length > 0 && (
               <Polyline
-                positions={[...siteBorder, siteBorder[0]]}
-                pathOptions={{ color: "#111", weight: 3, opacity: 1 }}
+                ref={(layer) => {
+                  areaRefs.current.siteBorder = layer;
+                }}
+                positions={siteBorderOutlines}
+                pathOptions={pathOptionsOnBaseLayer(SITE_BORDER_PATH_OPTIONS, baseLayer)}
               >
                 <Tooltip sticky direction="top">
                   Woodland Site Border
                 </Tooltip>
+                <Popup>
+                  <div style={{ fontWeight: 600, fontSize: '14px' }}>Woodland Site Border</div>
+                  <CopyLinkButton kind="area" id="siteBorder" />
+                </Popup>
               </Polyline>
             )}
 
           {/* Areas */}
-          {viewMode === VIEW_MODES.OVERVIEW &&
+          {showAreaLayers &&
             areas.map((a) => (
             <Polygon
               key={a.id}
-              positions={a.coords}
-              pathOptions={{
-                color: a.style.stroke,
-                weight: 2.2,
-                fillColor: a.style.fill,
-                fillOpacity: 1,
+              ref={(layer) => {
+                areaRefs.current[a.id] = layer;
               }}
+              positions={a.coords}
+              pathOptions={areaPathOptions(a)}
             >
               <Tooltip sticky direction="center">
                 {a.name}
               </Tooltip>
+              <Popup>
+                <div style={{ fontWeight: 600, fontSize: '14px' }}>{a.name}</div>
+                <CopyLinkButton kind="area" id={a.id} />
+              </Popup>
             </Polygon>
             ))}
 
-          {/* Trail line */}
-          {viewMode === VIEW_MODES.TRAIL && trailLineCoords.length > 1 && (
+          {/* Trail line: styled segments when geometry exists, straight fallback otherwise */}
+          {showTrailLayers &&
+            routeTrail &&
+            routeTrail.segments.map((seg) => (
+              <Polyline
+                key={seg.id}
+                positions={seg.coords}
+                pathOptions={pathOptionsOnBaseLayer(trailSegmentPathOptions(seg), baseLayer)}
+              >
+                <Tooltip sticky direction="top">
+                  {trailSegmentLabel(seg, routeTrail.name)}
+                </Tooltip>
+              </Polyline>
+            ))}
+          {showTrailLayers && !routeTrail && trailLineCoords.length > 1 && (
             <Polyline
               positions={trailLineCoords}
-              pathOptions={{ color: "#111", weight: 4, opacity: 0.9 }}
+              pathOptions={pathOptionsOnBaseLayer(
+                { color: "#111", weight: 4, opacity: 0.9 },
+                baseLayer
+              )}
+            />
+          )}
+
+          {/* Trail notices: closures and hazards are shown in every mode unless switched off */}
+          {showHazardLayers && hazards.map((notice) => {
+            const { geometry } = notice;
+            if (geometry.type === "point") {
+              return (
+                <CircleMarker
+                  key={notice.id}
+                  center={[geometry.lat, geometry.lng]}
+                  radius={10}
+                  pathOptions={{ ...noticePathOptions(notice), weight: 3, dashArray: null }}
+                >
+                  <NoticePopup notice={notice} />
+                </CircleMarker>
+              );
+            }
+            if (geometry.type === "line") {
+              return (
+                <Polyline
+                  key={notice.id}
+                  positions={geometry.coords}
+                  pathOptions={noticePathOptions(notice)}
+                >
+                  <NoticePopup notice={notice} />
+                </Polyline>
+              );
+            }
+            return (
+              <Polygon
+                key={notice.id}
+                positions={geometry.coords}
+                pathOptions={noticePathOptions(notice)}
+              >
+                <NoticePopup notice={notice} />
+              </Polygon>
+            );
+          })}
+
+          {/* Trail reports: pick a spot, and show where the open report points */}
+          {REPORTS_ENDPOINT && (
+            <ReportLocationPicker picking={reportPicking} onPick={handlePickReportLocation} />
+          )}
+          {/* Current audio tour stop */}
+          {tourStop && (
+            <CircleMarker
+              center={(() => {
+                const shown = displayPois.find((p) => p.id === tourStop.id) || tourStop;
+                return [shown.lat, shown.lng];
+              })()}
+              radius={20}
+              pathOptions={{
+                color: "#059669",
+                weight: 3,
+                fillOpacity: 0.15,
+                className: "tour-stop-highlight",
+              }}
+            />
+          )}
+
+          {reportDraft && (
+            <CircleMarker
+              center={[reportDraft.location.lat, reportDraft.location.lng]}
+              radius={9}
+              pathOptions={{ color: "#7c3aed", weight: 3, fillOpacity: 0.35 }}
             />
           )}
 
           {/* POIs */}
-          {viewMode === VIEW_MODES.TRAIL && displayPois.map((p) => (
+          {showPoiLayers && displayPois.map((p) => (
             <Marker 
               key={p.id || `${p.lat},${p.lng}`} 
+              ref={(layer) => {
+                if (p.id) markerRefs.current[p.id] = layer;
+              }}
               position={[p.lat, p.lng]}
               icon={createCustomIcon(p.type)}
             >
@@ -849,37 +2270,188 @@ export default function Sitemap() {
                       {p.clickText}
                     </div>
                   )}
+                  {/* Manual play so visitors arriving from a QR sign need no GPS lock */}
                   {p.audioSrc && (
-                    <div style={{ marginTop: '8px', fontSize: 11, color: "#888" }}>
-                      🔊 Audio available
-                    </div>
+                    <button
+                      type="button"
+                      onClick={() => playPoiAudio(p)}
+                      data-cy="popup-play-audio"
+                      style={{
+                        display: 'block',
+                        marginTop: '8px',
+                        padding: 0,
+                        fontSize: 11,
+                        color: "#047857",
+                        fontWeight: 600,
+                        background: "none",
+                        border: "none",
+                        cursor: "pointer",
+                      }}
+                    >
+                      🔊 Play audio
+                    </button>
                   )}
+                  {p.transcriptSrc && <TranscriptDetails src={p.transcriptSrc} />}
+                  {p.id && <CopyLinkButton kind="poi" id={p.id} />}
                 </div>
               </Popup>
             </Marker>
           ))}
 
+          {/* Recorded walk breadcrumb */}
+          {breadcrumb.length > 1 && (
+            <Polyline
+              positions={breadcrumb.map((fix) => [fix.lat, fix.lng])}
+              pathOptions={{ color: "#2563eb", weight: 3, opacity: 0.8, dashArray: "2 6" }}
+            />
+          )}
+
           {/* User */}
           {userPos && (
             <>
               <Marker position={[userPos.lat, userPos.lng]} icon={userLocationIcon}>
                 <Popup>You are here</Popup>
               </Marker>
+              {/* Accuracy circle: radius is the filtered position uncertainty */}
               <Circle
                 center={[userPos.lat, userPos.lng]}
-                radius={2}
-                pathOptions={{ color: "#0ea5e9", weight: 1 }}
+                radius={Math.max(userPos.accuracy || 0, 2)}
+                pathOptions={{ color: "#0ea5e9", weight: 1, fillOpacity: 0.12 }}
               />
             </>
           )}
         </MapContainer>
 
+        {/* Demo mode: simulated GPS playback controls */}
+        {demoMode && demoState && (
+          <div
+            data-cy="demo-panel"
+            style={{
+              position: "absolute",
+              right: 12,
+              bottom: isMobile ? 112 : 16,
+              zIndex: 20,
+              width: 230,
+              padding: 12,
+              borderRadius: 12,
+              fontSize: 12,
+              background: legendTheme.cardBg,
+              border: legendTheme.cardBorder,
+              boxShadow: legendTheme.cardShadow,
+              color: legendTheme.textColor,
+            }}
+          >
+            <div style={{ fontWeight: 700, marginBottom: 6 }}>Demo: simulated GPS</div>
+            <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+              <button onClick={handleDemoPlayPause} style={overlayButtonStyle}>
+                {demoState.playing ? "❚❚ Pause" : "▶ Play"}
+              </button>
+              <select
+                aria-label="Playback speed"
+                value={demoState.speed}
+                onChange={(e) => simulatorRef.current?.setSpeed(Number(e.target.value))}
+                style={{ borderRadius: 6, padding: "2px 4px" }}
+              >
+                {DEMO_SPEEDS.map((speed) => (
+                  <option key={speed} value={speed}>
+                    {speed}×
+                  </option>
+                ))}
+              </select>
+            </div>
+            <input
+              type="range"
+              aria-label="Position along track"
+              min="0"
+              max="1000"
+              value={Math.round(demoState.progress * 1000)}
+              onChange={(e) => simulatorRef.current?.seek(Number(e.target.value) / 1000)}
+              style={{ width: "100%", marginTop: 8 }}
+            />
+            <div style={{ color: "#6b7280" }}>
+              {formatDistance(demoState.distance)} / {formatDistance(demoState.length)}
+            </div>
+            <label style={{ display: "block", marginTop: 6, cursor: "pointer", color: "#047857" }}>
+              Load GPX track…
+              <input
+                type="file"
+                accept=".gpx,application/gpx+xml"
+                onChange={handleDemoLoadGpx}
+                style={{ display: "none" }}
+              />
+            </label>
+            {demoError && <div style={{ color: "#b91c1c", marginTop: 4 }}>{demoError}</div>}
+          </div>
+        )}
+
+        {/* Walk summary */}
+        {finishedWalk && (
+          <div
+            role="dialog"
+            aria-label="Walk summary"
+            style={dialogCardStyle}
+          >
+            <div style={{ fontWeight: 700, fontSize: 16, marginBottom: 8 }}>
+              How far did we go?
+            </div>
+            <div>Distance: {formatDistance(finishedWalk.stats.distanceMeters)}</div>
+            <div>Duration: {formatDuration(finishedWalk.stats.durationMs)}</div>
+            <div>Inside the woodland: {formatDuration(finishedWalk.stats.insideMs)}</div>
+            <div>
+              Stops visited: {finishedWalk.stats.stopsVisited.length}
+              {finishedWalk.stats.stopsVisited.length > 0 &&
+                ` (${finishedWalk.stats.stopsVisited.map((s) => s.name).join(", ")})`}
+            </div>
+            {WALK_SUMMARY_ENDPOINT && (
+              <label style={{ display: "flex", gap: 6, marginTop: 10, fontSize: 12 }}>
+                <input
+                  type="checkbox"
+                  checked={shareOptIn}
+                  onChange={(e) => setShareOptIn(e.target.checked)}
+                />
+                Share an anonymous summary (no locations) to help us care for the trail
+              </label>
+            )}
+            <div style={{ display: "flex", gap: 8, marginTop: 12, flexWrap: "wrap" }}>
+              <button onClick={handleExportWalkGpx} style={overlayButtonStyle}>
+                Export GPX
+              </button>
+              <button onClick={handleDiscardWalk} style={overlayDangerButtonStyle}>
+                Discard
+              </button>
+              <button
+                onClick={handleCloseWalkSummary}
+                disabled={shareStatus === "sending"}
+                style={{ ...overlayButtonStyle, background: "#059669", color: "#fff" }}
+              >
+                Done
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Trail report form */}
+        {reportDraft && (
+          <ReportPanel
+            endpoint={REPORTS_ENDPOINT}
+            location={reportDraft.location}
+            source={reportDraft.source}
+            userPos={userPos}
+            onUseMyPosition={handleReportAtMyPosition}
+            onCancel={() => setReportDraft(null)}
+            onDone={handleReportDone}
+            buttonStyle={overlayButtonStyle}
+            dialogStyle={dialogCardStyle}
+          />
+        )}
+
         {/* Talking Trees panel */}
         <div
+          data-cy="talking-trees-panel"
           style={{
             position: "absolute",
             left: "50%",
-            bottom: isMobile ? 72 : 16,
+            bottom: isMobile ? 112 : 16,
             zIndex: 10,
             transform: "translateX(-50%)",
             pointerEvents: "none",
@@ -896,9 +2468,42 @@ export default function Sitemap() {
               pointerEvents: "auto",
             }}
           >
-            {!closestPoi3m && (
+            {tour && tourStop && (
+              <AudioTourPanel
+                audioRef={audioRef}
+                stops={tourStops}
+                index={tour.index}
+                paused={tour.paused}
+                routeName={activeRoute?.name}
+                onSelect={playTourStop}
+                onPlay={handleTourPlay}
+                onPause={handleTourPause}
+                onEnded={handleTourEnded}
+                onClose={handleCloseTour}
+                buttonStyle={overlayButtonStyle}
+              />
+            )}
+            {!tour && !closestPoi3m && !nowPlayingPoi && (
               <div style={{ fontSize: 14, color: "#111" }}>
-                Move closer to a Talking Tree (within 3 m) to enable audio.
+                Move closer to a Talking Tree (within {TALKING_TREES_METERS} m) to enable audio.
+              </div>
+            )}
+            {!tour && !closestPoi3m && nowPlayingPoi && (
+              <div style={{ display: "flex", gap: 12, alignItems: "center" }}>
+                <div style={{ fontSize: 14, color: "#111" }}>
+                  Playing <strong>{nowPlayingPoi.name}</strong>
+                </div>
+                <button
+                  onClick={handleStopAudio}
+                  style={{
+                    background: "#e11d48",
+                    color: "#fff",
+                    padding: "6px 12px",
+                    borderRadius: 6,
+                  }}
+                >
+                  ■ Stop
+                </button>
               </div>
             )}
             {closestPoi3m && (
@@ -936,16 +2541,51 @@ export default function Sitemap() {
                 )}
               </div>
             )}
+            {/* Captions for whichever stop is playing (Talking Tree, popup or tour) */}
+            {nowPlayingPoi?.transcriptSrc && (
+              <AudioCaption audioRef={audioRef} poi={nowPlayingPoi} />
+            )}
+            <div
+              style={{
+                display: "flex",
+                gap: 8,
+                alignItems: "center",
+                marginTop: 8,
+                fontSize: 12,
+                color: "#111",
+              }}
+            >
+              <label style={{ display: "flex", gap: 6, alignItems: "center", cursor: "pointer" }}>
+                <input type="checkbox" checked={autoPlay} onChange={handleToggleAutoPlay} />
+                Auto-play stops as I arrive
+              </label>
+              {playedIds.size > 0 && (
+                <button
+                  onClick={handleResetPlayed}
+                  style={{ color: "#047857", textDecoration: "underline" }}
+                  title="Allow stops you've already heard to play again"
+                >
+                  Reset heard ({playedIds.size})
+                </button>
+              )}
+            </div>
+            {autoPlay && queuedPoiNames.length > 0 && (
+              <div style={{ marginTop: 4, fontSize: 11, color: "#6b7280" }}>
+                Up next: {queuedPoiNames.join(", ")}
+              </div>
+            )}
             {lastCheckedAt && (
               <div style={{ marginTop: 4, fontSize: 11, color: "#6b7280" }}>
                 last check: {lastCheckedAt.toLocaleTimeString()}
+                {typeof userPos?.accuracy === "number" &&
+                  ` · GPS ±${Math.round(userPos.accuracy)} m`}
               </div>
             )}
           </div>
         </div>
 
         {/* Legends */}
-          {viewMode === VIEW_MODES.OVERVIEW && (
+          {showAreaLayers && (
             <div
               style={{
                 position: "absolute",
@@ -983,27 +2623,7 @@ export default function Sitemap() {
                     color: legendTheme.textColor,
                   }}
                 >
-                  {item.variant === "line" ? (
-                    <span
-                      style={{
-                        width: 32,
-                        height: 3,
-                        borderRadius: 999,
-                        backgroundColor: item.stroke,
-                        display: "inline-block",
-                      }}
-                    />
-                  ) : (
-                    <span
-                      style={{
-                        width: 24,
-                        height: 12,
-                        borderRadius: 4,
-                        border: `2px solid ${item.stroke}`,
-                        background: item.fill,
-                      }}
-                    />
-                  )}
+                  <LegendSwatch item={item} />
                   {item.label}
                 </div>
               ))}
@@ -1034,27 +2654,63 @@ export default function Sitemap() {
                   color: legendTheme.headerColor,
                 }}
               >
-                Trail Legend
+                {activeRoute?.name || "Trail Legend"}
               </div>
-              <div
-                style={{
-                  display: "flex",
-                  alignItems: "center",
-                  gap: 10,
-                  color: legendTheme.textColor,
-                }}
-              >
-                <span
+              {activeRoute && (
+                <div data-cy="route-info" style={{ fontSize: 12, marginBottom: 10, maxWidth: 240 }}>
+                  <div style={{ fontWeight: 600 }}>
+                    {formatDistance(activeRoute.lengthMeters)}
+                    {activeRoute.difficulty
+                      ? ` · ${TRAIL_DIFFICULTY_STYLES[activeRoute.difficulty]?.label || activeRoute.difficulty}`
+                      : ""}
+                    {routeStopIds.length ? ` · ${routeStopIds.length} stops` : ""}
+                    {activeRoute.accessible ? " · ♿ Accessible" : ""}
+                  </div>
+                  {activeRoute.description && (
+                    <div style={{ marginTop: 4, whiteSpace: "normal", color: "#475569" }}>
+                      {activeRoute.description}
+                    </div>
+                  )}
+                </div>
+              )}
+              {trailLegendItems.length ? (
+                trailLegendItems.map((item) => (
+                  <div
+                    key={item.key}
+                    style={{
+                      display: "flex",
+                      alignItems: "center",
+                      gap: 10,
+                      marginBottom: 6,
+                      fontSize: 13,
+                      color: legendTheme.textColor,
+                    }}
+                  >
+                    <TrailLegendSwatch item={item} />
+                    {item.label}
+                  </div>
+                ))
+              ) : (
+                <div
                   style={{
-                    width: 32,
-                    height: 3,
-                    background: "#000",
-                    borderRadius: 999,
-                    display: "inline-block",
+                    display: "flex",
+                    alignItems: "center",
+                    gap: 10,
+                    color: legendTheme.textColor,
                   }}
-                />
-                Main Trail
-              </div>
+                >
+                  <span
+                    style={{
+                      width: 32,
+                      height: 3,
+                      background: "#000",
+                      borderRadius: 999,
+                      display: "inline-block",
+                    }}
+                  />
+                  {activeRoute?.name || "Main Trail"}
+                </div>
+              )}
             </div>
           )}
 
@@ -0,0 +1,126 @@
+/**
+ * ================================================================================
+ * File: Transcript.jsx
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Text equivalents for the Talking Trees audio: live captions that
+ * follow the Sitemap's shared audio element, and the full transcript as an
+ * expandable section in a stop's popup. Both read the stop's WebVTT transcriptSrc.
+ * ================================================================================
+ */
+
+import React, { useEffect, useState } from "react";
+
+import { cueTextAt, loadTranscript, transcriptText } from "../utils/webvtt";
+
+// ============================================================================
+// Hooks
+// ============================================================================
+
+/**
+ * Load a transcript's cues
+ * A failed load is tried again the next time it is enabled (e.g. the popup reopened)
+ * @param {string|null} src - transcriptSrc, or null for none
+ * @param {boolean} [enabled=true] - Defer loading until needed (e.g. popup expanded)
+ * @returns {{cues: Array<Object>|null, error: boolean}} Cues once loaded
+ */
+function useTranscript(src, enabled = true) {
+  // Only successful loads are kept, so a failure never stops a later attempt
+  const [loaded, setLoaded] = useState({ src: null, cues: null });
+  const [failedSrc, setFailedSrc] = useState(null);
+
+  useEffect(() => {
+    if (!src || !enabled || loaded.src === src) return undefined;
+    let cancelled = false;
+    setFailedSrc(null);
+    loadTranscript(src)
+      .then((cues) => !cancelled && setLoaded({ src, cues }))
+      .catch((e) => {
+        console.warn("Transcript could not be loaded:", e);
+        if (!cancelled) setFailedSrc(src);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [src, enabled, loaded.src]);
+
+  if (loaded.src === src) return { cues: loaded.cues, error: false };
+  return { cues: null, error: Boolean(src) && failedSrc === src };
+}
+
+// ============================================================================
+// Components
+// ============================================================================
+
+/**
+ * Caption line for the clip playing on the shared audio element
+ * @param {Object} props
+ * @param {Object} props.audioRef - Ref to the Sitemap's shared Audio element
+ * @param {Object} props.poi - Stop being played, with audioSrc and transcriptSrc
+ * @returns {JSX.Element|null}
+ */
+export function AudioCaption({ audioRef, poi }) {
+  const { cues } = useTranscript(poi?.transcriptSrc);
+  const [caption, setCaption] = useState(null);
+
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio || !cues) return undefined;
+    const update = () => setCaption(cueTextAt(cues, audio.currentTime));
+    update();
+    audio.addEventListener("timeupdate", update);
+    audio.addEventListener("seeked", update);
+    return () => {
+      audio.removeEventListener("timeupdate", update);
+      audio.removeEventListener("seeked", update);
+    };
+  }, [audioRef, cues]);
+
+  if (!cues) return null;
+  return (
+    <div
+      data-cy="audio-caption"
+      style={{
+        marginTop: 8,
+        minHeight: "2.6em",
+        padding: "4px 8px",
+        borderRadius: 6,
+        background: "rgba(15,23,42,0.85)",
+        color: "#fff",
+        fontSize: 14,
+        lineHeight: 1.3,
+        maxWidth: 360,
+        whiteSpace: "pre-line",
+      }}
+    >
+      {caption || " "}
+    </div>
+  );
+}
+
+/**
+ * Expandable full transcript, loaded when first opened
+ * @param {Object} props
+ * @param {string} props.src - transcriptSrc
+ * @returns {JSX.Element}
+ */
+export function TranscriptDetails({ src }) {
+  const [open, setOpen] = useState(false);
+  const { cues, error } = useTranscript(src, open);
+
+  return (
+    <details
+      data-cy="popup-transcript"
+      onToggle={(e) => setOpen(e.currentTarget.open)}
+      style={{ marginTop: 8, fontSize: 12 }}
+    >
+      <summary style={{ cursor: "pointer", fontWeight: 600 }}>Transcript</summary>
+      <p style={{ margin: "4px 0 0", lineHeight: 1.4 }}>
+        {error
+          ? "The transcript could not be loaded."
+          : cues
+            ? transcriptText(cues)
+            : "Loading…"}
+      </p>
+    </details>
+  );
+}
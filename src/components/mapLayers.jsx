@@ -0,0 +1,456 @@
+/**
+ * ================================================================================
+ * File: mapLayers.jsx
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Shared map look for the public Sitemap and the map data editor:
+ * marker icons, area and trail styling, base maps and overlays, and area preparation,
+ * so what maintainers edit renders exactly as visitors see it.
+ * ================================================================================
+ */
+
+import L from "leaflet";
+
+import { areaRings } from "../utils/geo";
+import { sanitizeAreaCoords } from "../utils/mapData";
+
+// Import marker images
+import hikingIcon from "../assets/hiking.png";
+import farmIcon from "../assets/farm.png";
+import wellIcon from "../assets/water-well.png";
+import sittingIcon from "../assets/sitting.png";
+import birchIcon from "../assets/birch.png";
+import forestIcon from "../assets/homepage-banner.jpg";
+
+// ============================================================================
+// Icon Configuration
+// ============================================================================
+
+/**
+ * Custom icon for user's current location marker
+ * Uses divIcon for custom styling with gradient and shadow
+ */
+export const userLocationIcon = L.divIcon({
+  className: "user-location-icon",
+  html: `<div style="
+      width: 14px;
+      height: 14px;
+      border-radius: 9999px;
+      border: 2px solid rgba(255,255,255,0.85);
+      background: linear-gradient(135deg, #0ea5e9, #2563eb);
+      box-shadow: 0 0 12px rgba(14,165,233,0.65);
+    "></div>`,
+  iconSize: [18, 18],
+  iconAnchor: [9, 9],
+});
+
+// Default icon configuration for POIs without specific type
+export const DEFAULT_ICON_CONFIG = {
+  image: forestIcon,
+  color: "#ef4444",
+};
+
+// Icon configurations mapped to POI types
+// Each type has custom image and color for visual distinction
+// Keys must match POI_TYPES in utils/mapConstants.js
+export const ICON_CONFIGS = {
+  trailhead: {
+    image: hikingIcon,
+    color: "#10b981",
+  },
+  farmhouse: {
+    image: farmIcon,
+    color: "#8b5cf6",
+  },
+  well: {
+    image: wellIcon,
+    color: "#3b82f6",
+  },
+  sitting: {
+    image: sittingIcon,
+    color: "#f59e0b",
+  },
+  "yellow-birch": {
+    image: birchIcon,
+    color: "#84cc16",
+  },
+  exercise: {
+    image: hikingIcon,
+    color: "#0ea5e9",
+  },
+  telephone: {
+    image: sittingIcon,
+    color: "#f97316",
+  },
+  labyrinth: {
+    image: forestIcon,
+    color: "#14b8a6",
+  },
+};
+
+/**
+ * Create custom Leaflet icon for POI markers
+ * Uses divIcon with HTML/CSS for custom styling per POI type
+ * @param {string} type - POI type (trailhead, well, farmhouse, etc.)
+ * @returns {L.DivIcon} Leaflet divIcon instance
+ */
+export const createCustomIcon = (type) => {
+  const config = ICON_CONFIGS[type] || DEFAULT_ICON_CONFIG;
+
+  return L.divIcon({
+    className: 'custom-div-icon',
+    html: `<div style="
+      background-color: ${config.color};
+      width: 32px;
+      height: 32px;
+      border-radius: 50%;
+      border: 3px solid white;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.3);
+      overflow: hidden;
+    ">
+      <img src="${config.image}" alt="${type}" style="
+        width: 24px;
+        height: 24px;
+        object-fit: cover;
+        border-radius: 50%;
+      " />
+    </div>`,
+    iconSize: [32, 32],
+    iconAnchor: [16, 16],
+  });
+};
+
+/**
+ * Create a numbered marker for printed maps, in the POI type's colour
+ * The number matches the stop's entry in the printed list
+ * @param {string} type - POI type (trailhead, well, farmhouse, etc.)
+ * @param {number} number - Stop number
+ * @returns {L.DivIcon} Leaflet divIcon instance
+ */
+export const createNumberedIcon = (type, number) => {
+  const config = ICON_CONFIGS[type] || DEFAULT_ICON_CONFIG;
+
+  return L.divIcon({
+    className: "numbered-div-icon",
+    html: `<div style="
+      background-color: ${config.color};
+      width: 24px;
+      height: 24px;
+      border-radius: 50%;
+      border: 2px solid white;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.4);
+      color: white;
+      font: 700 12px/1 sans-serif;
+    ">${number}</div>`,
+    iconSize: [24, 24],
+    iconAnchor: [12, 12],
+  });
+};
+
+// ============================================================================
+// Base Maps & Overlays
+// ============================================================================
+
+const OSM_ATTRIBUTION = "&copy; OpenStreetMap contributors";
+
+// Tile providers for the Sitemap's layer switcher; the offline download caches the
+// one in use. Hosts must be listed in TILE_HOSTS in public/sw.js.
+// maxNativeZoom is the deepest zoom a provider serves (Leaflet scales up past it);
+// darkTiles marks maps where black trail and border lines are drawn white instead.
+export const BASE_LAYERS = {
+  standard: {
+    label: "Standard",
+    url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+    attribution: OSM_ATTRIBUTION,
+    maxNativeZoom: 19,
+  },
+  topo: {
+    label: "Topographic",
+    url: "https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png",
+    attribution: `Map data: ${OSM_ATTRIBUTION}, SRTM | Map style: &copy; OpenTopoMap (CC-BY-SA)`,
+    maxNativeZoom: 17,
+  },
+  satellite: {
+    label: "Satellite",
+    url: "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}",
+    attribution: "Tiles &copy; Esri &mdash; Source: Esri, Maxar, Earthstar Geographics",
+    maxNativeZoom: 19,
+    darkTiles: true,
+  },
+  dark: {
+    label: "Dark",
+    url: "https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png",
+    attribution: `${OSM_ATTRIBUTION} &copy; CARTO`,
+    maxNativeZoom: 19,
+    darkTiles: true,
+  },
+  // OSM tiles in greyscale with boosted contrast (see .base-layer-high-contrast in
+  // index.css), so the coloured areas and trails stand out for low-vision visitors
+  highContrast: {
+    label: "High contrast",
+    url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+    attribution: OSM_ATTRIBUTION,
+    maxNativeZoom: 19,
+    className: "base-layer-high-contrast",
+  },
+};
+
+// "auto" follows the site theme: standard in light mode, dark in dark mode
+export const AUTO_BASE_LAYER = "auto";
+const LIGHT_THEME_BASE_LAYER = "standard";
+const DARK_THEME_BASE_LAYER = "dark";
+
+// Base map tiles for the editor and signage, which always use the standard map
+export const TILE_URL = BASE_LAYERS.standard.url;
+
+// Sitemap layers visitors can switch on and off
+export const MAP_OVERLAYS = [
+  { id: "areas", label: "Areas & border" },
+  { id: "trail", label: "Trail" },
+  { id: "pois", label: "Stops" },
+  { id: "hazards", label: "Notices & hazards" },
+];
+
+/**
+ * Base layer to show for a visitor's choice
+ * @param {string} choice - BASE_LAYERS key or AUTO_BASE_LAYER
+ * @param {boolean} dark - Whether the site is in dark mode
+ * @returns {Object} BASE_LAYERS entry plus its id
+ */
+export function resolveBaseLayer(choice, dark) {
+  const id = BASE_LAYERS[choice]
+    ? choice
+    : dark
+      ? DARK_THEME_BASE_LAYER
+      : LIGHT_THEME_BASE_LAYER;
+  return { id, ...BASE_LAYERS[id] };
+}
+
+// Near-black line colours swapped for white on dark base maps
+const DARK_LINE_COLORS = ["#000", "#111"];
+const LIGHT_LINE_COLOR = "#f8fafc";
+
+/**
+ * Adjust path options so black lines stay visible on the base map
+ * @param {Object} pathOptions - Leaflet path options
+ * @param {Object} baseLayer - Result of resolveBaseLayer
+ * @returns {Object} pathOptions, with white in place of black on dark maps
+ */
+export function pathOptionsOnBaseLayer(pathOptions, baseLayer) {
+  if (!baseLayer?.darkTiles || !DARK_LINE_COLORS.includes(pathOptions.color)) {
+    return pathOptions;
+  }
+  return { ...pathOptions, color: LIGHT_LINE_COLOR };
+}
+
+// ============================================================================
+// Layer Styling
+// ============================================================================
+
+// Styling for different conservation areas on map
+export const AREA_STYLES = {
+  rewildingArea: {
+    stroke: "#15803d",
+    fill: "rgba(74, 222, 128, 0.28)",
+    label: "Rewilding Area",
+  },
+  yellowBirchArea: {
+    stroke: "#ca8a04",
+    fill: "rgba(250, 204, 21, 0.25)",
+    label: "Yellow Birch Area",
+  },
+  wetlandArea: {
+    stroke: "#0ea5e9",
+    fill: "rgba(14, 165, 233, 0.18)",
+    label: "Wetland Area",
+  },
+};
+
+// Fallback styling for areas without an entry in AREA_STYLES
+export const DEFAULT_AREA_STYLE = {
+  stroke: "#15803d",
+  fill: "rgba(34,197,94,0.15)",
+};
+
+// Line styling per trail difficulty (colour) and surface (dash pattern)
+export const TRAIL_DIFFICULTY_STYLES = {
+  easy: { color: "#111", label: "Easy" },
+  moderate: { color: "#b45309", label: "Moderate" },
+  difficult: { color: "#b91c1c", label: "Difficult" },
+};
+
+export const TRAIL_SURFACE_STYLES = {
+  gravel: { dashArray: null, label: "Gravel" },
+  dirt: { dashArray: "10 6", label: "Dirt" },
+  roots: { dashArray: "4 6", label: "Roots & rocks" },
+  boardwalk: { dashArray: "14 4 2 4", label: "Boardwalk" },
+};
+
+// Site border outline
+export const SITE_BORDER_PATH_OPTIONS = { color: "#111", weight: 3, opacity: 1 };
+
+// Legend entries for the site border and conservation areas (Sitemap and printed map)
+export const mapLegendItems = [
+  { label: "Site Border", stroke: "#000", variant: "line" },
+  {
+    label: AREA_STYLES.rewildingArea.label,
+    stroke: AREA_STYLES.rewildingArea.stroke,
+    fill: AREA_STYLES.rewildingArea.fill,
+  },
+  {
+    label: AREA_STYLES.yellowBirchArea.label,
+    stroke: AREA_STYLES.yellowBirchArea.stroke,
+    fill: AREA_STYLES.yellowBirchArea.fill,
+  },
+  {
+    label: AREA_STYLES.wetlandArea.label,
+    stroke: AREA_STYLES.wetlandArea.stroke,
+    fill: AREA_STYLES.wetlandArea.fill,
+  },
+];
+
+// Trail notices (src/data/notices.json) by severity
+export const NOTICE_STYLES = {
+  closure: { color: "#b91c1c", label: "Closed", icon: "⛔" },
+  caution: { color: "#d97706", label: "Caution", icon: "⚠️" },
+  info: { color: "#2563eb", label: "Notice", icon: "ℹ️" },
+};
+
+/**
+ * Style entry for a notice's severity, falling back to "info"
+ * @param {Object} notice - Notice with a severity
+ * @returns {Object} NOTICE_STYLES entry
+ */
+export function noticeStyleFor(notice) {
+  return NOTICE_STYLES[notice?.severity] || NOTICE_STYLES.info;
+}
+
+/**
+ * Leaflet path options for a trail notice's point, segment or area
+ * @param {Object} notice - Notice with a severity
+ * @returns {Object} pathOptions
+ */
+export function noticePathOptions(notice) {
+  const { color } = noticeStyleFor(notice);
+  return {
+    color,
+    weight: 6,
+    opacity: 0.9,
+    dashArray: "2 8",
+    fillColor: color,
+    fillOpacity: 0.2,
+  };
+}
+
+/**
+ * Leaflet path options for a conservation area polygon
+ * @param {Object} area - Area from buildAreas (uses area.style)
+ * @returns {Object} Polygon pathOptions
+ */
+export function areaPathOptions(area) {
+  return {
+    color: area.style.stroke,
+    weight: 2.2,
+    fillColor: area.style.fill,
+    fillOpacity: 1,
+  };
+}
+
+/**
+ * Leaflet path options for a trail segment: colour by difficulty, dashes by surface
+ * @param {Object} seg - Sanitized trail segment
+ * @returns {Object} Polyline pathOptions
+ */
+export function trailSegmentPathOptions(seg) {
+  return {
+    color: TRAIL_DIFFICULTY_STYLES[seg.difficulty]?.color || "#111",
+    dashArray: TRAIL_SURFACE_STYLES[seg.surface]?.dashArray || null,
+    weight: 4,
+    opacity: 0.9,
+  };
+}
+
+/**
+ * Legend entries for the difficulty and surface combinations some segments use
+ * @param {Array<Object>} segments - Sanitized trail segments
+ * @returns {Array<Object>} Entries { key, label, color, dashArray }, in first-use order
+ */
+export function trailLegendItemsFor(segments) {
+  const items = [];
+  const seen = new Set();
+  segments.forEach((seg) => {
+    const key = `${seg.difficulty}|${seg.surface}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    const difficulty = TRAIL_DIFFICULTY_STYLES[seg.difficulty];
+    const surface = TRAIL_SURFACE_STYLES[seg.surface];
+    items.push({
+      key,
+      label: [difficulty?.label, surface?.label].filter(Boolean).join(" · ") || "Trail",
+      color: difficulty?.color || "#111",
+      dashArray: surface?.dashArray || null,
+    });
+  });
+  return items;
+}
+
+/**
+ * Tooltip text for a trail segment, e.g. "Farmhouse to Yellow Birch · Dirt · Easy"
+ * @param {Object} seg - Sanitized trail segment
+ * @param {string} trailName - Fallback when the segment has no name
+ * @returns {string} Label
+ */
+export function trailSegmentLabel(seg, trailName) {
+  return [
+    seg.name || trailName,
+    TRAIL_SURFACE_STYLES[seg.surface]?.label,
+    TRAIL_DIFFICULTY_STYLES[seg.difficulty]?.label,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+// ============================================================================
+// Area Preparation
+// ============================================================================
+
+/**
+ * Turn the map.json areas object into styled, sanitized areas
+ * siteBorder is drawn separately and is skipped here
+ * @param {Object} rawAreas - map.json areas ({ id: ring, polygon with holes or multipolygon })
+ * @returns {Array<Object>} Areas with id, name, style and coords (polygons, each
+ * [outer ring, ...holes], ready for a Leaflet Polygon)
+ */
+export function buildAreas(rawAreas) {
+  const areaEntries = Object.entries(rawAreas || {}).filter(
+    ([key, value]) => key !== "siteBorder" && Array.isArray(value)
+  );
+
+  return areaEntries
+    .map(([key, coords]) => ({
+      id: key,
+      name:
+        AREA_STYLES[key]?.label ||
+        key.replace(/([A-Z])/g, " $1").replace(/^./, (str) => str.toUpperCase()),
+      style: AREA_STYLES[key] || DEFAULT_AREA_STYLE,
+      coords: sanitizeAreaCoords(coords),
+    }))
+    .filter((a) => a.coords.length > 0);
+}
+
+/**
+ * Closed outlines for drawing the site border as lines
+ * Every parcel and hole gets its own outline
+ * @param {Array} siteBorder - Result of readSiteBorder
+ * @returns {Array<Array<Array<number>>>} Closed rings for a Leaflet Polyline
+ */
+export function borderOutlines(siteBorder) {
+  return areaRings(siteBorder)
+    .filter((ring) => ring.length > 1)
+    .map((ring) => [...ring, ring[0]]);
+}
@@ -11,6 +11,7 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { registerServiceWorker } from './utils/offline';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -18,3 +19,6 @@ root.render(
     <App />
   </React.StrictMode>
 );
+
+// Offline trail map: tiles and audio are served by public/sw.js once downloaded
+registerServiceWorker();
@@ -0,0 +1,94 @@
+/**
+ * ================================================================================
+ * File: dataValidation.js
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Every check a map.json must pass: its JSON schema, the map data
+ * checks, transcript files, habitats against ecologydata.json and notices.json
+ * against the map. Shared by the build (plugins/validateDataPlugin.js) and the map
+ * data editor, so the editor never offers a file the build would reject.
+ * ================================================================================
+ */
+
+import { validateMapData } from "./mapData";
+import { validateHabitats } from "./habitats";
+import { validateNotices } from "./notices";
+import { parseWebVTT } from "./webvtt";
+
+/**
+ * Format Ajv errors as readable lines, e.g. "/pois/3/lat must be number"
+ * @param {Array<Object>} errors - Ajv error objects
+ * @returns {Array<string>} Messages
+ */
+export function formatSchemaErrors(errors = []) {
+  return errors.map((err) => {
+    const where = err.instancePath || "(root)";
+    const extra =
+      err.keyword === "additionalProperties"
+        ? ` ("${err.params.additionalProperty}")`
+        : err.keyword === "enum"
+          ? ` (${err.params.allowedValues.join(", ")})`
+          : "";
+    return `${where} ${err.message}${extra}`;
+  });
+}
+
+/**
+ * transcriptSrc paths used by map.json POIs
+ * @param {Object} data - Parsed map.json
+ * @returns {Array<string>} Unique paths, e.g. "/captions/labyrinth.vtt"
+ */
+export function transcriptSources(data) {
+  const pois = Array.isArray(data?.pois) ? data.pois : [];
+  return Array.from(
+    new Set(
+      pois
+        .map((poi) => poi?.transcriptSrc)
+        .filter((src) => typeof src === "string" && src)
+    )
+  );
+}
+
+/**
+ * Check that each POI's transcript is a readable WebVTT file
+ * @param {Object} data - Parsed map.json
+ * @param {Object} transcripts - transcriptSrc -> file text, or null when the file is missing;
+ *   transcripts not read yet are left out and skipped
+ * @returns {Array<string>} Error messages
+ */
+function transcriptErrors(data, transcripts) {
+  return (Array.isArray(data?.pois) ? data.pois : [])
+    .filter((poi) => typeof poi?.transcriptSrc === "string" && poi.transcriptSrc)
+    .flatMap((poi) => {
+      const label = `POI "${poi.id}" transcript ${poi.transcriptSrc}`;
+      const text = transcripts[poi.transcriptSrc];
+      if (text === undefined) return [];
+      if (text === null) return [`${label} is missing from public/.`];
+      try {
+        if (!parseWebVTT(text).length) return [`${label} has no cues.`];
+      } catch (e) {
+        return [`${label}: ${e.message}`];
+      }
+      return [];
+    });
+}
+
+/**
+ * Run every check a map.json must pass
+ * Schema errors are returned on their own, since the other checks assume the shape
+ * @param {Object} data - Parsed map.json
+ * @param {Object} context
+ * @param {Function} context.checkSchema - Compiled Ajv validator for map.schema.json
+ * @param {Object} context.transcripts - transcriptSrc -> file text, or null when missing
+ * @param {Object} context.ecologyData - Parsed ecologydata.json
+ * @param {Object} context.notices - Parsed notices.json
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateMapFile(data, { checkSchema, transcripts, ecologyData, notices }) {
+  if (!checkSchema(data)) return formatSchemaErrors(checkSchema.errors);
+  return [
+    ...validateMapData(data),
+    ...transcriptErrors(data, transcripts),
+    ...validateHabitats(data, ecologyData),
+    ...validateNotices(notices, data),
+  ];
+}
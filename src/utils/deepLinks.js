@@ -0,0 +1,20 @@
+/**
+ * ================================================================================
+ * File: deepLinks.js
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Shareable Sitemap URLs that open the map focused on one POI or area
+ * (/sitemap?poi=<id>, /sitemap?area=<id>). Used by popup "Copy link" buttons and
+ * the printable QR signage sheet.
+ * ================================================================================
+ */
+
+/**
+ * Build a link that opens the Sitemap focused on one feature
+ * @param {"poi"|"area"} kind - Feature kind (query parameter name)
+ * @param {string} id - POI or area id from map.json
+ * @param {string} [origin=window.location.origin] - Site origin, e.g. https://example.org
+ * @returns {string} Absolute URL, e.g. https://example.org/sitemap?poi=labyrinth
+ */
+export function buildDeepLink(kind, id, origin = window.location.origin) {
+  return `${origin.replace(/\/+$/, "")}/sitemap?${kind}=${encodeURIComponent(id)}`;
+}
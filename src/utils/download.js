@@ -0,0 +1,27 @@
+/**
+ * ================================================================================
+ * File: download.js
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Browser helper for saving generated text (GeoJSON, GPX, etc.) as a
+ * file download without a server round-trip.
+ * ================================================================================
+ */
+
+/**
+ * Trigger a browser download of text content
+ * @param {string} filename - Suggested file name
+ * @param {string} text - File contents
+ * @param {string} [mimeType="text/plain"] - MIME type for the Blob
+ */
+export function downloadTextFile(filename, text, mimeType = "text/plain") {
+  const blob = new Blob([text], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke on next tick so the download has started before the URL is released
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -2,12 +2,27 @@
  * ================================================================================
  * File: geo.js
  * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
- * Description: Geospatial utility functions for calculating distances, point-in-polygon
- * tests, and finding nearest points of interest. Used by map components for location
- * services and proximity detection.
+ * Description: Geospatial utility functions for calculating distances, bearings,
+ * destination points, point-in-area tests (including areas with holes or several
+ * parts), polygon area and centroid, polyline snapping, along-path distance and
+ * simplification, and finding nearest points of interest. Used by map components
+ * for location services and proximity detection.
  * ================================================================================
  */
 
+// ============================================================================
+// Constants
+// ============================================================================
+
+// Earth's mean radius in meters
+const EARTH_RADIUS_METERS = 6371000;
+
+// Acres in one hectare
+const ACRES_PER_HECTARE = 2.4710538;
+
+const toRad = (d) => (d * Math.PI) / 180;
+const toDeg = (r) => (r * 180) / Math.PI;
+
 // ============================================================================
 // Distance Calculations
 // ============================================================================
@@ -22,9 +37,6 @@
  * @returns {number} Distance in meters
  */
 export function haversineMeters(lat1, lon1, lat2, lon2) {
-  const toRad = (d) => (d * Math.PI) / 180;
-  // Earth's radius in meters (mean radius)
-  const R = 6371000;
   const dLat = toRad(lat2 - lat1);
   const dLon = toRad(lon2 - lon1);
   // Haversine formula: a = sin²(Δlat/2) + cos(lat1) * cos(lat2) * sin²(Δlon/2)
@@ -32,7 +44,67 @@ export function haversineMeters(lat1, lon1, lat2, lon2) {
     Math.sin(dLat / 2) ** 2 +
     Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
   const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
+  return EARTH_RADIUS_METERS * c;
+}
+
+// ============================================================================
+// Direction Calculations
+// ============================================================================
+
+// 8-point compass labels, clockwise from north
+const COMPASS_POINTS = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+
+/**
+ * Calculate initial great-circle bearing from first point to second point
+ * @param {number} lat1 - Latitude of start point
+ * @param {number} lon1 - Longitude of start point
+ * @param {number} lat2 - Latitude of end point
+ * @param {number} lon2 - Longitude of end point
+ * @returns {number} Bearing in degrees clockwise from true north (0-360)
+ */
+export function initialBearingDegrees(lat1, lon1, lat2, lon2) {
+  const phi1 = toRad(lat1);
+  const phi2 = toRad(lat2);
+  const dLon = toRad(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(phi2);
+  const x =
+    Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+  // atan2 gives -180..180; normalise to a 0..360 compass bearing
+  return (toDeg(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * Find the point reached by travelling a distance along a great circle
+ * @param {number} lat - Latitude of start point
+ * @param {number} lon - Longitude of start point
+ * @param {number} bearing - Initial bearing in degrees clockwise from true north
+ * @param {number} distanceMeters - Distance to travel
+ * @returns {Object} Destination {lat, lng}, longitude normalised to -180..180
+ */
+export function destinationPoint(lat, lon, bearing, distanceMeters) {
+  const delta = distanceMeters / EARTH_RADIUS_METERS; // Angular distance
+  const theta = toRad(bearing);
+  const phi1 = toRad(lat);
+  const phi2 = Math.asin(
+    Math.sin(phi1) * Math.cos(delta) + Math.cos(phi1) * Math.sin(delta) * Math.cos(theta)
+  );
+  const lambda2 =
+    toRad(lon) +
+    Math.atan2(
+      Math.sin(theta) * Math.sin(delta) * Math.cos(phi1),
+      Math.cos(delta) - Math.sin(phi1) * Math.sin(phi2)
+    );
+  return { lat: toDeg(phi2), lng: ((toDeg(lambda2) + 540) % 360) - 180 };
+}
+
+/**
+ * Convert a bearing to an 8-point compass label
+ * @param {number} bearing - Bearing in degrees
+ * @returns {string} Compass label (N, NE, E, ...)
+ */
+export function compassDirection(bearing) {
+  const index = Math.round((((bearing % 360) + 360) % 360) / 45) % 8;
+  return COMPASS_POINTS[index];
 }
 
 // ============================================================================
@@ -78,27 +150,133 @@ export function pointInPolygon(point, polygon) {
 export function distanceToPolygonMeters(point, polygon) {
   // If point is inside polygon, distance is zero
   if (pointInPolygon(point, polygon)) return 0;
+  return _distanceToRingEdgesMeters(point, polygon);
+}
 
+/**
+ * Calculate distance from point to the nearest edge of a ring (internal helper)
+ * @param {Object} p - Point {lat, lng}
+ * @param {Array<Array<number>>} ring - Array of [lat, lng] coordinate pairs
+ * @returns {number} Distance in meters
+ */
+function _distanceToRingEdgesMeters(p, ring) {
   // Find minimum distance to any polygon edge segment
   let min = Infinity;
-  for (let i = 0; i < polygon.length; i++) {
-    const a = polygon[i];
-    const b = polygon[(i + 1) % polygon.length]; // Wrap to first point for last edge
-    const d = _distancePointToSegmentMeters(point, a, b);
+  for (let i = 0; i < ring.length; i++) {
+    const a = ring[i];
+    const b = ring[(i + 1) % ring.length]; // Wrap to first point for last edge
+    const d = _distancePointToSegmentMeters(p, a, b);
     if (d < min) min = d;
   }
   return min;
 }
 
+/**
+ * Calculate the area enclosed by one ring on the sphere (internal helper)
+ * The ring may be open or closed (first point repeated) and in either winding order
+ * @param {Array<Array<number>>} ring - Array of [lat, lng] coordinate pairs
+ * @returns {number} Area in square meters (0 for fewer than three points)
+ */
+function _ringAreaSquareMeters(ring) {
+  if (!Array.isArray(ring) || ring.length < 3) return 0;
+  // Spherical excess summed edge by edge: R²/2 · Σ (λ2 − λ1)(2 + sin φ1 + sin φ2)
+  let sum = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lat1, lng1] = ring[j];
+    const [lat2, lng2] = ring[i];
+    sum += toRad(lng2 - lng1) * (2 + Math.sin(toRad(lat1)) + Math.sin(toRad(lat2)));
+  }
+  return Math.abs((sum * EARTH_RADIUS_METERS * EARTH_RADIUS_METERS) / 2);
+}
+
+/**
+ * Calculate the area enclosed by a polygon on the sphere
+ * Holes are subtracted and the parts of a multi-part area added together
+ * @param {Array} polygon - Ring, polygon with holes or multipolygon (see toMultiPolygon)
+ * @returns {number} Area in square meters (0 for fewer than three points)
+ */
+export function polygonAreaSquareMeters(polygon) {
+  return toMultiPolygon(polygon).reduce((total, [outer, ...holes]) => {
+    const holeArea = holes.reduce((sum, hole) => sum + _ringAreaSquareMeters(hole), 0);
+    return total + Math.max(0, _ringAreaSquareMeters(outer) - holeArea);
+  }, 0);
+}
+
+/**
+ * Calculate the area enclosed by a polygon in hectares
+ * @param {Array} polygon - Ring, polygon with holes or multipolygon (see toMultiPolygon)
+ * @returns {number} Area in hectares
+ */
+export function polygonAreaHectares(polygon) {
+  return polygonAreaSquareMeters(polygon) / 10000;
+}
+
+/**
+ * Convert hectares to acres
+ * @param {number} hectares - Area in hectares
+ * @returns {number} Area in acres
+ */
+export function hectaresToAcres(hectares) {
+  return hectares * ACRES_PER_HECTARE;
+}
+
+/**
+ * Find the centroid (centre of mass) of a polygon
+ * Uses a local flat projection around the first vertex, which is accurate at
+ * conservation-site scale. Falls back to the vertex average for degenerate rings.
+ * @param {Array<Array<number>>} polygon - Array of [lat, lng] coordinate pairs
+ * @returns {Object|null} Centroid {lat, lng}, or null if polygon is empty
+ */
+export function polygonCentroid(polygon) {
+  if (!Array.isArray(polygon) || !polygon.length) return null;
+  const [lat0, lng0] = polygon[0];
+  const lonScale = Math.cos(toRad(lat0));
+  const xy = polygon.map(([lat, lng]) => [(lng - lng0) * lonScale, lat - lat0]);
+
+  // Shoelace formula for signed area and first moments
+  let area2 = 0;
+  let cx = 0;
+  let cy = 0;
+  for (let i = 0, j = xy.length - 1; i < xy.length; j = i++) {
+    const cross = xy[j][0] * xy[i][1] - xy[i][0] * xy[j][1];
+    area2 += cross;
+    cx += (xy[j][0] + xy[i][0]) * cross;
+    cy += (xy[j][1] + xy[i][1]) * cross;
+  }
+
+  if (Math.abs(area2) < 1e-15) {
+    const n = polygon.length;
+    return {
+      lat: polygon.reduce((sum, p) => sum + p[0], 0) / n,
+      lng: polygon.reduce((sum, p) => sum + p[1], 0) / n,
+    };
+  }
+  return {
+    lat: lat0 + cy / (3 * area2),
+    lng: lng0 + cx / (3 * area2) / lonScale,
+  };
+}
+
 /**
  * Calculate distance from point to line segment (internal helper)
- * Uses equirectangular projection for local coordinate conversion
  * @param {Object} p - Point {lat, lng}
  * @param {Array<number>} a - Segment start [lat, lng]
  * @param {Array<number>} b - Segment end [lat, lng]
  * @returns {number} Distance in meters
  */
 function _distancePointToSegmentMeters(p, a, b) {
+  return _projectPointToSegment(p, a, b).distance;
+}
+
+/**
+ * Project point onto line segment (internal helper)
+ * Uses equirectangular projection for local coordinate conversion
+ * @param {Object} p - Point {lat, lng}
+ * @param {Array<number>} a - Segment start [lat, lng]
+ * @param {Array<number>} b - Segment end [lat, lng]
+ * @returns {Object} Closest point {lat, lng}, segment fraction t and distance in meters
+ */
+function _projectPointToSegment(p, a, b) {
   // Convert lat/lng to approximate meters using equirectangular projection
   // This is accurate for small distances (conservation site scale)
   const latScale = 111320; // meters per degree latitude (constant globally)
@@ -127,18 +305,210 @@ function _distancePointToSegmentMeters(p, a, b) {
   // Distance from point to closest point on segment
   const dx = px - cx;
   const dy = py - cy;
-  return Math.sqrt(dx * dx + dy * dy);
+  return {
+    lat: cy / latScale,
+    lng: cx / lonScale,
+    t,
+    distance: Math.sqrt(dx * dx + dy * dy),
+  };
+}
+
+// ============================================================================
+// Area Operations (holes and multi-part areas)
+// ============================================================================
+
+/**
+ * Count how deeply coordinates are nested (internal helper)
+ * @param {*} coords - Candidate area coordinates
+ * @returns {number} 2 for a ring, 3 for a polygon with holes, 4 for a multipolygon
+ */
+function _nestingDepth(coords) {
+  let depth = 0;
+  for (let value = coords; Array.isArray(value); value = value[0]) depth++;
+  return depth;
+}
+
+/**
+ * Normalise area coordinates to a list of polygons, each [outer ring, ...holes]
+ * Areas may be written as a single ring, a polygon with holes ([outer, hole, ...])
+ * or a multipolygon ([[outer, hole, ...], ...]), the same nesting Leaflet accepts
+ * @param {Array} coords - Area coordinates with [lat, lng] pairs
+ * @returns {Array<Array<Array<Array<number>>>>} Polygons (empty for no coordinates)
+ */
+export function toMultiPolygon(coords) {
+  if (!Array.isArray(coords) || !coords.length) return [];
+  const depth = _nestingDepth(coords);
+  if (depth <= 2) return [[coords]];
+  if (depth === 3) return [coords];
+  return coords;
+}
+
+/**
+ * List every ring of an area, outer rings and holes alike
+ * Used for bounds and for drawing outlines
+ * @param {Array} coords - Ring, polygon with holes or multipolygon
+ * @returns {Array<Array<Array<number>>>} Rings of [lat, lng] pairs
+ */
+export function areaRings(coords) {
+  return toMultiPolygon(coords).flat();
+}
+
+/**
+ * Determine if a point is inside an area
+ * Inside means within the outer ring of some part and not within any of its holes
+ * @param {Object} point - Point object with lat and lng properties
+ * @param {Array} coords - Ring, polygon with holes or multipolygon
+ * @returns {boolean} True if point is inside the area
+ */
+export function pointInArea(point, coords) {
+  return toMultiPolygon(coords).some(
+    ([outer, ...holes]) =>
+      pointInPolygon(point, outer) && !holes.some((hole) => pointInPolygon(point, hole))
+  );
+}
+
+/**
+ * Calculate minimum distance from point to an area
+ * Returns 0 inside the area; a point in a hole is measured to the hole's edge
+ * @param {Object} point - Point object with lat and lng properties
+ * @param {Array} coords - Ring, polygon with holes or multipolygon
+ * @returns {number} Distance in meters (Infinity for an empty area)
+ */
+export function distanceToAreaMeters(point, coords) {
+  if (pointInArea(point, coords)) return 0;
+  return areaRings(coords).reduce(
+    (min, ring) => Math.min(min, _distanceToRingEdgesMeters(point, ring)),
+    Infinity
+  );
+}
+
+// ============================================================================
+// Polyline Operations
+// ============================================================================
+
+/**
+ * Calculate total length of a polyline
+ * @param {Array<Array<number>>} line - Array of [lat, lng] coordinate pairs
+ * @returns {number} Length in meters
+ */
+export function polylineLengthMeters(line) {
+  if (!Array.isArray(line)) return 0;
+  let total = 0;
+  for (let i = 1; i < line.length; i++) {
+    total += haversineMeters(line[i - 1][0], line[i - 1][1], line[i][0], line[i][1]);
+  }
+  return total;
+}
+
+/**
+ * Format a distance for display
+ * @param {number} meters - Distance in meters
+ * @returns {string} e.g. "85 m" or "1.2 km"
+ */
+export function formatDistance(meters) {
+  if (meters >= 1000) return `${(meters / 1000).toFixed(1)} km`;
+  return `${Math.round(meters)} m`;
+}
+
+/**
+ * Find the closest point on a polyline to a given point
+ * Used to snap trail markers onto the walked footpath geometry and to measure
+ * how far along the trail a visitor or stop is
+ * @param {Object} point - Point object with lat and lng properties
+ * @param {Array<Array<number>>} line - Array of [lat, lng] coordinate pairs
+ * @returns {Object|null} Object with lat, lng, distance (meters from point), segmentIndex and
+ * alongMeters (distance from line start to the closest point), or null if line is empty
+ */
+export function nearestPointOnPolyline(point, line) {
+  if (!point || !Array.isArray(line) || !line.length) return null;
+  if (line.length === 1) {
+    return {
+      lat: line[0][0],
+      lng: line[0][1],
+      distance: haversineMeters(point.lat, point.lng, line[0][0], line[0][1]),
+      segmentIndex: 0,
+      alongMeters: 0,
+    };
+  }
+
+  let best = null;
+  let walked = 0; // Length of the segments before the current one
+  for (let i = 0; i < line.length - 1; i++) {
+    const segLength = haversineMeters(line[i][0], line[i][1], line[i + 1][0], line[i + 1][1]);
+    const proj = _projectPointToSegment(point, line[i], line[i + 1]);
+    if (!best || proj.distance < best.distance) {
+      best = {
+        lat: proj.lat,
+        lng: proj.lng,
+        distance: proj.distance,
+        segmentIndex: i,
+        alongMeters: walked + proj.t * segLength,
+      };
+    }
+    walked += segLength;
+  }
+  return best;
+}
+
+/**
+ * Simplify a polyline with the Douglas–Peucker algorithm
+ * Keeps the end points and every vertex needed to stay within the tolerance
+ * @param {Array<Array<number>>} line - Array of [lat, lng] coordinate pairs
+ * @param {number} toleranceMeters - Largest allowed distance from the original line
+ * @returns {Array<Array<number>>} Simplified line (a subset of the input points)
+ */
+export function simplifyPolyline(line, toleranceMeters) {
+  if (!Array.isArray(line) || line.length < 3) return Array.isArray(line) ? [...line] : [];
+  const keep = new Array(line.length).fill(false);
+  keep[0] = true;
+  keep[line.length - 1] = true;
+
+  // Iterative to avoid deep recursion on long GPS tracks
+  const stack = [[0, line.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const point = { lat: line[i][0], lng: line[i][1] };
+      const d = _distancePointToSegmentMeters(point, line[first], line[last]);
+      if (d > maxDistance) {
+        maxDistance = d;
+        index = i;
+      }
+    }
+    if (index !== -1 && maxDistance > toleranceMeters) {
+      keep[index] = true;
+      stack.push([first, index], [index, last]);
+    }
+  }
+  return line.filter((_, i) => keep[i]);
 }
 
 // ============================================================================
 // Point of Interest (POI) Operations
 // ============================================================================
 
+/**
+ * Extra trigger distance granted for GPS uncertainty
+ * Capped at the radius itself, so a poor fix can at most double the trigger zone
+ * instead of firing every stop in the woods
+ * @param {number|undefined} accuracyMeters - Reported position accuracy (1 sigma)
+ * @param {number} radiusMeters - Nominal trigger radius
+ * @returns {number} Slack in meters to add to the radius
+ */
+export function accuracySlackMeters(accuracyMeters, radiusMeters) {
+  if (typeof accuracyMeters !== "number" || !(accuracyMeters > 0)) return 0;
+  return Math.min(accuracyMeters, radiusMeters);
+}
+
 /**
  * Find nearest point of interest within specified radius
  * Used by map component to detect when user is near trail markers
+ * If the user location carries an accuracy, the radius is widened by
+ * accuracySlackMeters so a true arrival is not missed because of GPS error
  * @param {Array<Object>} pois - Array of POI objects with lat and lng properties
- * @param {Object} user - User location object with lat and lng properties
+ * @param {Object} user - User location object with lat, lng and optional accuracy (meters)
  * @param {number} radiusMeters - Search radius in meters
  * @returns {Object|null} Object with poi and distance properties, or null if none found
  */
@@ -148,19 +518,65 @@ export function getClosestPoiWithinRadius(pois, user, radiusMeters) {
   
   let closest = null;
   let best = Infinity;
+  const effectiveRadius = radiusMeters + accuracySlackMeters(user.accuracy, radiusMeters);
 
-  // Linear search through all POIs to find closest within radius
-  // For small POI sets (<100), linear search is faster than spatial indexing
+  // Linear search through the given POIs; callers with many points pass only the
+  // candidates from a spatial index (see spatialIndex.js)
   for (const poi of pois) {
     // Skip POIs with invalid coordinates
     if (typeof poi.lat !== "number" || typeof poi.lng !== "number") continue;
     
     const d = haversineMeters(user.lat, user.lng, poi.lat, poi.lng);
     // Update closest if within radius and closer than previous best
-    if (d <= radiusMeters && d < best) {
+    if (d <= effectiveRadius && d < best) {
       best = d;
       closest = { poi, distance: d };
     }
   }
   return closest;
 }
+
+// ============================================================================
+// Hazard Proximity
+// ============================================================================
+
+/**
+ * Calculate distance from a point to a hazard geometry
+ * @param {Object} point - Point object with lat and lng properties
+ * @param {Object} geometry - { type: "point", lat, lng }, { type: "line", coords }
+ * or { type: "polygon", coords } with [lat, lng] pairs (polygon coords may have
+ * holes or several parts, see toMultiPolygon)
+ * @returns {number} Distance in meters (0 inside a polygon), Infinity for unknown geometry
+ */
+export function distanceToGeometryMeters(point, geometry) {
+  if (!geometry) return Infinity;
+  if (geometry.type === "point") {
+    return haversineMeters(point.lat, point.lng, geometry.lat, geometry.lng);
+  }
+  if (geometry.type === "line") {
+    const snap = nearestPointOnPolyline(point, geometry.coords);
+    return snap ? snap.distance : Infinity;
+  }
+  if (geometry.type === "polygon" && geometry.coords?.length) {
+    return distanceToAreaMeters(point, geometry.coords);
+  }
+  return Infinity;
+}
+
+/**
+ * Find hazards a tracking visitor is approaching
+ * The radius is widened by accuracySlackMeters like the Talking Trees check, so a
+ * poor fix errs towards warning
+ * @param {Array<Object>} hazards - Objects with a geometry (see distanceToGeometryMeters)
+ * @param {Object} user - User location object with lat, lng and optional accuracy (meters)
+ * @param {number} radiusMeters - Warning distance in meters
+ * @returns {Array<Object>} { hazard, distance } entries, nearest first
+ */
+export function getHazardsWithinRadius(hazards, user, radiusMeters) {
+  if (!user || !Array.isArray(hazards) || !hazards.length) return [];
+  const effectiveRadius = radiusMeters + accuracySlackMeters(user.accuracy, radiusMeters);
+  return hazards
+    .map((hazard) => ({ hazard, distance: distanceToGeometryMeters(user, hazard.geometry) }))
+    .filter(({ distance }) => distance <= effectiveRadius)
+    .sort((a, b) => a.distance - b.distance);
+}
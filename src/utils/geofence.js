@@ -0,0 +1,104 @@
+/**
+ * ================================================================================
+ * File: geofence.js
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: POI and area geofence tracking with hysteresis, so GPS jitter around
+ * a boundary does not repeatedly trigger Talking Trees audio or habitat cards.
+ * ================================================================================
+ */
+
+import {
+  haversineMeters,
+  accuracySlackMeters,
+  pointInArea,
+  distanceToAreaMeters,
+} from "./geo";
+
+/**
+ * Update which POI geofences the user is inside
+ * A POI is entered when the user comes within enterMeters and is only left once
+ * the user moves beyond exitMeters, so small position wobbles never re-trigger it.
+ * Both radii are widened by the fix accuracy (see accuracySlackMeters).
+ * pois may be just the candidates near the user (e.g. from a spatial index); a POI
+ * the user was inside that is missing from the list counts as left.
+ * @param {Set<string>} previousInside - POI ids the user was inside on the last fix
+ * @param {Array<Object>} pois - POIs with id, lat and lng
+ * @param {Object|null} user - User location {lat, lng, accuracy?}
+ * @param {Object} radii
+ * @param {number} radii.enterMeters - Distance at which a geofence is entered
+ * @param {number} radii.exitMeters - Distance beyond which a geofence is left (>= enterMeters)
+ * @returns {Object} { inside: Set of ids, entered: ids newly entered (closest first), exited: ids left }
+ */
+export function updateGeofences(previousInside, pois, user, { enterMeters, exitMeters }) {
+  const inside = new Set();
+  const entered = [];
+  const exited = [];
+  const enterRadius = enterMeters + accuracySlackMeters(user?.accuracy, enterMeters);
+  const exitRadius =
+    Math.max(exitMeters, enterMeters) + accuracySlackMeters(user?.accuracy, exitMeters);
+
+  if (!user || !Array.isArray(pois)) {
+    previousInside.forEach((id) => exited.push(id));
+    return { inside, entered, exited };
+  }
+
+  pois.forEach((poi) => {
+    if (!poi?.id || typeof poi.lat !== "number" || typeof poi.lng !== "number") return;
+    const d = haversineMeters(user.lat, user.lng, poi.lat, poi.lng);
+    const wasInside = previousInside.has(poi.id);
+    if (wasInside ? d <= exitRadius : d <= enterRadius) {
+      inside.add(poi.id);
+      if (!wasInside) entered.push({ id: poi.id, distance: d });
+    } else if (wasInside) {
+      exited.push(poi.id);
+    }
+  });
+
+  previousInside.forEach((id) => {
+    if (!inside.has(id) && !exited.includes(id)) exited.push(id);
+  });
+
+  // Overlapping geofences entered on the same fix are queued nearest first
+  entered.sort((a, b) => a.distance - b.distance);
+  return { inside, entered: entered.map((e) => e.id), exited };
+}
+
+/**
+ * Update which areas (habitat polygons) the user is inside
+ * An area is entered when the fix falls inside its polygon and is only left once
+ * the user is more than exitMeters (widened by the fix accuracy) outside it.
+ * @param {Set<string>} previousInside - Area ids the user was inside on the last fix
+ * @param {Array<Object>} areas - Areas with id and coords (a [lat, lng] ring, or
+ * polygons with holes or several parts as from buildAreas)
+ * @param {Object|null} user - User location {lat, lng, accuracy?}
+ * @param {Object} options
+ * @param {number} options.exitMeters - Distance outside an area before it is left
+ * @returns {Object} { inside: Set of ids, entered: ids newly entered, exited: ids left }
+ */
+export function updateAreaGeofences(previousInside, areas, user, { exitMeters }) {
+  const inside = new Set();
+  const entered = [];
+  const exited = [];
+
+  if (!user || !Array.isArray(areas)) {
+    previousInside.forEach((id) => exited.push(id));
+    return { inside, entered, exited };
+  }
+
+  const exitRadius = exitMeters + accuracySlackMeters(user.accuracy, exitMeters);
+  areas.forEach((area) => {
+    if (!area?.id || !Array.isArray(area.coords) || !area.coords.length) return;
+    const wasInside = previousInside.has(area.id);
+    const isInside = wasInside
+      ? distanceToAreaMeters(user, area.coords) <= exitRadius
+      : pointInArea(user, area.coords);
+    if (isInside) {
+      inside.add(area.id);
+      if (!wasInside) entered.push(area.id);
+    } else if (wasInside) {
+      exited.push(area.id);
+    }
+  });
+
+  return { inside, entered, exited };
+}
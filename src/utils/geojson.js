@@ -0,0 +1,230 @@
+/**
+ * ================================================================================
+ * File: geojson.js
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Converts the custom map.json shape (areas, POIs, trails) to a standard
+ * GeoJSON FeatureCollection and back, carrying its other keys (settings, habitats,
+ * routes) along unchanged, so map data can be edited in QGIS or geojson.io.
+ * map.json stores coordinates as [lat, lng]; GeoJSON uses [lng, lat].
+ * ================================================================================
+ */
+
+import { toMultiPolygon } from "./geo";
+import { compactAreaCoords } from "./mapData";
+
+// Feature "kind" property values used to tell map.json entities apart on import
+export const FEATURE_KINDS = {
+  AREA: "area",
+  POI: "poi",
+  TRAIL_SEGMENT: "trail-segment",
+};
+
+// Top-level map.json keys converted to features; every other key (settings, habitats,
+// routes) is carried on the FeatureCollection as the "mapSettings" foreign member
+const FEATURE_KEYS = ["areas", "pois", "trails"];
+
+// ============================================================================
+// Coordinate Helpers
+// ============================================================================
+
+/**
+ * Swap a map.json [lat, lng] pair to a GeoJSON [lng, lat] position
+ * @param {Array<number>} pair - [lat, lng]
+ * @returns {Array<number>} [lng, lat]
+ */
+const toPosition = ([lat, lng]) => [lng, lat];
+
+/**
+ * Swap a GeoJSON [lng, lat] position to a map.json [lat, lng] pair
+ * Drops altitude if present
+ * @param {Array<number>} position - [lng, lat(, alt)]
+ * @returns {Array<number>} [lat, lng]
+ */
+const fromPosition = ([lng, lat]) => [lat, lng];
+
+const samePoint = (a, b) => a && b && a[0] === b[0] && a[1] === b[1];
+
+/**
+ * Convert an open or closed [lat, lng] ring to a closed GeoJSON linear ring
+ * GeoJSON requires the first and last positions to be identical
+ * @param {Array<Array<number>>} ring - Array of [lat, lng] pairs
+ * @returns {Array<Array<number>>} Closed ring of [lng, lat] positions
+ */
+function toLinearRing(ring) {
+  const positions = ring.map(toPosition);
+  if (positions.length && !samePoint(positions[0], positions[positions.length - 1])) {
+    positions.push(positions[0]);
+  }
+  return positions;
+}
+
+/**
+ * Convert a GeoJSON linear ring back to map.json [lat, lng] pairs
+ * The closing position is dropped because the map renderer closes rings itself,
+ * unless the ring was closed in map.json too
+ * @param {Array<Array<number>>} ring - Closed ring of [lng, lat] positions
+ * @param {boolean} [keepClosing=false] - Keep the closing position
+ * @returns {Array<Array<number>>} Ring of [lat, lng] pairs
+ */
+function fromLinearRing(ring, keepClosing = false) {
+  const pairs = ring.map(fromPosition);
+  if (!keepClosing && pairs.length > 1 && samePoint(pairs[0], pairs[pairs.length - 1])) {
+    pairs.pop();
+  }
+  return pairs;
+}
+
+// ============================================================================
+// Export: map.json -> GeoJSON
+// ============================================================================
+
+/**
+ * Convert map.json data into a GeoJSON FeatureCollection
+ * Areas become Polygons (MultiPolygons when they have several parts), POIs become
+ * Points and each trail segment a LineString
+ * @param {Object} mapData - Parsed map.json contents
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export function mapDataToGeoJSON(mapData) {
+  const features = [];
+
+  Object.entries(mapData?.areas || {}).forEach(([id, coords]) => {
+    const rings = toMultiPolygon(coords);
+    const polygons = rings.map((polygon) => polygon.map(toLinearRing));
+    if (!polygons.length) return;
+    // Remember rings map.json writes closed, so importing gives back the same coords
+    const closedRings = rings.flat().every((ring) => samePoint(ring[0], ring[ring.length - 1]));
+    features.push({
+      type: "Feature",
+      id,
+      properties: { kind: FEATURE_KINDS.AREA, id, ...(closedRings && { closedRings }) },
+      geometry:
+        polygons.length === 1
+          ? { type: "Polygon", coordinates: polygons[0] }
+          : { type: "MultiPolygon", coordinates: polygons },
+    });
+  });
+
+  (Array.isArray(mapData?.pois) ? mapData.pois : []).forEach((poi) => {
+    const { lat, lng, ...props } = poi;
+    features.push({
+      type: "Feature",
+      id: poi.id,
+      properties: { kind: FEATURE_KINDS.POI, ...props },
+      geometry: { type: "Point", coordinates: [lng, lat] },
+    });
+  });
+
+  (Array.isArray(mapData?.trails) ? mapData.trails : []).forEach((trail) => {
+    (trail.segments || []).forEach((seg) => {
+      const { coords, ...props } = seg;
+      features.push({
+        type: "Feature",
+        id: `${trail.id}/${seg.id}`,
+        properties: {
+          kind: FEATURE_KINDS.TRAIL_SEGMENT,
+          trailId: trail.id,
+          trailName: trail.name,
+          ...props,
+        },
+        geometry: { type: "LineString", coordinates: (coords || []).map(toPosition) },
+      });
+    });
+  });
+
+  const settings = Object.fromEntries(
+    Object.entries(mapData || {}).filter(
+      ([key, value]) => !FEATURE_KEYS.includes(key) && value !== undefined
+    )
+  );
+
+  return { type: "FeatureCollection", mapSettings: settings, features };
+}
+
+// ============================================================================
+// Import: GeoJSON -> map.json
+// ============================================================================
+
+/**
+ * Convert a GeoJSON FeatureCollection back into the map.json shape
+ * Features without a recognised "kind" are inferred from geometry type, so files
+ * drawn from scratch in a GIS tool still import. Settings, habitats and routes
+ * missing from the collection are taken from the base map data, and keys keep the
+ * base's order so a round trip reproduces map.json.
+ * @param {Object} collection - GeoJSON FeatureCollection
+ * @param {Object} [base={}] - Existing map.json used for keys not in the collection
+ * @returns {Object} map.json-shaped object
+ * @throws {Error} If the input is not a FeatureCollection
+ */
+export function geoJSONToMapData(collection, base = {}) {
+  if (collection?.type !== "FeatureCollection" || !Array.isArray(collection.features)) {
+    throw new Error("Expected a GeoJSON FeatureCollection.");
+  }
+
+  const result = {};
+  [base, collection.mapSettings].forEach((source) => {
+    Object.entries(source || {}).forEach(([key, value]) => {
+      if (!FEATURE_KEYS.includes(key) && value !== undefined) result[key] = value;
+    });
+  });
+  result.areas = {};
+  const trailsById = new Map();
+  const pois = [];
+
+  collection.features.forEach((feature, index) => {
+    const geometry = feature?.geometry;
+    const props = feature?.properties || {};
+    if (!geometry) {
+      console.warn(`GeoJSON feature ${index} has no geometry; skipped.`);
+      return;
+    }
+
+    if (
+      (geometry.type === "Polygon" || geometry.type === "MultiPolygon") &&
+      props.kind !== FEATURE_KINDS.POI
+    ) {
+      const id = props.id || feature.id || `area${index}`;
+      const polygons =
+        geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+      // Holes and extra parts are kept; a plain polygon stays a single ring
+      result.areas[id] = compactAreaCoords(
+        (polygons || []).map((rings) =>
+          (rings || []).map((ring) => fromLinearRing(ring, props.closedRings === true))
+        )
+      );
+      return;
+    }
+
+    if (geometry.type === "Point") {
+      const { kind: _kind, ...rest } = props;
+      const [lat, lng] = fromPosition(geometry.coordinates);
+      pois.push({ id: rest.id || feature.id || `poi-${index}`, ...rest, lat, lng });
+      return;
+    }
+
+    if (geometry.type === "LineString") {
+      const { kind: _kind, trailId, trailName, ...rest } = props;
+      const id = trailId || "main";
+      if (!trailsById.has(id)) {
+        trailsById.set(id, { id, name: trailName || "Trail", segments: [] });
+      }
+      const trail = trailsById.get(id);
+      trail.segments.push({
+        id: rest.id || `segment-${trail.segments.length}`,
+        ...rest,
+        coords: geometry.coordinates.map(fromPosition),
+      });
+      return;
+    }
+
+    console.warn(`GeoJSON feature ${index} has unsupported geometry ${geometry.type}; skipped.`);
+  });
+
+  if (trailsById.size) result.trails = Array.from(trailsById.values());
+  result.pois = pois;
+
+  const keyOrder = new Set([...Object.keys(base || {}), ...Object.keys(result)]);
+  return Object.fromEntries(
+    [...keyOrder].filter((key) => key in result).map((key) => [key, result[key]])
+  );
+}
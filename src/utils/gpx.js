@@ -0,0 +1,103 @@
+/**
+ * ================================================================================
+ * File: gpx.js
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: GPX 1.1 serializer for trail waypoints and tracks so hikers can load
+ * the route into offline GPS apps such as OsmAnd, Gaia GPS or Garmin devices.
+ * ================================================================================
+ */
+
+/**
+ * Escape text for use inside XML element content or attributes
+ * @param {string} value - Raw text
+ * @returns {string} XML-safe text
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Normalize a track point given as [lat, lng] or {lat, lng, time, ele}
+ * @param {Array<number>|Object} point - Track point
+ * @returns {Object} Point object with lat and lng
+ */
+const toPoint = (point) =>
+  Array.isArray(point) ? { lat: point[0], lng: point[1] } : point;
+
+/**
+ * Format optional child elements shared by waypoints and track points
+ * @param {Object} point - Point with optional ele and time
+ * @returns {string} GPX child elements
+ */
+function pointChildren(point) {
+  let out = "";
+  if (typeof point.ele === "number") out += `<ele>${point.ele}</ele>`;
+  if (point.time) out += `<time>${new Date(point.time).toISOString()}</time>`;
+  return out;
+}
+
+/**
+ * Build a GPX 1.1 document
+ * @param {Object} options
+ * @param {string} options.name - Document name shown in GPS apps
+ * @param {Array<Object>} [options.waypoints=[]] - Waypoints with lat, lng, name and optional desc
+ * @param {Array<Object>} [options.tracks=[]] - Tracks with name and points ([lat, lng] or {lat, lng, time})
+ * @returns {string} GPX XML text
+ */
+export function buildGpx({ name, waypoints = [], tracks = [] }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Woodland Conservation Area" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(name)}</name><time>${new Date().toISOString()}</time></metadata>`,
+  ];
+
+  waypoints.forEach((wpt) => {
+    lines.push(`  <wpt lat="${wpt.lat}" lon="${wpt.lng}">`);
+    lines.push(`    <name>${escapeXml(wpt.name)}</name>`);
+    if (wpt.desc) lines.push(`    <desc>${escapeXml(wpt.desc)}</desc>`);
+    if (wpt.type) lines.push(`    <type>${escapeXml(wpt.type)}</type>`);
+    lines.push("  </wpt>");
+  });
+
+  tracks.forEach((track) => {
+    const points = (track.points || []).map(toPoint);
+    if (!points.length) return;
+    lines.push("  <trk>");
+    lines.push(`    <name>${escapeXml(track.name)}</name>`);
+    lines.push("    <trkseg>");
+    points.forEach((pt) => {
+      lines.push(`      <trkpt lat="${pt.lat}" lon="${pt.lng}">${pointChildren(pt)}</trkpt>`);
+    });
+    lines.push("    </trkseg>");
+    lines.push("  </trk>");
+  });
+
+  lines.push("</gpx>");
+  return lines.join("\n");
+}
+
+/**
+ * Read track points from GPX text
+ * Falls back to route points, then waypoints, so any GPS app export can be replayed
+ * @param {string} text - GPX XML text
+ * @returns {Array<Array<number>>} Track as [lat, lng] pairs
+ * @throws {Error} If the text is not valid GPX
+ */
+export function parseGpxTrack(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.querySelector("parsererror") || doc.documentElement.nodeName !== "gpx") {
+    throw new Error("Not a valid GPX file.");
+  }
+  for (const tag of ["trkpt", "rtept", "wpt"]) {
+    const points = Array.from(doc.getElementsByTagName(tag))
+      .map((el) => [Number(el.getAttribute("lat")), Number(el.getAttribute("lon"))])
+      .filter(([lat, lng]) => Number.isFinite(lat) && Number.isFinite(lng));
+    if (points.length) return points;
+  }
+  return [];
+}
@@ -0,0 +1,98 @@
+/**
+ * ================================================================================
+ * File: guidance.js
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Works out which trail stop a visitor is heading to and how far,
+ * in which direction and how long a walk it is, using the trail line and the
+ * ordered list of stops.
+ * ================================================================================
+ */
+
+import {
+  haversineMeters,
+  initialBearingDegrees,
+  compassDirection,
+  nearestPointOnPolyline,
+} from "./geo";
+
+// Average easy trail walking pace (~4 km/h) used for ETA estimates
+export const WALKING_SPEED_MPS = 1.1;
+
+// Visitors further than this from the trail line are guided in a straight line
+const OFF_TRAIL_METERS = 40;
+
+// A stop within this distance along the trail counts as reached, so guidance moves on
+const REACHED_METERS = 5;
+
+/**
+ * Build straight-line direction details from the user to a stop
+ * @param {Object} user - User location {lat, lng}
+ * @param {Object} stop - Stop with lat and lng
+ * @returns {Object} bearing (degrees) and compass label
+ */
+function directionTo(user, stop) {
+  const bearing = initialBearingDegrees(user.lat, user.lng, stop.lat, stop.lng);
+  return { bearing, compass: compassDirection(bearing) };
+}
+
+/**
+ * Find the next stop along the trail and how to get there
+ * On the trail, the next stop is the first one further along the line than the
+ * visitor and the distance is measured along the path. Off the trail, the visitor
+ * is pointed at the nearest stop in a straight line.
+ * @param {Array<Object>} stops - Stops in trail order, each with lat and lng
+ * @param {Object|null} user - User location {lat, lng}
+ * @param {Array<Array<number>>} trailLine - Trail geometry as [lat, lng] pairs
+ * @returns {Object|null} { stop, stopIndex, distanceMeters, etaMinutes, bearing, compass,
+ * onTrail, finished } or null when there is nothing to guide to
+ */
+export function getNextStopGuidance(stops, user, trailLine) {
+  if (!user || !Array.isArray(stops) || !stops.length) return null;
+
+  const userSnap =
+    Array.isArray(trailLine) && trailLine.length > 1
+      ? nearestPointOnPolyline(user, trailLine)
+      : null;
+
+  if (userSnap && userSnap.distance <= OFF_TRAIL_METERS) {
+    const stopIndex = stops.findIndex((stop) => {
+      const along = nearestPointOnPolyline(stop, trailLine).alongMeters;
+      return along > userSnap.alongMeters + REACHED_METERS;
+    });
+    if (stopIndex === -1) {
+      return { stop: null, stopIndex: -1, finished: true, onTrail: true };
+    }
+    const stop = stops[stopIndex];
+    const stopAlong = nearestPointOnPolyline(stop, trailLine).alongMeters;
+    const distanceMeters = stopAlong - userSnap.alongMeters + userSnap.distance;
+    return {
+      stop,
+      stopIndex,
+      distanceMeters,
+      etaMinutes: distanceMeters / WALKING_SPEED_MPS / 60,
+      ...directionTo(user, stop),
+      onTrail: true,
+      finished: false,
+    };
+  }
+
+  // Off the trail: head for the nearest stop directly
+  let stopIndex = 0;
+  let best = Infinity;
+  stops.forEach((stop, i) => {
+    const d = haversineMeters(user.lat, user.lng, stop.lat, stop.lng);
+    if (d < best) {
+      best = d;
+      stopIndex = i;
+    }
+  });
+  return {
+    stop: stops[stopIndex],
+    stopIndex,
+    distanceMeters: best,
+    etaMinutes: best / WALKING_SPEED_MPS / 60,
+    ...directionTo(user, stops[stopIndex]),
+    onTrail: false,
+    finished: false,
+  };
+}
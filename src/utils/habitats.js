@@ -0,0 +1,85 @@
+/**
+ * ================================================================================
+ * File: habitats.js
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Habitat information for the map.json areas (rewilding, yellow birch,
+ * wetland): what each habitat is and which ecologydata.json species live there.
+ * Shown on the Sitemap when a visitor walks into an area.
+ * ================================================================================
+ */
+
+/**
+ * Look up each species' category in ecologydata.json
+ * @param {Object} speciesByCategory - ecologydata.json species_by_category
+ * @returns {Map<string, string>} Species name -> category (flora, fauna, fungi)
+ */
+function speciesCategoryIndex(speciesByCategory) {
+  const index = new Map();
+  Object.entries(speciesByCategory || {}).forEach(([category, names]) => {
+    (Array.isArray(names) ? names : []).forEach((name) => index.set(name, category));
+  });
+  return index;
+}
+
+/**
+ * Join map.json habitats to the areas drawn on the map and to the species list
+ * Habitats for unknown areas and species missing from ecologydata.json are dropped
+ * @param {Object} rawHabitats - map.json habitats, keyed by area id
+ *   ({ description, species, audioSrc? })
+ * @param {Array<Object>} areas - Areas from buildAreas (id, name, style)
+ * @param {Object} speciesByCategory - ecologydata.json species_by_category
+ * @returns {Object} Area id -> { id, name, color, description, audioSrc, species }
+ *   where species is [{ name, category }]
+ */
+export function buildHabitats(rawHabitats, areas, speciesByCategory) {
+  const categories = speciesCategoryIndex(speciesByCategory);
+  const habitats = {};
+
+  (areas || []).forEach((area) => {
+    const raw = rawHabitats?.[area.id];
+    if (!raw || typeof raw.description !== "string") return;
+    habitats[area.id] = {
+      id: area.id,
+      name: area.name,
+      color: area.style?.stroke,
+      description: raw.description,
+      audioSrc: typeof raw.audioSrc === "string" ? raw.audioSrc : null,
+      species: (Array.isArray(raw.species) ? raw.species : [])
+        .filter((name) => categories.has(name))
+        .map((name) => ({ name, category: categories.get(name) })),
+    };
+  });
+
+  return habitats;
+}
+
+/**
+ * Check map.json habitats against its areas and the ecologydata.json species list
+ * @param {Object} mapData - Parsed map.json
+ * @param {Object} ecologyData - Parsed ecologydata.json
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateHabitats(mapData, ecologyData) {
+  const habitats = mapData?.habitats;
+  if (habitats == null) return [];
+  if (typeof habitats !== "object" || Array.isArray(habitats)) {
+    return ["habitats must be an object keyed by area id."];
+  }
+
+  const errors = [];
+  const areas = mapData.areas || {};
+  const categories = speciesCategoryIndex(ecologyData?.species_by_category);
+
+  Object.entries(habitats).forEach(([areaId, habitat]) => {
+    if (areaId === "siteBorder" || !areas[areaId]) {
+      errors.push(`Habitat "${areaId}" is not an area in map.json.`);
+    }
+    (Array.isArray(habitat?.species) ? habitat.species : []).forEach((name) => {
+      if (!categories.has(name)) {
+        errors.push(`Habitat "${areaId}" species "${name}" is not in ecologydata.json.`);
+      }
+    });
+  });
+
+  return errors;
+}
@@ -0,0 +1,20 @@
+/**
+ * ================================================================================
+ * File: mapConstants.js
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Plain map.json vocabulary shared by the app and the build-time data
+ * validator (which runs in Node and cannot import components or images).
+ * ================================================================================
+ */
+
+// POI types that have a marker icon (keys of ICON_CONFIGS in mapLayers.jsx)
+export const POI_TYPES = [
+  "trailhead",
+  "farmhouse",
+  "well",
+  "sitting",
+  "yellow-birch",
+  "exercise",
+  "telephone",
+  "labyrinth",
+];
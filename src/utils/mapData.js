@@ -0,0 +1,425 @@
+/**
+ * ================================================================================
+ * File: mapData.js
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Sanitizing and validation of map.json content (site border, areas,
+ * trails, routes, POIs). Shared by the public Sitemap and the map data editor so both read
+ * the data the same way. Also measures the site for the Homepage and About page.
+ * ================================================================================
+ */
+
+import { POI_TYPES } from "./mapConstants";
+import {
+  hectaresToAcres,
+  pointInPolygon,
+  polygonAreaHectares,
+  polylineLengthMeters,
+  toMultiPolygon,
+} from "./geo";
+
+// ============================================================================
+// Type Guards & Sanitizing
+// ============================================================================
+
+/**
+ * Check for a [lat, lng] pair of numbers
+ * @param {*} pair - Candidate coordinate pair
+ * @returns {boolean} True if pair is [number, number]
+ */
+export function isLatLngPair(pair) {
+  return (
+    Array.isArray(pair) &&
+    pair.length === 2 &&
+    typeof pair[0] === "number" &&
+    typeof pair[1] === "number"
+  );
+}
+
+/**
+ * Sanitize polygon coordinates by filtering invalid points
+ * Prevents map rendering errors from malformed coordinate data
+ * @param {Array} poly - Array of coordinate pairs
+ * @returns {Array} Cleaned array of valid [lat, lng] pairs
+ */
+export function sanitizePolygonCoords(poly) {
+  if (!Array.isArray(poly)) return [];
+  const cleaned = poly.filter(isLatLngPair);
+  if (cleaned.length !== poly.length) {
+    console.warn("Polygon had invalid points; filtered some out.");
+  }
+  return cleaned;
+}
+
+/**
+ * Sanitize area coordinates into a list of polygons, each [outer ring, ...holes]
+ * Accepts a ring, a polygon with holes or a multipolygon (see toMultiPolygon);
+ * parts whose outer ring has fewer than 3 valid points and such holes are dropped
+ * @param {Array} coords - Area coordinates from map.json
+ * @returns {Array<Array<Array<Array<number>>>>} Cleaned polygons
+ */
+export function sanitizeAreaCoords(coords) {
+  return toMultiPolygon(coords)
+    .map((rings) => (Array.isArray(rings) ? rings : []).map(sanitizePolygonCoords))
+    .filter(([outer]) => outer?.length >= 3)
+    .map(([outer, ...holes]) => [outer, ...holes.filter((hole) => hole.length >= 3)]);
+}
+
+/**
+ * Write polygons back in the simplest map.json form
+ * One part without holes becomes a plain ring, one part with holes a polygon
+ * @param {Array<Array<Array<Array<number>>>>} polygons - Result of sanitizeAreaCoords
+ * @returns {Array} Ring, polygon with holes or multipolygon
+ */
+export function compactAreaCoords(polygons) {
+  if (polygons.length !== 1) return polygons;
+  return polygons[0].length === 1 ? polygons[0][0] : polygons[0];
+}
+
+/**
+ * Join trail segments into one path
+ * Skips the shared vertex between consecutive segments
+ * @param {Array<Object>} segments - Sanitized segments with coords
+ * @returns {Array<Array<number>>} Combined [lat, lng] path
+ */
+function joinSegmentCoords(segments) {
+  const coords = [];
+  segments.forEach((seg) => {
+    seg.coords.forEach((pt, i) => {
+      const prev = coords[coords.length - 1];
+      if (i === 0 && prev && prev[0] === pt[0] && prev[1] === pt[1]) return;
+      coords.push(pt);
+    });
+  });
+  return coords;
+}
+
+/**
+ * Sanitize trail definitions from map data
+ * Each trail is a named LineString split into segments carrying surface and difficulty.
+ * Segments flagged placeholder were sketched by hand and still need a GPS survey.
+ * @param {Array} rawTrails - Trail entries from map.json
+ * @returns {Array} Trails with cleaned segments and a combined coords path
+ */
+export function sanitizeTrails(rawTrails) {
+  if (!Array.isArray(rawTrails)) return [];
+  return rawTrails
+    .map((trail, trailIndex) => {
+      const rawSegments = Array.isArray(trail?.segments) ? trail.segments : [];
+      const segments = rawSegments
+        .map((seg, segIndex) => ({
+          id: seg?.id || `segment-${segIndex}`,
+          name: seg?.name || null,
+          surface: seg?.surface || null,
+          difficulty: seg?.difficulty || null,
+          placeholder: seg?.placeholder === true,
+          coords: sanitizePolygonCoords(seg?.coords),
+        }))
+        .filter((seg) => seg.coords.length > 1);
+
+      return {
+        id: trail?.id || `trail-${trailIndex}`,
+        name: trail?.name || "Trail",
+        segments,
+        coords: joinSegmentCoords(segments),
+      };
+    })
+    .filter((trail) => trail.segments.length > 0);
+}
+
+/**
+ * Sanitize named routes from map data
+ * A route walks some (or all) segments of one trail and visits its stops in order.
+ * When map.json defines no routes, each trail becomes a route with no fixed stops.
+ * @param {Array} rawRoutes - Route entries from map.json
+ * @param {Array<Object>} trails - Result of sanitizeTrails
+ * @returns {Array<Object>} Routes with id, name, description, difficulty, accessible,
+ * lengthMeters, stops (POI ids in walking order) and trail (the segments walked, or null)
+ */
+export function sanitizeRoutes(rawRoutes, trails) {
+  if (!Array.isArray(rawRoutes) || !rawRoutes.length) {
+    return trails.map((trail) => ({
+      id: trail.id,
+      name: trail.name,
+      description: null,
+      difficulty: null,
+      accessible: false,
+      lengthMeters: Math.round(polylineLengthMeters(trail.coords)),
+      stops: [],
+      trail,
+    }));
+  }
+
+  const cleaned = rawRoutes
+    .filter((route) => typeof route?.id === "string" && typeof route?.name === "string")
+    .map((route) => {
+      const base = trails.find((t) => t.id === route.trailId) || (route.trailId ? null : trails[0]);
+      // segmentIds picks part of the trail, in the order given; default is the whole trail
+      const segments = !base
+        ? []
+        : Array.isArray(route.segmentIds)
+          ? route.segmentIds.map((id) => base.segments.find((seg) => seg.id === id)).filter(Boolean)
+          : base.segments;
+      const trail = segments.length
+        ? { id: base.id, name: route.name, segments, coords: joinSegmentCoords(segments) }
+        : null;
+      return {
+        id: route.id,
+        name: route.name,
+        description: typeof route.description === "string" ? route.description : null,
+        difficulty: route.difficulty || null,
+        accessible: route.accessible === true,
+        lengthMeters:
+          typeof route.lengthMeters === "number" && route.lengthMeters > 0
+            ? route.lengthMeters
+            : Math.round(polylineLengthMeters(trail?.coords)),
+        stops: Array.isArray(route.stops)
+          ? route.stops.filter((id) => typeof id === "string")
+          : [],
+        trail,
+      };
+    });
+  if (cleaned.length !== rawRoutes.length) {
+    console.warn("Some routes had no id or name and were filtered out.");
+  }
+  return cleaned;
+}
+
+/**
+ * Extract and sanitize the site border polygon
+ * Multiple fallback paths handle different data structure versions
+ * @param {Object} data - Parsed map.json
+ * @returns {Array<Array<Array<Array<number>>>>} Border as polygons (see sanitizeAreaCoords);
+ * a site of several parcels has one polygon per parcel
+ */
+export function readSiteBorder(data) {
+  const raw = data?.areas?.siteBorder || data?.siteBorder || data?.border || [];
+  const cleaned = sanitizeAreaCoords(raw);
+  if (!cleaned.length && raw?.length) {
+    console.warn("siteBorder provided but contained no valid [lat,lng] pairs.");
+  }
+  return cleaned;
+}
+
+/**
+ * Sanitize points of interest
+ * Drops entries without a name or numeric coordinates; blank audioSrc or
+ * transcriptSrc becomes null
+ * @param {Array} rawPois - POI entries from map.json
+ * @returns {Array<Object>} Cleaned POIs
+ */
+export function sanitizePois(rawPois) {
+  const list = Array.isArray(rawPois) ? rawPois : [];
+  const cleaned = list.filter(
+    (p) =>
+      typeof p?.name === "string" &&
+      typeof p?.lat === "number" &&
+      typeof p?.lng === "number"
+  );
+  if (cleaned.length !== list.length) {
+    console.warn("Some POIs were invalid and were filtered out.");
+  }
+  const textOrNull = (value) => (typeof value === "string" && value.trim().length ? value : null);
+  return cleaned.map((poi) => ({
+    ...poi,
+    audioSrc: textOrNull(poi.audioSrc),
+    transcriptSrc: textOrNull(poi.transcriptSrc),
+  }));
+}
+
+// ============================================================================
+// Site Statistics
+// ============================================================================
+
+/**
+ * Measure the site from map.json
+ * siteBorder and the trail geometry are sketches, not surveys (siteBorder gives about
+ * 39 acres against the 27-acre parcel), so public copy keeps its fixed figures for now
+ * @param {Object} data - Parsed map.json
+ * @returns {Object} { hectares, acres } inside siteBorder, trailMeters (all trails
+ * end to end) and outAndBackMeters (walking the trails there and back)
+ */
+export function getSiteStats(data) {
+  const hectares = polygonAreaHectares(readSiteBorder(data));
+  const trailMeters = sanitizeTrails(data?.trails).reduce(
+    (total, trail) => total + polylineLengthMeters(trail.coords),
+    0
+  );
+  return {
+    hectares,
+    acres: hectaresToAcres(hectares),
+    trailMeters,
+    outAndBackMeters: trailMeters * 2,
+  };
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Check a polygon ring and describe what is wrong with it
+ * @param {*} ring - Candidate ring of [lat, lng] pairs
+ * @param {string} label - Name used in messages
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function ringErrors(ring, label) {
+  if (!Array.isArray(ring)) return [`${label} must be an array of [lat, lng] pairs.`];
+  const errors = [];
+  const bad = ring.filter((pair) => !isLatLngPair(pair)).length;
+  if (bad) errors.push(`${label} has ${bad} invalid point(s).`);
+  if (ring.length - bad < 3) errors.push(`${label} needs at least 3 points.`);
+  return errors;
+}
+
+/**
+ * Check an area's rings: every part and hole must be a valid ring, and holes must
+ * lie inside their part's outer ring
+ * @param {*} coords - Ring, polygon with holes or multipolygon
+ * @param {string} label - Name used in messages
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function areaErrors(coords, label) {
+  const polygons = toMultiPolygon(coords);
+  if (!polygons.length) return ringErrors(coords, label);
+  return polygons.flatMap((rings, p) => {
+    const part = polygons.length > 1 ? `${label} part ${p + 1}` : label;
+    if (!Array.isArray(rings)) return [`${part} must be a list of rings.`];
+    const [outer, ...holes] = rings;
+    const errors = ringErrors(outer, part);
+    const outerValid = !errors.length;
+    holes.forEach((hole, h) => {
+      const holeErrors = ringErrors(hole, `${part} hole ${h + 1}`);
+      errors.push(...holeErrors);
+      const escapes =
+        outerValid &&
+        !holeErrors.length &&
+        hole.some((pair) => !pointInPolygon({ lat: pair[0], lng: pair[1] }, outer));
+      if (escapes) errors.push(`${part} hole ${h + 1} is not inside the outer ring.`);
+    });
+    return errors;
+  });
+}
+
+/**
+ * Check the routes list against the trails and POIs it refers to
+ * @param {*} routes - data.routes
+ * @param {Array} trails - data.trails (may be malformed)
+ * @param {Set<string>} poiIds - Ids of the POIs defined in the file
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function routeErrors(routes, trails, poiIds) {
+  if (routes == null) return [];
+  if (!Array.isArray(routes)) return ["routes must be an array."];
+  const trailList = Array.isArray(trails) ? trails : [];
+  const errors = [];
+  const seen = new Set();
+
+  routes.forEach((route, i) => {
+    const label = `Route ${route?.id ? `"${route.id}"` : `#${i + 1}`}`;
+    if (typeof route?.id !== "string" || !route.id.trim()) errors.push(`${label} needs an id.`);
+    else if (seen.has(route.id)) errors.push(`${label} id is used more than once.`);
+    else seen.add(route.id);
+    if (typeof route?.name !== "string" || !route.name.trim()) errors.push(`${label} needs a name.`);
+
+    const trail = route?.trailId
+      ? trailList.find((t) => t?.id === route.trailId)
+      : trailList[0];
+    if (route?.trailId && !trail) {
+      errors.push(`${label} uses unknown trail "${route.trailId}".`);
+    }
+    if (Array.isArray(route?.segmentIds)) {
+      const segmentIds = (trail?.segments || []).map((seg) => seg?.id);
+      route.segmentIds
+        .filter((id) => !segmentIds.includes(id))
+        .forEach((id) => errors.push(`${label} uses unknown trail segment "${id}".`));
+    }
+
+    const stops = Array.isArray(route?.stops) ? route.stops : [];
+    if (!stops.length) errors.push(`${label} needs at least one stop.`);
+    stops
+      .filter((id) => !poiIds.has(id))
+      .forEach((id) => errors.push(`${label} stop "${id}" is missing from pois.`));
+  });
+
+  return errors;
+}
+
+/**
+ * Validate map.json content before it is saved or deployed
+ * Stricter than the sanitizers: anything the public map would silently drop is an error
+ * @param {Object} data - Parsed map.json
+ * @param {Object} [options]
+ * @param {Array<string>} [options.poiTypes=POI_TYPES] - POI types that have a marker icon
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateMapData(data, { poiTypes = POI_TYPES } = {}) {
+  if (!data || typeof data !== "object") return ["Map data must be a JSON object."];
+  const errors = [];
+  const poiIds = new Set(
+    (Array.isArray(data.pois) ? data.pois : []).map((poi) => poi?.id).filter(Boolean)
+  );
+
+  const areas = data.areas && typeof data.areas === "object" ? data.areas : null;
+  if (!areas) {
+    errors.push("Missing areas object.");
+  } else {
+    if (!areas.siteBorder) errors.push("Missing areas.siteBorder.");
+    Object.entries(areas).forEach(([id, coords]) => {
+      errors.push(...areaErrors(coords, `Area "${id}"`));
+    });
+  }
+
+  if (!Array.isArray(data.pois)) {
+    errors.push("pois must be an array.");
+  } else {
+    const seen = new Set();
+    data.pois.forEach((poi, i) => {
+      const label = `POI ${poi?.id ? `"${poi.id}"` : `#${i + 1}`}`;
+      if (typeof poi?.id !== "string" || !poi.id.trim()) errors.push(`${label} needs an id.`);
+      else if (seen.has(poi.id)) errors.push(`${label} id is used more than once.`);
+      else seen.add(poi.id);
+      if (typeof poi?.name !== "string" || !poi.name.trim()) errors.push(`${label} needs a name.`);
+      if (typeof poi?.lat !== "number" || Math.abs(poi.lat) > 90) {
+        errors.push(`${label} has an invalid latitude.`);
+      }
+      if (typeof poi?.lng !== "number" || Math.abs(poi.lng) > 180) {
+        errors.push(`${label} has an invalid longitude.`);
+      }
+      ["type", "clickText", "audioSrc", "transcriptSrc"].forEach((key) => {
+        if (poi?.[key] != null && typeof poi[key] !== "string") {
+          errors.push(`${label} ${key} must be text.`);
+        }
+      });
+      // Every clip needs a text equivalent for deaf and hard-of-hearing visitors
+      if (poi?.audioSrc && !poi.transcriptSrc) {
+        errors.push(`${label} has audio but no transcriptSrc.`);
+      }
+      if (typeof poi?.type === "string" && poi.type && !poiTypes.includes(poi.type)) {
+        errors.push(
+          `${label} has unknown type "${poi.type}" (expected one of: ${poiTypes.join(", ")}).`
+        );
+      }
+    });
+  }
+
+  if (data.trails != null) {
+    if (!Array.isArray(data.trails)) {
+      errors.push("trails must be an array.");
+    } else {
+      data.trails.forEach((trail, t) => {
+        const segments = Array.isArray(trail?.segments) ? trail.segments : [];
+        if (!segments.length) errors.push(`Trail "${trail?.id || t + 1}" has no segments.`);
+        segments.forEach((seg, i) => {
+          const coords = Array.isArray(seg?.coords) ? seg.coords : [];
+          if (coords.filter(isLatLngPair).length < 2 || coords.some((p) => !isLatLngPair(p))) {
+            errors.push(`Trail segment "${seg?.id || i + 1}" needs 2 or more valid points.`);
+          }
+        });
+      });
+    }
+  }
+
+  errors.push(...routeErrors(data.routes, data.trails, poiIds));
+
+  return errors;
+}
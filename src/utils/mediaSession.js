@@ -0,0 +1,67 @@
+/**
+ * ================================================================================
+ * File: mediaSession.js
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Media Session API wrapper for the audio tour, so the stop name and
+ * play/pause/next/previous controls appear on the lock screen and headphones.
+ * Browsers without the API are ignored.
+ * ================================================================================
+ */
+
+// Actions the tour can handle; browsers ignore handlers for actions they lack
+const TOUR_ACTIONS = ["play", "pause", "previoustrack", "nexttrack", "stop"];
+
+/**
+ * Whether the browser supports the Media Session API
+ * @returns {boolean}
+ */
+const supported = () => typeof navigator !== "undefined" && "mediaSession" in navigator;
+
+/**
+ * Set an action handler, skipping actions the browser rejects
+ * @param {string} action - Media session action
+ * @param {Function|null} handler - Handler, or null to remove it
+ */
+function setHandler(action, handler) {
+  try {
+    navigator.mediaSession.setActionHandler(action, handler);
+  } catch {
+    // Older browsers throw for actions they don't know
+  }
+}
+
+/**
+ * Show the current track and wire up the lock-screen controls
+ * @param {Object} track
+ * @param {string} track.title - Stop name
+ * @param {string} [track.artist] - Shown under the title
+ * @param {string} [track.album] - Route name
+ * @param {string} [track.artwork] - Image URL
+ * @param {Object} handlers - { play, pause, previoustrack, nexttrack, stop } functions
+ * @param {boolean} playing - Whether audio is currently playing
+ */
+export function updateMediaSession(track, handlers, playing) {
+  if (!supported()) return;
+  const session = navigator.mediaSession;
+  if (typeof window.MediaMetadata === "function") {
+    session.metadata = new window.MediaMetadata({
+      title: track.title,
+      artist: track.artist || "",
+      album: track.album || "",
+      artwork: track.artwork ? [{ src: track.artwork, sizes: "512x512" }] : [],
+    });
+  }
+  session.playbackState = playing ? "playing" : "paused";
+  TOUR_ACTIONS.forEach((action) => setHandler(action, handlers[action] || null));
+}
+
+/**
+ * Remove the tour from the lock screen
+ */
+export function clearMediaSession() {
+  if (!supported()) return;
+  const session = navigator.mediaSession;
+  TOUR_ACTIONS.forEach((action) => setHandler(action, null));
+  session.metadata = null;
+  session.playbackState = "none";
+}
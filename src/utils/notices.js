@@ -0,0 +1,167 @@
+/**
+ * ================================================================================
+ * File: notices.js
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Trail notices (closures, hazards, seasonal warnings) from
+ * src/data/notices.json: date-range expiry, ordering by severity, resolving
+ * geometry against map.json, and validation for the build-time data check.
+ * ================================================================================
+ */
+
+import { isLatLngPair, sanitizeAreaCoords } from "./mapData";
+
+// ============================================================================
+// Constants & Configuration
+// ============================================================================
+
+// Notice severities, most severe first (banner and warning order)
+export const NOTICE_SEVERITIES = ["closure", "caution", "info"];
+
+// A plain calendar date, e.g. "2025-11-03"
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// ============================================================================
+// Dates & Expiry
+// ============================================================================
+
+/**
+ * Parse a notice start/end value
+ * Plain dates are local days: a start begins at midnight, an end runs to the end of that day
+ * @param {string|undefined} value - "YYYY-MM-DD" or a full ISO date-time
+ * @param {boolean} [endOfDay=false] - Treat a plain date as the end of that day
+ * @returns {Date|null} Parsed date, or null when missing or invalid
+ */
+export function parseNoticeDate(value, endOfDay = false) {
+  if (typeof value !== "string" || !value) return null;
+  if (DATE_ONLY.test(value)) {
+    const [y, m, d] = value.split("-").map(Number);
+    return endOfDay ? new Date(y, m - 1, d, 23, 59, 59, 999) : new Date(y, m - 1, d);
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Check whether a notice is showing at a given time
+ * No start means "already started"; no end means "until removed from notices.json"
+ * @param {Object} notice - Notice entry
+ * @param {Date} [now=new Date()] - Time to check
+ * @returns {boolean} True between start and end (inclusive)
+ */
+export function isNoticeActive(notice, now = new Date()) {
+  const start = parseNoticeDate(notice?.start);
+  const end = parseNoticeDate(notice?.end, true);
+  if (start && now < start) return false;
+  if (end && now > end) return false;
+  return true;
+}
+
+/**
+ * Active notices, most severe first
+ * Expired and future notices drop out on their own, so old entries can stay in the file
+ * @param {Array<Object>} notices - Notice entries
+ * @param {Date} [now=new Date()] - Time to check
+ * @returns {Array<Object>} Active notices
+ */
+export function getActiveNotices(notices, now = new Date()) {
+  if (!Array.isArray(notices)) return [];
+  const rank = (notice) => {
+    const i = NOTICE_SEVERITIES.indexOf(notice.severity);
+    return i === -1 ? NOTICE_SEVERITIES.length : i;
+  };
+  return notices
+    .filter((notice) => notice?.id && isNoticeActive(notice, now))
+    .sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Short end-date text shown with a notice
+ * @param {Object} notice - Notice entry
+ * @returns {string|null} e.g. "Until Mon, Nov 3", or null when the notice is open-ended
+ */
+export function formatNoticeEnd(notice) {
+  const end = parseNoticeDate(notice?.end, true);
+  if (!end) return null;
+  return `Until ${end.toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" })}`;
+}
+
+// ============================================================================
+// Geometry
+// ============================================================================
+
+/**
+ * Resolve a notice's geometry to coordinates
+ * Segments and areas may reference map.json by id or give their own coords
+ * @param {Object} geometry - { type: "point", lat, lng }, { type: "segment", segmentId | coords }
+ * or { type: "area", areaId | coords }
+ * @param {Object} map
+ * @param {Array<Object>} map.trails - Result of sanitizeTrails
+ * @param {Object} map.areas - map.json areas object (id -> ring, polygon or multipolygon)
+ * @returns {Object|null} { type: "point", lat, lng }, { type: "line", coords } or
+ * { type: "polygon", coords } with coords as from sanitizeAreaCoords; null when it
+ * cannot be resolved
+ */
+export function resolveNoticeGeometry(geometry, { trails = [], areas = {} } = {}) {
+  if (!geometry) return null;
+
+  if (geometry.type === "point") {
+    if (typeof geometry.lat !== "number" || typeof geometry.lng !== "number") return null;
+    return { type: "point", lat: geometry.lat, lng: geometry.lng };
+  }
+
+  if (geometry.type === "segment") {
+    const segment = trails
+      .flatMap((trail) => trail.segments)
+      .find((seg) => seg.id === geometry.segmentId);
+    const coords = segment ? segment.coords : (geometry.coords || []).filter(isLatLngPair);
+    return coords.length > 1 ? { type: "line", coords } : null;
+  }
+
+  if (geometry.type === "area") {
+    const coords = sanitizeAreaCoords(geometry.areaId ? areas?.[geometry.areaId] : geometry.coords);
+    return coords.length ? { type: "polygon", coords } : null;
+  }
+
+  return null;
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Check notices.json against the map it refers to
+ * @param {Object} data - Parsed notices.json
+ * @param {Object} mapData - Parsed map.json
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateNotices(data, mapData) {
+  const notices = Array.isArray(data?.notices) ? data.notices : [];
+  const trails = Array.isArray(mapData?.trails) ? mapData.trails : [];
+  const segmentIds = trails.flatMap((trail) => (trail?.segments || []).map((seg) => seg?.id));
+  const areaIds = Object.keys(mapData?.areas || {});
+  const errors = [];
+  const seen = new Set();
+
+  notices.forEach((notice, i) => {
+    const label = `Notice ${notice?.id ? `"${notice.id}"` : `#${i + 1}`}`;
+    if (seen.has(notice?.id)) errors.push(`${label} id is used more than once.`);
+    seen.add(notice?.id);
+
+    const start = parseNoticeDate(notice?.start);
+    const end = parseNoticeDate(notice?.end, true);
+    if (notice?.start && !start) errors.push(`${label} has an invalid start date.`);
+    if (notice?.end && !end) errors.push(`${label} has an invalid end date.`);
+    if (start && end && end < start) errors.push(`${label} ends before it starts.`);
+
+    const geometry = notice?.geometry;
+    if (geometry?.segmentId && !segmentIds.includes(geometry.segmentId)) {
+      errors.push(`${label} uses unknown trail segment "${geometry.segmentId}".`);
+    }
+    if (geometry?.areaId && !areaIds.includes(geometry.areaId)) {
+      errors.push(`${label} uses unknown area "${geometry.areaId}".`);
+    }
+  });
+
+  return errors;
+}
@@ -0,0 +1,250 @@
+/**
+ * ================================================================================
+ * File: offline.js
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Offline support for the trail map. Registers the service worker in
+ * public/sw.js, works out which map tiles cover the site, and pre-fills the caches
+ * the service worker serves from (tiles, Talking Trees audio, app shell).
+ * Cache names must stay in sync with public/sw.js.
+ * ================================================================================
+ */
+
+export const OFFLINE_CACHES = {
+  SHELL: "app-shell-v1",
+  TILES: "map-tiles-v1",
+  RUNTIME_TILES: "map-tiles-runtime-v1",
+  AUDIO: "trail-audio-v1",
+};
+
+// Written to the shell cache when a download finishes with every file saved; records
+// how many tiles and clips it stored so a later check can tell if any were evicted
+const OFFLINE_MARKER_KEY = "/offline-download.json";
+
+// Zoom levels the Sitemap shows: fitted site view (~15-16) up to Leaflet's default max (18)
+export const OFFLINE_TILE_ZOOMS = [14, 15, 16, 17, 18];
+
+// Requests in flight at once while downloading; kept low to respect tile server usage policy
+const DOWNLOAD_CONCURRENCY = 4;
+
+// ============================================================================
+// Service Worker Registration
+// ============================================================================
+
+/**
+ * Register the offline service worker
+ * Only runs in production builds so it never caches Vite dev-server modules
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return null;
+  try {
+    return await navigator.serviceWorker.register("/sw.js");
+  } catch (e) {
+    console.warn("Service worker registration failed:", e);
+    return null;
+  }
+}
+
+// ============================================================================
+// Tile Math
+// ============================================================================
+
+/**
+ * Convert longitude to slippy-map tile X index
+ * @param {number} lng - Longitude in degrees
+ * @param {number} zoom - Zoom level
+ * @returns {number} Tile column
+ */
+export function lngToTileX(lng, zoom) {
+  return Math.floor(((lng + 180) / 360) * 2 ** zoom);
+}
+
+/**
+ * Convert latitude to slippy-map tile Y index (Web Mercator)
+ * @param {number} lat - Latitude in degrees
+ * @param {number} zoom - Zoom level
+ * @returns {number} Tile row
+ */
+export function latToTileY(lat, zoom) {
+  const rad = (lat * Math.PI) / 180;
+  return Math.floor(
+    ((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** zoom
+  );
+}
+
+/**
+ * List tile URLs covering a bounding box at the given zoom levels
+ * @param {Array<Array<number>>} bounds - [[south, west], [north, east]]
+ * @param {Array<number>} zooms - Zoom levels to include
+ * @param {string} template - Leaflet tile URL template with {s}, {z}, {x}, {y}
+ * @returns {Array<string>} Tile URLs (subdomain fixed to "a")
+ */
+export function tileUrlsForBounds(bounds, zooms, template) {
+  if (!bounds) return [];
+  const [[south, west], [north, east]] = bounds;
+  const urls = [];
+  zooms.forEach((z) => {
+    const xMin = lngToTileX(west, z);
+    const xMax = lngToTileX(east, z);
+    const yMin = latToTileY(north, z); // Tile rows grow southwards
+    const yMax = latToTileY(south, z);
+    for (let x = xMin; x <= xMax; x++) {
+      for (let y = yMin; y <= yMax; y++) {
+        urls.push(
+          template
+            .replace("{s}", "a")
+            .replace("{z}", z)
+            .replace("{x}", x)
+            .replace("{y}", y)
+            .replace("{r}", "")
+        );
+      }
+    }
+  });
+  return urls;
+}
+
+/**
+ * Cache key the service worker uses for a tile (subdomain removed)
+ * @param {string} url - Tile URL
+ * @returns {string} Cache key
+ */
+export function tileCacheKey(url) {
+  const u = new URL(url);
+  return `${u.protocol}//${u.hostname.replace(/^[a-z]\./, "")}${u.pathname}`;
+}
+
+// ============================================================================
+// Cache Filling
+// ============================================================================
+
+/**
+ * Download tiles, audio and app shell into the offline caches
+ * Already-cached entries are skipped so a resumed download is quick. The completion
+ * marker is cleared first and only written back once every file has been saved.
+ * @param {Object} options
+ * @param {Array<string>} options.tileUrls - Map tile URLs
+ * @param {Array<string>} options.audioUrls - Same-origin audio paths
+ * @param {Array<string>} options.shellUrls - Same-origin app shell URLs
+ * @param {Function} [options.onProgress] - Called with (done, total)
+ * @returns {Promise<{done: number, failed: number, total: number}>}
+ */
+export async function downloadForOffline({ tileUrls, audioUrls, shellUrls, onProgress }) {
+  if (!("caches" in window)) {
+    throw new Error("This browser does not support offline storage.");
+  }
+
+  const [tileCache, audioCache, shellCache] = await Promise.all([
+    caches.open(OFFLINE_CACHES.TILES),
+    caches.open(OFFLINE_CACHES.AUDIO),
+    caches.open(OFFLINE_CACHES.SHELL),
+  ]);
+
+  await shellCache.delete(OFFLINE_MARKER_KEY);
+
+  const jobs = [
+    ...tileUrls.map((url) => ({ url, cache: tileCache, key: tileCacheKey(url) })),
+    ...audioUrls.map((url) => ({ url, cache: audioCache, key: url })),
+    ...shellUrls.map((url) => ({ url, cache: shellCache, key: url })),
+  ];
+
+  let done = 0;
+  let failed = 0;
+  let next = 0;
+
+  const worker = async () => {
+    while (next < jobs.length) {
+      const job = jobs[next++];
+      try {
+        if (!(await job.cache.match(job.key))) {
+          const response = await fetch(job.url, { mode: "cors" });
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          await job.cache.put(job.key, response);
+        }
+      } catch (e) {
+        failed++;
+        console.warn("Offline download failed for", job.url, e);
+      }
+      done++;
+      if (onProgress) onProgress(done, jobs.length);
+    }
+  };
+
+  await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, worker));
+
+  if (!failed) {
+    const marker = {
+      completedAt: new Date().toISOString(),
+      tiles: new Set(tileUrls.map(tileCacheKey)).size,
+      audio: new Set(audioUrls).size,
+    };
+    await shellCache.put(
+      OFFLINE_MARKER_KEY,
+      new Response(JSON.stringify(marker), { headers: { "Content-Type": "application/json" } })
+    );
+  }
+  return { done, failed, total: jobs.length };
+}
+
+/**
+ * Check whether a download for offline use finished and is still intact
+ * Reads the completion marker, then checks the browser has not evicted any of its
+ * tiles or clips; tiles cached while browsing don't count
+ * @returns {Promise<boolean>} True if the last download completed and is still cached
+ */
+export async function hasOfflineData() {
+  if (!("caches" in window)) return false;
+  const saved = await caches.open(OFFLINE_CACHES.SHELL).then((c) => c.match(OFFLINE_MARKER_KEY));
+  if (!saved) return false;
+  let marker;
+  try {
+    marker = await saved.json();
+  } catch {
+    return false;
+  }
+  const [tiles, audio] = await Promise.all([
+    caches.open(OFFLINE_CACHES.TILES).then((c) => c.keys()),
+    caches.open(OFFLINE_CACHES.AUDIO).then((c) => c.keys()),
+  ]);
+  return tiles.length >= (marker.tiles || 0) && audio.length >= (marker.audio || 0);
+}
+
+/**
+ * Remove all offline map data
+ * @returns {Promise<void>}
+ */
+export async function clearOfflineData() {
+  if (!("caches" in window)) return;
+  await Promise.all(Object.values(OFFLINE_CACHES).map((name) => caches.delete(name)));
+}
+
+/**
+ * Estimate storage used by this site
+ * @returns {Promise<number|null>} Bytes used, or null if the browser cannot tell
+ */
+export async function getStorageUsage() {
+  if (!navigator.storage?.estimate) return null;
+  try {
+    const { usage } = await navigator.storage.estimate();
+    return typeof usage === "number" ? usage : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Byte count
+ * @returns {string} Human readable size (e.g. "4.2 MB")
+ */
+export function formatBytes(bytes) {
+  if (!Number.isFinite(bytes)) return "unknown";
+  const units = ["B", "KB", "MB", "GB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
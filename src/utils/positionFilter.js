@@ -0,0 +1,115 @@
+/**
+ * ================================================================================
+ * File: positionFilter.js
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Smoothing layer between navigator.geolocation.watchPosition and the
+ * map. Drops fixes that are too inaccurate or imply an impossible jump, then runs a
+ * simple Kalman filter so the location dot stops hopping around under tree canopy.
+ * ================================================================================
+ */
+
+import { haversineMeters } from "./geo";
+
+const DEFAULT_OPTIONS = {
+  // Fixes reporting worse accuracy than this are ignored once we have a position...
+  maxAccuracyMeters: 60,
+  // ...unless this many arrive in a row (e.g. under dense canopy); later ones are then
+  // used, each given little weight by the Kalman update, until a good fix arrives
+  maxConsecutiveInaccurate: 3,
+  // Implied speeds above this (after allowing for accuracy) are treated as GPS glitches
+  maxSpeedMps: 7,
+  // How quickly the estimate is allowed to drift: roughly a brisk walking pace
+  processNoiseMps: 1.5,
+  // After this many rejected jumps in a row, accept the new position as real
+  maxConsecutiveRejects: 3,
+};
+
+/**
+ * Create a position filter instance
+ * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+ * @returns {{update: Function, reset: Function}} Filter with update(fix) and reset()
+ */
+export function createPositionFilter(options = {}) {
+  const {
+    maxAccuracyMeters,
+    maxConsecutiveInaccurate,
+    maxSpeedMps,
+    processNoiseMps,
+    maxConsecutiveRejects,
+  } = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+  };
+  // Current estimate: { lat, lng, variance (m²), time (ms) }
+  let estimate = null;
+  let rejectStreak = 0;
+  let inaccurateStreak = 0;
+
+  const snapshot = () => ({
+    lat: estimate.lat,
+    lng: estimate.lng,
+    accuracy: Math.sqrt(estimate.variance),
+  });
+
+  return {
+    /**
+     * Feed a raw geolocation fix through the filter
+     * @param {Object} fix - { lat, lng, accuracy (m), time (ms) }
+     * @returns {Object|null} Smoothed { lat, lng, accuracy } or null if the fix was rejected
+     */
+    update({ lat, lng, accuracy, time }) {
+      const acc = Math.max(Number(accuracy) || 0, 1);
+
+      // First fix is always accepted so the visitor sees something, however rough
+      if (!estimate) {
+        estimate = { lat, lng, variance: acc * acc, time };
+        return snapshot();
+      }
+
+      // Accuracy gate, with a way through when no better fix is coming
+      if (acc > maxAccuracyMeters) {
+        if (inaccurateStreak < maxConsecutiveInaccurate) {
+          inaccurateStreak++;
+          return null;
+        }
+      } else {
+        inaccurateStreak = 0;
+      }
+
+      // Outlier rejection: distance beyond what the reported accuracies can explain
+      const dt = Math.max(0, (time - estimate.time) / 1000);
+      const jump = haversineMeters(estimate.lat, estimate.lng, lat, lng);
+      const slack = acc + Math.sqrt(estimate.variance);
+      if (dt > 0 && (jump - slack) / dt > maxSpeedMps) {
+        if (rejectStreak < maxConsecutiveRejects) {
+          rejectStreak++;
+          return null;
+        }
+        // The jump keeps being reported, so it is real: restart from the new position
+        rejectStreak = 0;
+        estimate = { lat, lng, variance: acc * acc, time };
+        return snapshot();
+      }
+      rejectStreak = 0;
+
+      // Kalman predict: uncertainty grows with time since the last fix
+      const predicted = estimate.variance + dt * processNoiseMps * processNoiseMps;
+      // Kalman update: weight the new fix by relative confidence
+      const gain = predicted / (predicted + acc * acc);
+      estimate = {
+        lat: estimate.lat + gain * (lat - estimate.lat),
+        lng: estimate.lng + gain * (lng - estimate.lng),
+        variance: (1 - gain) * predicted,
+        time,
+      };
+      return snapshot();
+    },
+
+    /** Forget the current estimate (e.g. when tracking stops) */
+    reset() {
+      estimate = null;
+      rejectStreak = 0;
+      inaccurateStreak = 0;
+    },
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * ================================================================================
+ * File: reportQueue.js
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: IndexedDB queue for visitor trail reports. Every report is stored
+ * before it is sent, so one filed without signal in the woods is delivered once
+ * the device is back online.
+ * ================================================================================
+ */
+
+import { sendReport } from "./reports";
+
+const DB_NAME = "conservation-reports";
+const DB_VERSION = 1;
+const QUEUE_STORE = "queue";
+
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a Promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Open (and create on first use) the reports database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+  if (dbPromise) return dbPromise;
+  if (!("indexedDB" in window)) {
+    return Promise.reject(new Error("This browser does not support IndexedDB."));
+  }
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(QUEUE_STORE, { keyPath: "id" });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+}
+
+/**
+ * Run one request against the queue store
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} fn - Receives the store and returns a request
+ * @returns {Promise<*>} Request result
+ */
+async function withQueue(mode, fn) {
+  const db = await openDb();
+  return promisify(fn(db.transaction(QUEUE_STORE, mode).objectStore(QUEUE_STORE)));
+}
+
+/**
+ * Store a report until it has been sent
+ * @param {Object} report - Result of buildReport
+ * @returns {Promise<void>}
+ */
+export function queueReport(report) {
+  return withQueue("readwrite", (store) => store.put(report));
+}
+
+/**
+ * Reports filed on this device that have not been sent yet, oldest first
+ * @returns {Promise<Array<Object>>}
+ */
+export function getQueuedReports() {
+  return withQueue("readonly", (store) => store.getAll()).then((list) =>
+    list.sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+  );
+}
+
+/**
+ * Remove a report from the queue
+ * @param {string} id - Report id
+ * @returns {Promise<void>}
+ */
+export function removeQueuedReport(id) {
+  return withQueue("readwrite", (store) => store.delete(id));
+}
+
+/**
+ * Send every queued report, keeping the ones that fail for the next attempt
+ * @param {string} endpoint - Reports endpoint URL
+ * @returns {Promise<{sent: number, remaining: number}>} Outcome
+ */
+export async function flushReportQueue(endpoint) {
+  const queued = await getQueuedReports();
+  let sent = 0;
+  for (const report of queued) {
+    try {
+      await sendReport(endpoint, report);
+      await removeQueuedReport(report.id);
+      sent++;
+    } catch (e) {
+      console.warn("Report not sent yet, keeping it queued:", e);
+      // Still offline or the endpoint is down; later reports would fail the same way
+      break;
+    }
+  }
+  return { sent, remaining: queued.length - sent };
+}
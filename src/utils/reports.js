@@ -0,0 +1,168 @@
+/**
+ * ================================================================================
+ * File: reports.js
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Visitor trail reports (fallen trees, litter, broken equipment,
+ * washed-out path): categories shared with the Contact page, building report
+ * payloads, photo downscaling, and the reports endpoint API.
+ * ================================================================================
+ */
+
+// ============================================================================
+// Constants & Configuration
+// ============================================================================
+
+// Reasons offered by the Contact form; trail problems are reported from the map
+export const CONTACT_REASONS = [
+  { value: "volunteering", label: "Volunteering / Trail Care" },
+  { value: "trail-report", label: "Report a Trail Problem" },
+  { value: "natural-burial", label: "Natural Burial Inquiries" },
+  { value: "shop", label: "Shop / Product Questions" },
+  { value: "visit", label: "Planning a Visit" },
+  { value: "general", label: "General Questions / Feedback" },
+  { value: "other", label: "Other" },
+];
+
+// Where reports are sent: VITE_REPORTS_ENDPOINT, or the mock endpoint that
+// plugins/mockReportsPlugin.js serves during `npm run dev`. Empty hides reporting.
+export const REPORTS_ENDPOINT =
+  import.meta.env.VITE_REPORTS_ENDPOINT || (import.meta.env.DEV ? "/api/reports" : "");
+
+// Contact reason attached to every map report, so both arrive in the same triage
+export const TRAIL_REPORT_REASON = "trail-report";
+
+// What a visitor can report from the map
+export const REPORT_CATEGORIES = [
+  { value: "fallen-tree", label: "Fallen tree or branch" },
+  { value: "washed-out-path", label: "Washed-out or flooded path" },
+  { value: "broken-equipment", label: "Broken exercise bar, bench or sign" },
+  { value: "litter", label: "Litter or dumping" },
+  { value: "other", label: "Something else" },
+];
+
+// Maintainer workflow, in order
+export const REPORT_STATUSES = [
+  { value: "new", label: "New" },
+  { value: "in-progress", label: "In progress" },
+  { value: "resolved", label: "Resolved" },
+];
+
+// Photos are downscaled before queueing so they fit in IndexedDB and a JSON POST
+const PHOTO_MAX_PX = 1280;
+const PHOTO_QUALITY = 0.8;
+
+// ============================================================================
+// Report Building
+// ============================================================================
+
+/**
+ * Label for a category or status value
+ * @param {Array<Object>} options - REPORT_CATEGORIES or REPORT_STATUSES
+ * @param {string} value - Option value
+ * @returns {string} Label, or the raw value when unknown
+ */
+export function optionLabel(options, value) {
+  return options.find((option) => option.value === value)?.label || value;
+}
+
+/**
+ * Create a random report id, so a report sent twice from the queue is recognisable
+ * @returns {string} Id
+ */
+function newReportId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  return `r-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Build a report payload
+ * @param {Object} fields
+ * @param {string} fields.category - One of REPORT_CATEGORIES
+ * @param {string} [fields.note] - Visitor's description
+ * @param {Object} fields.location - { lat, lng, accuracy? }
+ * @param {"map"|"gps"} fields.source - Picked on the map or taken from the visitor's position
+ * @param {string|null} [fields.photo] - JPEG data URL from resizePhoto
+ * @returns {Object} Report ready to queue or send
+ */
+export function buildReport({ category, note = "", location, source, photo = null }) {
+  return {
+    id: newReportId(),
+    reason: TRAIL_REPORT_REASON,
+    category,
+    note: note.trim(),
+    lat: Number(location.lat.toFixed(6)),
+    lng: Number(location.lng.toFixed(6)),
+    accuracy: typeof location.accuracy === "number" ? Math.round(location.accuracy) : null,
+    source,
+    photo,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Downscale a photo to a JPEG data URL
+ * @param {File} file - Image chosen or taken by the visitor
+ * @returns {Promise<string>} Data URL no larger than PHOTO_MAX_PX on its long side
+ */
+export async function resizePhoto(file) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, PHOTO_MAX_PX / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas.toDataURL("image/jpeg", PHOTO_QUALITY);
+}
+
+// ============================================================================
+// Reports Endpoint
+// ============================================================================
+
+/**
+ * Fetch JSON from the reports endpoint
+ * @param {string} url - Request URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<*>} Parsed response body
+ */
+async function requestJson(url, options) {
+  const res = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...options?.headers },
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.json();
+}
+
+/**
+ * Send one report
+ * @param {string} endpoint - Reports endpoint URL
+ * @param {Object} report - Result of buildReport
+ * @returns {Promise<Object>} Stored report as returned by the endpoint
+ */
+export function sendReport(endpoint, report) {
+  return requestJson(endpoint, { method: "POST", body: JSON.stringify(report) });
+}
+
+/**
+ * List reports for the maintainer view
+ * @param {string} endpoint - Reports endpoint URL
+ * @returns {Promise<Array<Object>>} Reports, each with a status
+ */
+export function listReports(endpoint) {
+  return requestJson(endpoint);
+}
+
+/**
+ * Change a report's status
+ * @param {string} endpoint - Reports endpoint URL
+ * @param {string} id - Report id
+ * @param {string} status - One of REPORT_STATUSES
+ * @returns {Promise<Object>} Updated report
+ */
+export function updateReportStatus(endpoint, id, status) {
+  return requestJson(`${endpoint.replace(/\/+$/, "")}/${encodeURIComponent(id)}`, {
+    method: "PATCH",
+    body: JSON.stringify({ status }),
+  });
+}
@@ -0,0 +1,193 @@
+/**
+ * ================================================================================
+ * File: simulatedGeolocation.js
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Stand-in for navigator.geolocation that replays a track (the trail
+ * line or a recorded GPX) so Talking Trees, geofences and guidance can be tested
+ * without walking the trail. Exposes the same watchPosition/clearWatch interface,
+ * plus play/pause/speed/seek controls for the Sitemap demo panel.
+ * ================================================================================
+ */
+
+import { haversineMeters } from "./geo";
+
+// Default pace along the replayed track (~4 km/h)
+const DEFAULT_SPEED_MPS = 1.1;
+// Simulated time between emitted fixes; shortened in real time as speed goes up
+const FIX_INTERVAL_MS = 1000;
+
+/**
+ * Precompute cumulative distances so positions can be looked up by distance
+ * @param {Array<Array<number>>} track - [lat, lng] pairs
+ * @returns {Array<number>} Distance from start to each vertex in meters
+ */
+function cumulativeDistances(track) {
+  const dists = [0];
+  for (let i = 1; i < track.length; i++) {
+    dists.push(
+      dists[i - 1] + haversineMeters(track[i - 1][0], track[i - 1][1], track[i][0], track[i][1])
+    );
+  }
+  return dists;
+}
+
+/**
+ * Interpolate the position a given distance along the track
+ * @param {Array<Array<number>>} track - [lat, lng] pairs
+ * @param {Array<number>} dists - Cumulative distances from cumulativeDistances
+ * @param {number} s - Distance along the track in meters
+ * @returns {Object} {lat, lng}
+ */
+function positionAt(track, dists, s) {
+  if (s <= 0) return { lat: track[0][0], lng: track[0][1] };
+  for (let i = 1; i < track.length; i++) {
+    if (s <= dists[i]) {
+      const span = dists[i] - dists[i - 1] || 1;
+      const t = (s - dists[i - 1]) / span;
+      return {
+        lat: track[i - 1][0] + t * (track[i][0] - track[i - 1][0]),
+        lng: track[i - 1][1] + t * (track[i][1] - track[i - 1][1]),
+      };
+    }
+  }
+  const last = track[track.length - 1];
+  return { lat: last[0], lng: last[1] };
+}
+
+/**
+ * Create a simulated geolocation source
+ * @param {Object} options
+ * @param {Array<Array<number>>} options.track - Track to replay as [lat, lng] pairs
+ * @param {number} [options.accuracy=4] - Accuracy in meters reported with each fix
+ * @returns {Object} Geolocation-compatible object with extra playback controls
+ */
+export function createSimulatedGeolocation({ track, accuracy = 4 }) {
+  let points = Array.isArray(track) ? track : [];
+  let dists = cumulativeDistances(points);
+  let distance = 0; // meters travelled along the track
+  let speed = 1; // playback multiplier
+  let playing = false;
+  let timer = null;
+  let simTime = Date.now(); // simulated clock, advances FIX_INTERVAL_MS per fix
+  let nextWatchId = 1;
+  const watchers = new Map();
+  const listeners = new Set();
+
+  const totalLength = () => dists[dists.length - 1] || 0;
+
+  const getState = () => ({
+    playing,
+    speed,
+    distance,
+    length: totalLength(),
+    progress: totalLength() ? distance / totalLength() : 0,
+  });
+
+  const notify = () => {
+    const state = getState();
+    listeners.forEach((fn) => fn(state));
+  };
+
+  // Emit the current position to every watcher, shaped like a GeolocationPosition
+  const emit = () => {
+    if (!points.length) return;
+    const { lat, lng } = positionAt(points, dists, distance);
+    const position = {
+      coords: { latitude: lat, longitude: lng, accuracy, altitude: null, heading: null, speed: null },
+      timestamp: simTime,
+    };
+    watchers.forEach((success) => success(position));
+  };
+
+  const tick = () => {
+    simTime += FIX_INTERVAL_MS;
+    distance = Math.min(totalLength(), distance + (DEFAULT_SPEED_MPS * FIX_INTERVAL_MS) / 1000);
+    emit();
+    if (distance >= totalLength()) pause();
+    else notify();
+  };
+
+  const schedule = () => {
+    clearInterval(timer);
+    timer = playing ? setInterval(tick, FIX_INTERVAL_MS / speed) : null;
+  };
+
+  function play() {
+    if (!points.length) return;
+    if (distance >= totalLength()) distance = 0;
+    playing = true;
+    schedule();
+    emit();
+    notify();
+  }
+
+  function pause() {
+    playing = false;
+    schedule();
+    notify();
+  }
+
+  return {
+    /** navigator.geolocation.watchPosition equivalent */
+    watchPosition(success) {
+      const id = nextWatchId++;
+      watchers.set(id, success);
+      // Real GPS reports a first fix straight away; do the same
+      if (points.length) setTimeout(emit, 0);
+      return id;
+    },
+    /** navigator.geolocation.clearWatch equivalent */
+    clearWatch(id) {
+      watchers.delete(id);
+    },
+    play,
+    pause,
+    /**
+     * Set playback speed multiplier (simulated time per fix stays one second,
+     * so geofences are never skipped over at high speed)
+     * @param {number} multiplier - e.g. 1, 2, 5, 10
+     */
+    setSpeed(multiplier) {
+      speed = Math.max(0.25, Number(multiplier) || 1);
+      schedule();
+      notify();
+    },
+    /**
+     * Jump to a fraction of the track
+     * @param {number} fraction - 0 (start) to 1 (end)
+     */
+    seek(fraction) {
+      distance = Math.max(0, Math.min(1, fraction)) * totalLength();
+      emit();
+      notify();
+    },
+    /**
+     * Replace the replayed track and rewind
+     * @param {Array<Array<number>>} nextTrack - [lat, lng] pairs
+     */
+    setTrack(nextTrack) {
+      points = Array.isArray(nextTrack) ? nextTrack : [];
+      dists = cumulativeDistances(points);
+      distance = 0;
+      emit();
+      notify();
+    },
+    getState,
+    /**
+     * Subscribe to playback state changes
+     * @param {Function} fn - Receives getState() output
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    /** Stop timers and drop watchers */
+    destroy() {
+      playing = false;
+      clearInterval(timer);
+      watchers.clear();
+      listeners.clear();
+    },
+  };
+}
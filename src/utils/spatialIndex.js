@@ -0,0 +1,193 @@
+/**
+ * ================================================================================
+ * File: spatialIndex.js
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Uniform grid index over lat/lng points (POIs, sightings, reports) for
+ * radius and k-nearest queries, so proximity checks only measure points in nearby
+ * cells instead of scanning every point on each location fix. Distances are exact
+ * (haversine); the grid only narrows down the candidates.
+ * ================================================================================
+ */
+
+import { haversineMeters } from "./geo";
+
+// ============================================================================
+// Constants & Configuration
+// ============================================================================
+
+// Cell size: about the largest proximity radius the map uses, so a radius
+// query touches a 3 x 3 block of cells
+const DEFAULT_CELL_METERS = 50;
+
+// Meters per degree of latitude (as in geo.js)
+const METERS_PER_DEGREE = 111320;
+
+// Widen cell ranges slightly so the flat grid never misses a point the
+// haversine distance puts just inside the radius
+const RANGE_MARGIN = 1.01;
+
+/**
+ * Read a point's coordinates
+ * @param {Object} item - Item with numeric lat and lng
+ * @returns {{lat: number, lng: number}|null} Coordinates, or null if invalid
+ */
+const defaultGetPoint = (item) =>
+  typeof item?.lat === "number" && typeof item?.lng === "number" ? item : null;
+
+// ============================================================================
+// Spatial Index
+// ============================================================================
+
+/**
+ * Build a grid index over points
+ * Items without numeric coordinates are left out, like the linear scans in geo.js
+ * @param {Array<Object>} items - Points to index (POIs, sightings, ...)
+ * @param {Object} [options]
+ * @param {number} [options.cellMeters=50] - Grid cell size in meters
+ * @param {Function} [options.getPoint] - Returns {lat, lng} for an item, or null to skip it
+ * @returns {{size: number, withinRadius: Function, nearest: Function}} Index with
+ * withinRadius(point, radiusMeters) and nearest(point, k, maxMeters)
+ */
+export function createSpatialIndex(items, options = {}) {
+  const { cellMeters = DEFAULT_CELL_METERS, getPoint = defaultGetPoint } = options;
+  const entries = (Array.isArray(items) ? items : [])
+    .map((item) => ({ item, point: getPoint(item) }))
+    .filter(({ point }) => point && Number.isFinite(point.lat) && Number.isFinite(point.lng));
+
+  // Cells are fixed in degrees, sized for the mean latitude of the points
+  const refLat = entries.length
+    ? entries.reduce((sum, e) => sum + e.point.lat, 0) / entries.length
+    : 0;
+  const latStep = cellMeters / METERS_PER_DEGREE;
+  const lngStep =
+    cellMeters / (METERS_PER_DEGREE * Math.max(Math.cos((refLat * Math.PI) / 180), 0.01));
+
+  const rowOf = (lat) => Math.floor(lat / latStep);
+  const colOf = (lng) => Math.floor(lng / lngStep);
+
+  const cells = new Map();
+  let minRow = Infinity;
+  let maxRow = -Infinity;
+  let minCol = Infinity;
+  let maxCol = -Infinity;
+  entries.forEach((entry) => {
+    const row = rowOf(entry.point.lat);
+    const col = colOf(entry.point.lng);
+    const key = `${row}:${col}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(entry);
+    minRow = Math.min(minRow, row);
+    maxRow = Math.max(maxRow, row);
+    minCol = Math.min(minCol, col);
+    maxCol = Math.max(maxCol, col);
+  });
+
+  /**
+   * Measure every item in a block of cells
+   * @param {Object} point - Query point {lat, lng}
+   * @param {number} row0 - First row
+   * @param {number} row1 - Last row
+   * @param {number} col0 - First column
+   * @param {number} col1 - Last column
+   * @param {Function} visit - Called with (item, distance)
+   */
+  const scanCells = (point, row0, row1, col0, col1, visit) => {
+    for (let row = Math.max(row0, minRow); row <= Math.min(row1, maxRow); row++) {
+      for (let col = Math.max(col0, minCol); col <= Math.min(col1, maxCol); col++) {
+        const cell = cells.get(`${row}:${col}`);
+        if (!cell) continue;
+        cell.forEach(({ item, point: p }) =>
+          visit(item, haversineMeters(point.lat, point.lng, p.lat, p.lng))
+        );
+      }
+    }
+  };
+
+  /**
+   * Meters per degree of longitude at the query latitude, for the worst case
+   * across a band of rows (narrowest cells give the widest column range)
+   * @param {number} lat - Query latitude
+   * @param {number} spanDegrees - Latitude span being searched either side
+   * @returns {number} Meters per degree of longitude
+   */
+  const lngMetersAt = (lat, spanDegrees) => {
+    const edge = Math.min(Math.abs(lat) + spanDegrees, 89.9);
+    return METERS_PER_DEGREE * Math.max(Math.cos((edge * Math.PI) / 180), 0.001);
+  };
+
+  /**
+   * Find every item within a distance of a point
+   * @param {Object} point - Query point {lat, lng}
+   * @param {number} radiusMeters - Search radius in meters
+   * @returns {Array<Object>} { item, distance } entries, nearest first
+   */
+  const withinRadius = (point, radiusMeters) => {
+    if (!point || !entries.length || !(radiusMeters >= 0)) return [];
+    const dLat = (radiusMeters * RANGE_MARGIN) / METERS_PER_DEGREE;
+    const dLng = (radiusMeters * RANGE_MARGIN) / lngMetersAt(point.lat, dLat);
+    const found = [];
+    scanCells(
+      point,
+      rowOf(point.lat - dLat),
+      rowOf(point.lat + dLat),
+      colOf(point.lng - dLng),
+      colOf(point.lng + dLng),
+      (item, distance) => {
+        if (distance <= radiusMeters) found.push({ item, distance });
+      }
+    );
+    return found.sort((a, b) => a.distance - b.distance);
+  };
+
+  /**
+   * Find the k items closest to a point
+   * Searches outward ring by ring and stops once no unsearched cell can hold
+   * anything closer than the k-th item found
+   * @param {Object} point - Query point {lat, lng}
+   * @param {number} [k=1] - Number of items to return
+   * @param {number} [maxMeters=Infinity] - Ignore items further away than this
+   * @returns {Array<Object>} Up to k { item, distance } entries, nearest first
+   */
+  const nearest = (point, k = 1, maxMeters = Infinity) => {
+    if (!point || !entries.length || !(k >= 1)) return [];
+    if (Number.isFinite(maxMeters)) return withinRadius(point, maxMeters).slice(0, k);
+
+    const row = rowOf(point.lat);
+    const col = colOf(point.lng);
+    // Rings needed to reach every occupied cell
+    const lastRing = Math.max(
+      Math.abs(row - minRow),
+      Math.abs(row - maxRow),
+      Math.abs(col - minCol),
+      Math.abs(col - maxCol)
+    );
+    const best = [];
+    const visit = (item, distance) => best.push({ item, distance });
+
+    for (let ring = 0; ring <= lastRing; ring++) {
+      if (ring === 0) {
+        scanCells(point, row, row, col, col, visit);
+      } else {
+        // Top and bottom rows of the ring, then the left and right columns between them
+        scanCells(point, row - ring, row - ring, col - ring, col + ring, visit);
+        scanCells(point, row + ring, row + ring, col - ring, col + ring, visit);
+        scanCells(point, row - ring + 1, row + ring - 1, col - ring, col - ring, visit);
+        scanCells(point, row - ring + 1, row + ring - 1, col + ring, col + ring, visit);
+      }
+      if (best.length >= k) {
+        best.sort((a, b) => a.distance - b.distance);
+        best.length = k;
+        // Anything in a later ring is at least this far away
+        const dLat = (ring * latStep) / RANGE_MARGIN;
+        const cleared = Math.min(
+          dLat * METERS_PER_DEGREE,
+          (ring * lngStep * lngMetersAt(point.lat, dLat)) / RANGE_MARGIN
+        );
+        if (best[k - 1].distance <= cleared) break;
+      }
+    }
+    return best.sort((a, b) => a.distance - b.distance).slice(0, k);
+  };
+
+  return { size: entries.length, withinRadius, nearest };
+}
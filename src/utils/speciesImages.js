@@ -0,0 +1,135 @@
+/**
+ * ================================================================================
+ * File: speciesImages.js
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Matching of ecologydata.json species names to photo files in
+ * src/assets/ecologyimages, plus consistency checks for the species list. Used by
+ * the Ecology page and by the build-time data validator.
+ * ================================================================================
+ */
+
+// Manual aliases for species with non-standard naming conventions
+const ALIAS_MAP = {
+  yellowcoastalbirch: "birch",
+  pinecherry: "pincherry",
+  wildpear: "wildpeartree",
+};
+
+/**
+ * Normalize species names to match image filenames
+ * Removes special characters and converts to lowercase for consistent matching
+ * @param {string} value - Species name to normalize
+ * @returns {string} Normalized key
+ */
+export const normalizeKey = (value = "") =>
+  value
+    .toLowerCase()
+    .replace(/[()]/g, "")
+    .replace(/[^a-z0-9]/g, "");
+
+/**
+ * Build image lookup map from image paths
+ * Handles both singular and plural forms for flexible matching
+ * Example: "birch" and "birches" both map to same image
+ * @param {Array<Array>} entries - [path, image] pairs (e.g. Object.entries of import.meta.glob)
+ * @returns {Object} Lookup from normalized species key to image
+ */
+export function buildSpeciesImageIndex(entries) {
+  const index = entries.reduce((acc, [path, image]) => {
+    const fileName = path.split("/").pop() || "";
+    const baseName = fileName.replace(/\.[^/.]+$/, "");
+    const normalized = normalizeKey(baseName);
+
+    if (!acc[normalized]) {
+      acc[normalized] = image;
+    }
+
+    if (normalized.endsWith("s")) {
+      const singular = normalized.slice(0, -1);
+      if (!acc[singular]) {
+        acc[singular] = image;
+      }
+    }
+
+    return acc;
+  }, {});
+
+  Object.entries(ALIAS_MAP).forEach(([alias, canonical]) => {
+    if (index[canonical] && !index[alias]) {
+      index[alias] = index[canonical];
+    }
+  });
+
+  return index;
+}
+
+/**
+ * Find the image for a species by common name
+ * @param {Object} index - Result of buildSpeciesImageIndex
+ * @param {string} commonName - Common name of species
+ * @returns {*} Image (module URL or path) or null if not found
+ */
+export function findSpeciesImage(index, commonName) {
+  if (!commonName) return null;
+  return index[normalizeKey(commonName)] || null;
+}
+
+/**
+ * Check ecologydata.json for species without photos and stale counts
+ * Species listed in metadata.species_without_images are known gaps and allowed
+ * @param {Object} data - Parsed ecologydata.json
+ * @param {Object} index - Result of buildSpeciesImageIndex
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateEcologyData(data, index) {
+  const errors = [];
+  const metadata = data?.metadata || {};
+  const categories = data?.species_by_category || {};
+  const knownGaps = Array.isArray(metadata.species_without_images)
+    ? metadata.species_without_images
+    : [];
+  let total = 0;
+  let withImages = 0;
+
+  Object.entries(categories).forEach(([category, list]) => {
+    const species = Array.isArray(list) ? list : [];
+    total += species.length;
+    const expected = metadata.category_counts?.[category];
+    if (expected !== species.length) {
+      errors.push(
+        `category_counts.${category} is ${expected}, but the ${category} list has ${species.length} species.`
+      );
+    }
+    species.forEach((name) => {
+      const hasImage = Boolean(findSpeciesImage(index, name));
+      if (hasImage) withImages++;
+      if (!hasImage && !knownGaps.includes(name)) {
+        errors.push(
+          `Species "${name}" (${category}) has no image in src/assets/ecologyimages ` +
+            `(expected a file named like "${normalizeKey(name)}.jpg").`
+        );
+      }
+      if (hasImage && knownGaps.includes(name)) {
+        errors.push(`Species "${name}" now has an image; remove it from species_without_images.`);
+      }
+    });
+  });
+
+  Object.keys(metadata.category_counts || {})
+    .filter((category) => !(category in categories))
+    .forEach((category) => errors.push(`category_counts.${category} has no species list.`));
+
+  if (metadata.total_species !== total) {
+    errors.push(`total_species is ${metadata.total_species}, but the lists contain ${total} species.`);
+  }
+  if (metadata.species_with_images !== withImages) {
+    errors.push(
+      `species_with_images is ${metadata.species_with_images}, but ${withImages} species have an image.`
+    );
+  }
+  knownGaps
+    .filter((name) => !Object.values(categories).some((list) => list?.includes(name)))
+    .forEach((name) => errors.push(`species_without_images lists unknown species "${name}".`));
+
+  return errors;
+}
@@ -0,0 +1,140 @@
+/**
+ * ================================================================================
+ * File: walkStore.js
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: IndexedDB persistence for recorded walks. Each geolocation fix is
+ * written as it arrives so a breadcrumb survives page reloads and dropped tabs.
+ * ================================================================================
+ */
+
+const DB_NAME = "conservation-walks";
+const DB_VERSION = 1;
+const WALKS_STORE = "walks";
+const FIXES_STORE = "fixes";
+
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a Promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Open (and create on first use) the walks database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+  if (dbPromise) return dbPromise;
+  if (!("indexedDB" in window)) {
+    return Promise.reject(new Error("This browser does not support IndexedDB."));
+  }
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore(WALKS_STORE, { keyPath: "id", autoIncrement: true });
+      const fixes = db.createObjectStore(FIXES_STORE, { autoIncrement: true });
+      fixes.createIndex("walkId", "walkId");
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+}
+
+/**
+ * Run a callback against object stores in a single transaction
+ * @param {Array<string>} storeNames - Stores to open
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} fn - Receives the stores in order and returns a request or value
+ * @returns {Promise<*>} Result of fn once the transaction completes
+ */
+async function withStores(storeNames, mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(storeNames, mode);
+  // Listen for completion before issuing requests; the transaction may finish quickly
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const result = fn(...storeNames.map((name) => tx.objectStore(name)));
+  const value = result instanceof IDBRequest ? await promisify(result) : await result;
+  await done;
+  return value;
+}
+
+/**
+ * Start a new walk
+ * @returns {Promise<number>} New walk id
+ */
+export function createWalk() {
+  return withStores([WALKS_STORE], "readwrite", (walks) =>
+    walks.add({ startedAt: Date.now(), finishedAt: null })
+  );
+}
+
+/**
+ * Append a geolocation fix to a walk
+ * @param {number} walkId - Walk id
+ * @param {Object} fix - {lat, lng, time, accuracy?}
+ * @returns {Promise<void>}
+ */
+export function addFix(walkId, fix) {
+  return withStores([FIXES_STORE], "readwrite", (fixes) => fixes.add({ ...fix, walkId }));
+}
+
+/**
+ * Read all fixes of a walk in recording order
+ * @param {number} walkId - Walk id
+ * @returns {Promise<Array<Object>>}
+ */
+export function getFixes(walkId) {
+  return withStores([FIXES_STORE], "readonly", (fixes) =>
+    fixes.index("walkId").getAll(walkId)
+  ).then((list) => list.sort((a, b) => a.time - b.time));
+}
+
+/**
+ * Mark a walk as finished
+ * @param {number} walkId - Walk id
+ * @returns {Promise<void>}
+ */
+export function finishWalk(walkId) {
+  return withStores([WALKS_STORE], "readwrite", async (walks) => {
+    const walk = await promisify(walks.get(walkId));
+    if (walk) await promisify(walks.put({ ...walk, finishedAt: Date.now() }));
+  });
+}
+
+/**
+ * Find a walk that was still recording when the page was last closed
+ * @returns {Promise<Object|null>} Walk record or null
+ */
+export function getUnfinishedWalk() {
+  return withStores([WALKS_STORE], "readonly", (walks) => walks.getAll()).then(
+    (list) => list.filter((w) => !w.finishedAt).sort((a, b) => b.startedAt - a.startedAt)[0] || null
+  );
+}
+
+/**
+ * Delete a walk and all of its fixes
+ * @param {number} walkId - Walk id
+ * @returns {Promise<void>}
+ */
+export function deleteWalk(walkId) {
+  return withStores([WALKS_STORE, FIXES_STORE], "readwrite", async (walks, fixes) => {
+    walks.delete(walkId);
+    const keys = await promisify(fixes.index("walkId").getAllKeys(walkId));
+    keys.forEach((key) => fixes.delete(key));
+  });
+}
@@ -0,0 +1,93 @@
+/**
+ * ================================================================================
+ * File: walkSummary.js
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Summary statistics for a recorded walk (distance, duration, stops
+ * visited, time inside the site border) and the anonymised opt-in summary that can
+ * be shared to help understand trail usage.
+ * ================================================================================
+ */
+
+import { areaRings, haversineMeters, pointInArea } from "./geo";
+
+// A stop counts as visited when any fix comes this close to it
+const STOP_VISIT_METERS = 10;
+
+/**
+ * Summarize a recorded walk
+ * @param {Array<Object>} fixes - Fixes in time order, each {lat, lng, time}
+ * @param {Object} context
+ * @param {Array<Object>} [context.pois=[]] - POIs with id, name, lat and lng
+ * @param {Array} [context.siteBorder=[]] - Site border as a [lat, lng] ring, or polygons
+ * with holes or several parts (see readSiteBorder)
+ * @returns {Object} { distanceMeters, durationMs, insideMs, stopsVisited: [{id, name}], fixCount }
+ */
+export function summarizeWalk(fixes, { pois = [], siteBorder = [] } = {}) {
+  const summary = {
+    distanceMeters: 0,
+    durationMs: 0,
+    insideMs: 0,
+    stopsVisited: [],
+    fixCount: Array.isArray(fixes) ? fixes.length : 0,
+  };
+  if (!summary.fixCount) return summary;
+
+  const visited = new Set();
+  const checkStops = (fix) => {
+    pois.forEach((poi) => {
+      if (visited.has(poi.id)) return;
+      if (haversineMeters(fix.lat, fix.lng, poi.lat, poi.lng) <= STOP_VISIT_METERS) {
+        visited.add(poi.id);
+        summary.stopsVisited.push({ id: poi.id, name: poi.name });
+      }
+    });
+  };
+
+  const hasBorder = areaRings(siteBorder).some((ring) => ring.length > 2);
+  let prevInside = hasBorder && pointInArea(fixes[0], siteBorder);
+  checkStops(fixes[0]);
+
+  for (let i = 1; i < fixes.length; i++) {
+    const prev = fixes[i - 1];
+    const fix = fixes[i];
+    summary.distanceMeters += haversineMeters(prev.lat, prev.lng, fix.lat, fix.lng);
+    const inside = hasBorder && pointInArea(fix, siteBorder);
+    // Credit an interval to the site only when both ends are inside it
+    if (inside && prevInside) summary.insideMs += fix.time - prev.time;
+    prevInside = inside;
+    checkStops(fix);
+  }
+
+  summary.durationMs = fixes[fixes.length - 1].time - fixes[0].time;
+  return summary;
+}
+
+/**
+ * Build the anonymised summary a visitor may opt in to share
+ * Contains no coordinates; distance and times are rounded and the date is day-only
+ * @param {Object} summary - Result of summarizeWalk
+ * @param {number} startedAt - Walk start timestamp
+ * @returns {Object} Shareable summary
+ */
+export function anonymiseWalkSummary(summary, startedAt) {
+  return {
+    date: new Date(startedAt).toISOString().slice(0, 10),
+    distanceMeters: Math.round(summary.distanceMeters / 50) * 50,
+    durationMinutes: Math.round(summary.durationMs / 60000),
+    insideMinutes: Math.round(summary.insideMs / 60000),
+    stopsVisited: summary.stopsVisited.map((s) => s.id),
+  };
+}
+
+/**
+ * Format a duration for display
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. "1 h 05 min" or "12 min"
+ */
+export function formatDuration(ms) {
+  const totalMinutes = Math.round(ms / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  if (!hours) return `${minutes} min`;
+  return `${hours} h ${String(minutes).padStart(2, "0")} min`;
+}
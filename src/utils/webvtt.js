@@ -0,0 +1,146 @@
+/**
+ * ================================================================================
+ * File: webvtt.js
+ * Author: ADM (Abhishek Darsh Manar) 2025 Fall - Software Engineering (CSCI-3428-1)
+ * Description: Minimal WebVTT reader for the Talking Trees transcripts
+ * (map.json transcriptSrc): cue parsing, the caption for a playback position and
+ * the full transcript as plain text. Also used by the build-time data validator.
+ * ================================================================================
+ */
+
+// ============================================================================
+// Constants & Configuration
+// ============================================================================
+
+// "mm:ss.ttt" or "hh:mm:ss.ttt"
+const TIMESTAMP_PATTERN = /^(?:(\d+):)?(\d{2}):(\d{2})\.(\d{3})$/;
+
+// Character references allowed in cue text
+const ENTITIES = {
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&nbsp;": " ",
+  "&lrm;": "",
+  "&rlm;": "",
+};
+
+// Transcripts fetched this session, keyed by URL
+const transcriptCache = new Map();
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * Parse a WebVTT timestamp
+ * @param {string} value - e.g. "00:01.500" or "01:02:03.000"
+ * @returns {number|null} Seconds, or null when malformed
+ */
+function parseTimestamp(value) {
+  const match = TIMESTAMP_PATTERN.exec(value.trim());
+  if (!match) return null;
+  const [, hours = "0", minutes, seconds, millis] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis) / 1000;
+}
+
+/**
+ * Strip voice/styling tags and decode the entities WebVTT allows in cue text
+ * @param {string} text - Cue payload
+ * @returns {string} Plain text
+ */
+function cueToPlainText(text) {
+  return text
+    .replace(/<[^>]*>/g, "")
+    .replace(/&(amp|lt|gt|nbsp|lrm|rlm);/g, (entity) => ENTITIES[entity]);
+}
+
+/**
+ * Parse a WebVTT file into cues
+ * NOTE, STYLE and REGION blocks are skipped; cue settings are ignored
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Cues { start, end, text } in file order
+ * @throws {Error} If the file does not start with "WEBVTT" or a cue timing is malformed
+ */
+export function parseWebVTT(text) {
+  const blocks = String(text)
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .split(/\n{2,}/);
+  if (!/^WEBVTT(?:[ \t].*)?$/.test(blocks[0].split("\n")[0])) {
+    throw new Error('Not a WebVTT file (it must start with "WEBVTT").');
+  }
+
+  const cues = [];
+  blocks.slice(1).forEach((block) => {
+    const lines = block.trim().split("\n");
+    if (!lines[0] || /^(NOTE|STYLE|REGION)\b/.test(lines[0])) return;
+    // An optional cue identifier comes before the timing line
+    const timingIndex = lines[0].includes("-->") ? 0 : 1;
+    const timing = lines[timingIndex];
+    if (!timing?.includes("-->")) throw new Error(`Cue without a timing line: "${lines[0]}"`);
+
+    const [startText, rest] = timing.split("-->");
+    const start = parseTimestamp(startText);
+    const end = parseTimestamp(rest.trim().split(/\s+/)[0]);
+    if (start === null || end === null || end < start) {
+      throw new Error(`Invalid cue timing: "${timing}"`);
+    }
+    cues.push({
+      start,
+      end,
+      text: cueToPlainText(lines.slice(timingIndex + 1).join("\n")).trim(),
+    });
+  });
+  return cues;
+}
+
+// ============================================================================
+// Captions & Transcripts
+// ============================================================================
+
+/**
+ * Caption showing at a playback position
+ * @param {Array<Object>} cues - Result of parseWebVTT
+ * @param {number} seconds - Playback position
+ * @returns {string|null} Cue text, or null between cues
+ */
+export function cueTextAt(cues, seconds) {
+  const cue = (cues || []).find((c) => seconds >= c.start && seconds < c.end);
+  return cue ? cue.text : null;
+}
+
+/**
+ * Full transcript as running text
+ * @param {Array<Object>} cues - Result of parseWebVTT
+ * @returns {string} Cue texts joined with spaces
+ */
+export function transcriptText(cues) {
+  return (cues || [])
+    .map((c) => c.text.replace(/\s*\n\s*/g, " "))
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * Fetch and parse a transcript, once per URL
+ * @param {string} src - transcriptSrc from map.json
+ * @returns {Promise<Array<Object>>} Cues
+ */
+export function loadTranscript(src) {
+  if (!transcriptCache.has(src)) {
+    const request = fetch(src)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.text();
+      })
+      .then(parseWebVTT)
+      .catch((e) => {
+        // Let a later attempt (e.g. back online) try again
+        transcriptCache.delete(src);
+        throw e;
+      });
+    transcriptCache.set(src, request);
+  }
+  return transcriptCache.get(src);
+}
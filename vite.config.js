@@ -9,6 +9,8 @@
 
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import validateDataPlugin from './plugins/validateDataPlugin.js'
+import mockReportsPlugin from './plugins/mockReportsPlugin.js'
 
 /**
  * Vite Configuration
@@ -16,5 +18,7 @@ import react from '@vitejs/plugin-react'
  */
 export default defineConfig({
   // React plugin enables JSX transformation and HMR (Hot Module Replacement)
-  plugins: [react()],
+  // validateDataPlugin checks src/data/*.json against src/data/schemas in build and dev
+  // mockReportsPlugin serves /api/reports for trying trail reports without a backend
+  plugins: [react(), validateDataPlugin(), mockReportsPlugin()],
 })